@@ -46,6 +46,9 @@ export default [
         // Web API globals
         URL: "readonly",
         ClipboardItem: "readonly",
+        TextEncoder: "readonly",
+        TextDecoder: "readonly",
+        atob: "readonly",
         // Service Worker globals
         self: "readonly",
         performance: "readonly",
@@ -0,0 +1,100 @@
+// 更新内置的 Public Suffix List 快照
+//
+// 用法:
+//   npm run update:psl                      # 从 publicsuffix.org 下载
+//   npm run update:psl -- path/to/list.dat  # 使用本地文件
+
+import fs from "fs";
+import path from "path";
+import { domainToASCII } from "url";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const LIST_URL = "https://publicsuffix.org/list/public_suffix_list.dat";
+const OUTPUT_FILE = path.join(
+  __dirname,
+  "..",
+  "src",
+  "shared",
+  "url",
+  "public-suffix-data.js",
+);
+
+async function readList(source) {
+  if (source) {
+    return fs.promises.readFile(source, "utf8");
+  }
+
+  const response = await fetch(LIST_URL);
+  if (!response.ok) {
+    throw new Error(`Download failed: HTTP ${response.status}`);
+  }
+  return response.text();
+}
+
+/**
+ * 将规则转换为 ASCII (Punycode)，与 URL.hostname 的格式保持一致
+ */
+function toAsciiRule(rule) {
+  const prefix = /^[!*]\.?/.exec(rule)?.[0] || "";
+  const ascii = domainToASCII(rule.slice(prefix.length));
+  return ascii ? prefix + ascii : null;
+}
+
+function parseRules(text) {
+  const rules = new Set();
+
+  for (const line of text.split("\n")) {
+    // 每行第一个空白之前的内容为规则
+    const rule = line.trim().split(/\s/)[0];
+    if (!rule || rule.startsWith("//")) {
+      continue;
+    }
+
+    const ascii = toAsciiRule(rule.toLowerCase());
+    if (ascii) {
+      rules.add(ascii);
+    } else {
+      console.warn(`⚠️  Skipping invalid rule: ${rule}`);
+    }
+  }
+
+  return [...rules];
+}
+
+async function main() {
+  const source = process.argv[2];
+  console.log(`📥 Reading Public Suffix List from ${source || LIST_URL}`);
+
+  const rules = parseRules(await readList(source));
+  if (rules.length === 0) {
+    throw new Error("No rules found");
+  }
+
+  const date = new Date().toISOString().slice(0, 10);
+  const contents = `// Public Suffix List snapshot - generated by scripts/update-public-suffix-list.js
+// Source: ${source ? path.basename(source) : LIST_URL} (${date})
+// Do not edit by hand; run \`npm run update:psl\` to refresh.
+//
+// This Source Code Form is subject to the terms of the Mozilla Public
+// License, v. 2.0. If a copy of the MPL was not distributed with this
+// file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+// Rules in ASCII (Punycode) form, one per line, ICANN and private sections
+export const PUBLIC_SUFFIX_RULES = \`
+${rules.join("\n")}
+\`;
+`;
+
+  await fs.promises.writeFile(OUTPUT_FILE, contents);
+  console.log(
+    `✅ Wrote ${rules.length} rules to ${path.relative(process.cwd(), OUTPUT_FILE)}`,
+  );
+}
+
+main().catch((error) => {
+  console.error("❌ Failed to update Public Suffix List:", error.message);
+  process.exit(1);
+});
@@ -3,9 +3,12 @@
 import {
   initializeParamRules,
   getOrGenerateShortUrl,
+  recordTemplateUsage,
 } from "../shared/constants.js";
 
 import settingsManager from "../shared/settings-manager.js";
+import { isLinkFormat } from "../shared/link-formats.js";
+import { isCitationFormat } from "../shared/citations.js";
 import notificationHelper from "../shared/notification-helper.js";
 import {
   initializeI18n,
@@ -206,7 +209,7 @@ chrome.commands.onCommand.addListener(async (command) => {
 // 监听来自popup的消息
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === "copyFromPopup") {
-    copyToClipboard(message.text)
+    copyToClipboard(message.text, message.html)
       .then(() => sendResponse({ success: true }))
       .catch((error) => {
         console.debug("Popup copy failed:", error);
@@ -393,6 +396,17 @@ function determineContentFormat(settings) {
     };
   } else if (settings.silentCopyFormat === "markdown") {
     return { type: "markdown", templateId: null, templateName: null };
+  } else if (settings.silentCopyFormat === "htmlLink") {
+    return { type: "htmlLink", templateId: null, templateName: null };
+  } else if (
+    isLinkFormat(settings.silentCopyFormat) ||
+    isCitationFormat(settings.silentCopyFormat)
+  ) {
+    return {
+      type: settings.silentCopyFormat,
+      templateId: null,
+      templateName: null,
+    };
   } else if (settings.silentCopyFormat === "shortUrl") {
     return { type: "shortUrl", templateId: null, templateName: null };
   } else {
@@ -405,7 +419,8 @@ function determineContentFormat(settings) {
  * @param {object} formatInfo - Format information
  * @param {object} tab - Tab object
  * @param {object} settings - User settings
- * @returns {Promise<object>} { content, message, format, templateName }
+ * @returns {Promise<object>} { content, html?, message, format, templateName,
+ *   usedTemplateId? }
  */
 async function generateContent(formatInfo, tab, settings) {
   const perfMonitor = new PerformanceMonitor(
@@ -554,11 +569,16 @@ async function handleCopyUrl(tabId = null, tabSnapshot = null) {
 
     // Copy to clipboard
     const clipboardStartTime = performance.now();
-    await copyToClipboard(result.content);
+    await copyToClipboard(result.content, result.html);
     const clipboardEndTime = performance.now();
     console.log(`[Performance] Clipboard operation alone: ${(clipboardEndTime - clipboardStartTime).toFixed(2)}ms`);
     perfMonitor.checkpoint("clipboard written");
 
+    // Only copies that reached the clipboard count as template uses
+    if (result.usedTemplateId) {
+      await recordTemplateUsage(result.usedTemplateId);
+    }
+
     // Prepare notification
     const notificationTabId = await determineNotificationTarget(tab);
     perfMonitor.checkpoint("notification prep");
@@ -588,7 +608,9 @@ async function handleCopyUrl(tabId = null, tabSnapshot = null) {
 }
 
 // 复制到剪贴板 - 使用 offscreen document
-async function copyToClipboard(text) {
+// @param {string} text - 纯文本内容
+// @param {string|null} html - 可选的 HTML 内容，与纯文本一起写入（富文本粘贴）
+async function copyToClipboard(text, html = null) {
   const perfMonitor = new PerformanceMonitor("copyToClipboard");
 
   try {
@@ -600,6 +622,7 @@ async function copyToClipboard(text) {
     const response = await chrome.runtime.sendMessage({
       action: "copy",
       text: text,
+      html: html,
     });
     perfMonitor.checkpoint("copy message sent");
 
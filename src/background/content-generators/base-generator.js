@@ -7,7 +7,9 @@
 export class BaseContentGenerator {
   /**
    * Generate content based on tab and settings
-   * @returns {Promise<object>} { content, message, format, templateName }
+   * @returns {Promise<object>} { content, html?, message, format, templateName }
+   *   `html` is set for rich text output; `content` is then its plain text
+   *   fallback
    */
   async generate() {
     throw new Error("generate() must be implemented by subclass");
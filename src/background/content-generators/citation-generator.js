@@ -0,0 +1,40 @@
+// Citation content generator (APA, MLA, Chicago, BibTeX, RIS)
+
+import { processUrl } from "../../shared/constants.js";
+import { getLocalMessage } from "../../shared/ui/i18n.js";
+import { CITATION_FORMATS } from "../../shared/citations.js";
+import { BaseContentGenerator } from "./base-generator.js";
+
+/**
+ * Generator for the citation formats of CITATION_FORMATS; the format is
+ * taken from formatInfo.type
+ */
+export class CitationContentGenerator extends BaseContentGenerator {
+  async generate(formatInfo, tab, settings, helpers) {
+    const format = formatInfo.type;
+    const [title, metadata, url] = await Promise.all([
+      helpers.getPageTitle(tab.id, tab.url, tab),
+      helpers.getPageMetadata(tab.id),
+      processUrl(tab.url, settings.urlCleaning),
+    ]);
+
+    const { name, format: formatCitation } = CITATION_FORMATS[format];
+    const content = formatCitation({
+      url,
+      title,
+      author: metadata.author,
+      publishedDate: metadata.publishedDate,
+      siteName: metadata.siteName,
+      accessDate: new Date(),
+    });
+
+    return {
+      content,
+      message:
+        getLocalMessage("citationCopied")?.replace("{format}", name) ||
+        `${name} citation copied`,
+      format,
+      templateName: null,
+    };
+  }
+}
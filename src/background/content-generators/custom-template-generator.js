@@ -4,8 +4,10 @@ import {
   processUrl,
   getAllTemplates,
   processTemplateWithFallback,
+  templateEngine,
 } from "../../shared/constants.js";
 import { getLocalMessage } from "../../shared/ui/i18n.js";
+import { htmlToPlainText } from "../../shared/formatters.js";
 import { BaseContentGenerator } from "./base-generator.js";
 
 /**
@@ -33,15 +35,17 @@ export class CustomTemplateContentGenerator extends BaseContentGenerator {
 
       if (template) {
         templateName = template.name;
-        const templateStr = template.template;
+        const fields = await templateEngine.collectTemplateFields(
+          template.template,
+        );
 
         // 优化: 只在模板需要时才获取 title
-        if (templateStr.includes("{{title}}")) {
+        if (fields.includes("title")) {
           context.title = await helpers.getPageTitle(tab.id, tab.url, tab);
         }
 
         // 优化: 只在模板需要元数据时才获取（懒加载）
-        if (templateStr.includes("{{author}}") || templateStr.includes("{{description}}")) {
+        if (fields.includes("author") || fields.includes("description")) {
           console.log("[Performance] Template needs metadata, fetching...");
           const metadata = await helpers.getPageMetadata(tab.id);
           context.author = metadata.author || "";
@@ -51,7 +55,7 @@ export class CustomTemplateContentGenerator extends BaseContentGenerator {
         }
 
         // 优化: 只在模板需要短链时才生成
-        if (templateStr.includes("{{shortUrl}}")) {
+        if (fields.includes("shortUrl")) {
           console.log("[Performance] Template needs short URL, generating...");
           try {
             const shortUrl = await helpers.handleCreateShortUrl(
@@ -75,14 +79,20 @@ export class CustomTemplateContentGenerator extends BaseContentGenerator {
         await processUrl(tab.url, settings.urlCleaning),
       );
 
+      // Rich text templates produce HTML; plain text is derived from it
+      const html = result.success && template?.richText ? result.content : null;
+
       return {
-        content: result.content,
+        content: html ? htmlToPlainText(html) : result.content,
+        html,
         message: result.success
           ? getLocalMessage("customTemplateCopied") ||
             `${result.templateName} copied`
           : getLocalMessage("urlCopied"),
         format: "custom",
         templateName,
+        // Usage is recorded by the caller once the copy has succeeded
+        usedTemplateId: result.success ? templateId : null,
       };
     } catch (error) {
       console.debug("Error processing custom template:", error);
@@ -2,8 +2,13 @@
 
 import { UrlContentGenerator } from "./url-generator.js";
 import { MarkdownContentGenerator } from "./markdown-generator.js";
+import { HtmlLinkContentGenerator } from "./html-link-generator.js";
+import { LinkFormatContentGenerator } from "./link-format-generator.js";
+import { CitationContentGenerator } from "./citation-generator.js";
 import { ShortUrlContentGenerator } from "./short-url-generator.js";
 import { CustomTemplateContentGenerator } from "./custom-template-generator.js";
+import { isLinkFormat } from "../../shared/link-formats.js";
+import { isCitationFormat } from "../../shared/citations.js";
 
 /**
  * Factory class for creating content generators based on format type
@@ -12,16 +17,30 @@ export class ContentGeneratorFactory {
   static generators = {
     url: new UrlContentGenerator(),
     markdown: new MarkdownContentGenerator(),
+    htmlLink: new HtmlLinkContentGenerator(),
     shortUrl: new ShortUrlContentGenerator(),
     custom: new CustomTemplateContentGenerator(),
   };
 
+  // Shared by all markup dialects (slack, jira, latex, ...)
+  static linkFormatGenerator = new LinkFormatContentGenerator();
+
+  // Shared by all citation styles (apa, mla, bibtex, ...)
+  static citationGenerator = new CitationContentGenerator();
+
   /**
    * Get generator for specified format type
-   * @param {string} type - Format type (url, markdown, shortUrl, custom)
+   * @param {string} type - Format type (url, markdown, htmlLink, shortUrl,
+   *   custom, or a LINK_FORMATS or CITATION_FORMATS key)
    * @returns {BaseContentGenerator} Generator instance
    */
   static getGenerator(type) {
+    if (isLinkFormat(type)) {
+      return this.linkFormatGenerator;
+    }
+    if (isCitationFormat(type)) {
+      return this.citationGenerator;
+    }
     return this.generators[type] || this.generators.url;
   }
 
@@ -31,7 +50,7 @@ export class ContentGeneratorFactory {
    * @param {object} tab - Tab object
    * @param {object} settings - User settings
    * @param {object} helpers - Helper functions
-   * @returns {Promise<object>} { content, message, format, templateName }
+   * @returns {Promise<object>} { content, html?, message, format, templateName }
    */
   static async generate(formatInfo, tab, settings, helpers) {
     const generator = this.getGenerator(formatInfo.type);
@@ -0,0 +1,23 @@
+// HTML link content generator
+
+import { getLocalMessage } from "../../shared/ui/i18n.js";
+import { createHtmlLink, htmlToPlainText } from "../../shared/formatters.js";
+import { BaseContentGenerator } from "./base-generator.js";
+
+/**
+ * Generator for HTML link format (rich text with plain text fallback)
+ */
+export class HtmlLinkContentGenerator extends BaseContentGenerator {
+  async generate(formatInfo, tab, settings, helpers) {
+    const title = await helpers.getPageTitle(tab.id, tab.url, tab);
+    const html = await createHtmlLink(tab.url, title, settings.urlCleaning);
+
+    return {
+      content: htmlToPlainText(html),
+      html,
+      message: getLocalMessage("htmlLinkCopied") || "Link copied as rich text",
+      format: "htmlLink",
+      templateName: null,
+    };
+  }
+}
@@ -3,6 +3,9 @@
 export { BaseContentGenerator } from "./base-generator.js";
 export { UrlContentGenerator } from "./url-generator.js";
 export { MarkdownContentGenerator } from "./markdown-generator.js";
+export { HtmlLinkContentGenerator } from "./html-link-generator.js";
+export { LinkFormatContentGenerator } from "./link-format-generator.js";
+export { CitationContentGenerator } from "./citation-generator.js";
 export { ShortUrlContentGenerator } from "./short-url-generator.js";
 export { CustomTemplateContentGenerator } from "./custom-template-generator.js";
 export { ContentGeneratorFactory } from "./generator-factory.js";
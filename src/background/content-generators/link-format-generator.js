@@ -0,0 +1,33 @@
+// Markup dialect link generator (Slack, Jira, LaTeX, ...)
+
+import { getLocalMessage } from "../../shared/ui/i18n.js";
+import { createFormattedLink } from "../../shared/formatters.js";
+import { LINK_FORMATS } from "../../shared/link-formats.js";
+import { BaseContentGenerator } from "./base-generator.js";
+
+/**
+ * Generator for the link formats of LINK_FORMATS; the format is taken
+ * from formatInfo.type
+ */
+export class LinkFormatContentGenerator extends BaseContentGenerator {
+  async generate(formatInfo, tab, settings, helpers) {
+    const format = formatInfo.type;
+    const title = await helpers.getPageTitle(tab.id, tab.url, tab);
+    const content = await createFormattedLink(
+      format,
+      tab.url,
+      title,
+      settings.urlCleaning,
+    );
+    const name = LINK_FORMATS[format].name;
+
+    return {
+      content,
+      message:
+        getLocalMessage("formattedLinkCopied")?.replace("{format}", name) ||
+        `${name} link copied`,
+      format,
+      templateName: null,
+    };
+  }
+}
@@ -489,12 +489,46 @@ class SmartPageNotifications {
 // 创建智能通知管理器
 const smartNotifications = new SmartPageNotifications();
 
-// 提取页面元数据（author 和 description）
+// 读取第一个有内容的 meta 标签
+function getMetaContent(selectors) {
+  for (const selector of selectors) {
+    const meta = document.querySelector(selector);
+    if (meta && meta.content && meta.content.trim()) {
+      return meta.content.trim();
+    }
+  }
+  return "";
+}
+
+// 读取 JSON-LD 结构化数据中的文章/网页对象（支持 @graph 和数组）
+function getJsonLdObjects() {
+  const objects = [];
+
+  document
+    .querySelectorAll('script[type="application/ld+json"]')
+    .forEach((script) => {
+      try {
+        const data = JSON.parse(script.textContent);
+        const items = Array.isArray(data) ? data : [data];
+        items.forEach((item) => {
+          objects.push(item, ...(Array.isArray(item?.["@graph"]) ? item["@graph"] : []));
+        });
+      } catch {
+        // 忽略格式错误的 JSON-LD
+      }
+    });
+
+  return objects.filter((item) => item && typeof item === "object");
+}
+
+// 提取页面元数据（author、description、发布日期和站点名称）
 // 支持同步和异步调用，会等待 DOM 加载完成
 async function extractPageMetadata() {
   const metadata = {
     author: "",
     description: "",
+    publishedDate: "",
+    siteName: "",
   };
 
   try {
@@ -571,6 +605,48 @@ async function extractPageMetadata() {
       }
     }
 
+    // 提取发布日期（用于引文格式）
+    // 1. Open Graph / 学术 / Dublin Core 标签
+    metadata.publishedDate = getMetaContent([
+      'meta[property="article:published_time"]',
+      'meta[name="citation_publication_date"]',
+      'meta[name="citation_date"]',
+      'meta[name="DC.date.issued" i]',
+      'meta[name="DC.date" i]',
+      'meta[itemprop="datePublished"]',
+    ]);
+
+    // 2. JSON-LD datePublished
+    const jsonLd = getJsonLdObjects();
+    if (!metadata.publishedDate) {
+      const article = jsonLd.find((item) => typeof item.datePublished === "string");
+      metadata.publishedDate = article ? article.datePublished.trim() : "";
+    }
+
+    // 3. 文章中的 <time datetime>
+    if (!metadata.publishedDate) {
+      const time = document.querySelector("article time[datetime]");
+      metadata.publishedDate = time ? time.getAttribute("datetime").trim() : "";
+    }
+
+    // 提取站点名称
+    // 1. Open Graph / application-name
+    metadata.siteName = getMetaContent([
+      'meta[property="og:site_name"]',
+      'meta[name="application-name"]',
+    ]);
+
+    // 2. JSON-LD WebSite 或 publisher
+    if (!metadata.siteName) {
+      const website = jsonLd.find(
+        (item) => item["@type"] === "WebSite" && typeof item.name === "string",
+      );
+      const publisher = jsonLd.find(
+        (item) => typeof item.publisher?.name === "string",
+      )?.publisher;
+      metadata.siteName = (website?.name || publisher?.name || "").trim();
+    }
+
     console.log("[Metadata] Extracted page metadata:", metadata);
     console.log("[Metadata] Document readyState:", document.readyState);
     console.log("[Metadata] Current URL:", location.href);
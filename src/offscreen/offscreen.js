@@ -14,7 +14,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
   if (message.action === "copy") {
     console.log("处理复制请求:", message.text);
-    handleClipboardWrite(message.text)
+    handleClipboardWrite(message.text, message.html)
       .then(() => {
         console.log("Offscreen copy successful");
         sendResponse({ success: true });
@@ -31,7 +31,23 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return true;
 });
 
-async function handleClipboardWrite(data) {
+// 同时写入 text/plain 与 text/html（富文本粘贴时显示为可点击链接）
+function writeRichText(text, html) {
+  const onCopy = (event) => {
+    event.clipboardData.setData("text/plain", text);
+    event.clipboardData.setData("text/html", html);
+    event.preventDefault();
+  };
+
+  document.addEventListener("copy", onCopy);
+  try {
+    return document.execCommand("copy");
+  } finally {
+    document.removeEventListener("copy", onCopy);
+  }
+}
+
+async function handleClipboardWrite(data, html = null) {
   try {
     if (typeof data !== "string") {
       throw new TypeError(
@@ -39,6 +55,15 @@ async function handleClipboardWrite(data) {
       );
     }
 
+    if (typeof html === "string" && html) {
+      if (!writeRichText(data, html)) {
+        throw new Error("execCommand copy failed");
+      }
+
+      console.log("Rich text clipboard copy successful using execCommand");
+      return;
+    }
+
     const textEl = document.querySelector("#text");
     if (!textEl) {
       throw new Error("Text element not found");
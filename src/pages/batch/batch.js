@@ -59,6 +59,7 @@ document.addEventListener("DOMContentLoaded", async () => {
     await loadTemplatesIntoSelect(silentCopyFormat, {
       includeIcons: true,
       clearExisting: true,
+      sortOrder: await settingsManager.getSetting("templateSortOrder"),
       onError: (error) => {
         console.debug("Failed to load custom templates in batch:", error);
       },
@@ -1,10 +1,13 @@
 // Event handlers for batch page
 
-import { globalShortUrlThrottle } from "../../shared/constants.js";
+import {
+  globalShortUrlThrottle,
+  recordTemplateUsage,
+} from "../../shared/constants.js";
 import toast from "../../shared/toast.js";
 import { getLocalMessage } from "../../shared/ui/i18n.js";
 import { copyToClipboard } from "../../shared/clipboard-helper.js";
-import { formatOutput } from "./format-generators.js";
+import { formatOutput, formatClipboardOutput } from "./format-generators.js";
 
 /**
  * Show preview modal with formatted content
@@ -106,9 +109,14 @@ export async function performCopy(selectedTabs, format, cleaningMode) {
     });
 
     try {
-      const content = await formatOutput(selectedTabs, format, cleaningMode);
-      const result = await copyToClipboard(content, {
+      const { text, html } = await formatClipboardOutput(
+        selectedTabs,
+        format,
+        cleaningMode,
+      );
+      const result = await copyToClipboard(text, {
         source: "batch",
+        html,
         showNotification: false,
         trackAnalytics: false, // Will track manually below
       });
@@ -118,15 +126,24 @@ export async function performCopy(selectedTabs, format, cleaningMode) {
       globalShortUrlThrottle.clearProgressCallback();
     }
   } else {
-    const content = await formatOutput(selectedTabs, format, cleaningMode);
-    const result = await copyToClipboard(content, {
+    const { text, html } = await formatClipboardOutput(
+      selectedTabs,
+      format,
+      cleaningMode,
+    );
+    const result = await copyToClipboard(text, {
       source: "batch",
+      html,
       showNotification: false,
       trackAnalytics: false, // Will track manually below
     });
     success = result.success;
   }
 
+  if (success && format.startsWith("custom:")) {
+    await recordTemplateUsage(format.substring(7));
+  }
+
   // Track batch copy event
   const duration = Date.now() - startTime;
   const urlCleaning =
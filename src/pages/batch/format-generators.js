@@ -4,12 +4,23 @@ import {
   processUrl,
   isRestrictedPage,
   findTemplateById,
-  processTemplateWithFallback,
+  processBatchTemplate,
   getOrGenerateShortUrl,
+  templateEngine,
 } from "../../shared/constants.js";
 import settingsManager from "../../shared/settings-manager.js";
 import { getLocalMessage } from "../../shared/ui/i18n.js";
-import { createMarkdownListItem } from "../../shared/formatters.js";
+import {
+  createMarkdownListItem,
+  createHtmlLink,
+  createFormattedLink,
+  htmlToPlainText,
+} from "../../shared/formatters.js";
+import { isLinkFormat } from "../../shared/link-formats.js";
+import {
+  isCitationFormat,
+  createBibliography,
+} from "../../shared/citations.js";
 
 /**
  * Get page metadata (author and description) from content script
@@ -80,77 +91,122 @@ export async function getPageMetadata(tabId) {
 }
 
 /**
- * Format output based on selected format
+ * Render a custom template for the given tabs
+ * @param {Array} tabs - Tabs to render
+ * @param {string} templateId - Template ID
+ * @param {string} cleaningMode - URL cleaning mode
+ * @returns {Promise<{content: string, richText: boolean}>} Output, and whether
+ *   it is HTML meant for rich text copying (false for URL fallbacks)
  */
-export async function formatOutput(tabs, format, cleaningMode) {
-  // Handle custom templates
-  if (format.startsWith("custom:")) {
-    const templateId = format.substring(7); // Remove 'custom:' prefix
+async function formatCustomTemplate(tabs, templateId, cleaningMode) {
+  try {
+    const template = await findTemplateById(templateId);
 
-    try {
-      const template = await findTemplateById(templateId);
+    // If template doesn't exist (deleted), use fallback
+    if (!template) {
+      console.debug(`Template ${templateId} not found, using fallback`);
+      const urls = await Promise.all(
+        tabs.map((tab) => processUrl(tab.url, cleaningMode)),
+      );
+      return { content: urls.join("\n"), richText: false };
+    }
 
-      // If template doesn't exist (deleted), use fallback
-      if (!template) {
-        console.debug(`Template ${templateId} not found, using fallback`);
-        const urls = await Promise.all(
-          tabs.map((tab) => processUrl(tab.url, cleaningMode)),
-        );
-        return urls.join("\n");
-      }
+    // Fields used by the template and the partials it includes
+    const fields = await templateEngine.collectTemplateFields(
+      template.template,
+    );
 
-      // Process multiple tabs, one per line
-      const results = await Promise.all(
-        tabs.map(async (tab) => {
-          const metadata = await getPageMetadata(tab.id);
-
-          const context = {
-            url: tab.url,
-            title: tab.title || "",
-            urlCleaning: cleaningMode,
-            shortUrl: "",
-            author: metadata.author || "",
-            description: metadata.description || "",
-          };
-
-          // Generate short URL if template includes {{shortUrl}}
-          if (template.template.includes("{{shortUrl}}")) {
-            try {
-              const selectedService =
-                await settingsManager.getSetting("shortUrlService");
-              context.shortUrl = await getOrGenerateShortUrl(
-                tab.url,
-                cleaningMode,
-                selectedService,
-              );
-            } catch (error) {
-              console.debug(
-                "Error generating short URL for template:",
-                error,
-              );
-              context.shortUrl = await processUrl(tab.url, cleaningMode);
-            }
+    // Build one context per tab, then render header/items/footer together
+    const contexts = await Promise.all(
+      tabs.map(async (tab) => {
+        const metadata = await getPageMetadata(tab.id);
+
+        const context = {
+          url: tab.url,
+          title: tab.title || "",
+          urlCleaning: cleaningMode,
+          shortUrl: "",
+          author: metadata.author || "",
+          description: metadata.description || "",
+          windowId: tab.windowId,
+          tabIndex: typeof tab.index === "number" ? tab.index + 1 : undefined,
+        };
+
+        // Generate short URL if template includes {{shortUrl}}
+        if (fields.includes("shortUrl")) {
+          try {
+            const selectedService =
+              await settingsManager.getSetting("shortUrlService");
+            context.shortUrl = await getOrGenerateShortUrl(
+              tab.url,
+              cleaningMode,
+              selectedService,
+            );
+          } catch (error) {
+            console.debug(
+              "Error generating short URL for template:",
+              error,
+            );
+            context.shortUrl = await processUrl(tab.url, cleaningMode);
           }
+        }
 
-          const result = await processTemplateWithFallback(
-            templateId,
-            context,
-            await processUrl(tab.url, cleaningMode),
-          );
+        return context;
+      }),
+    );
 
-          return result.content;
-        }),
-      );
+    return {
+      content: await processBatchTemplate(template, contexts),
+      richText: Boolean(template.richText),
+    };
+  } catch (error) {
+    console.debug("Error processing custom template:", error);
+    // Use fallback
+    const urls = await Promise.all(
+      tabs.map((tab) => processUrl(tab.url, cleaningMode)),
+    );
+    return { content: urls.join("\n"), richText: false };
+  }
+}
 
-      return results.join("\n");
-    } catch (error) {
-      console.debug("Error processing custom template:", error);
-      // Use fallback
-      const urls = await Promise.all(
-        tabs.map((tab) => processUrl(tab.url, cleaningMode)),
-      );
-      return urls.join("\n");
-    }
+/**
+ * Format output based on selected format
+ */
+export async function formatOutput(tabs, format, cleaningMode) {
+  // Handle custom templates
+  if (format.startsWith("custom:")) {
+    const templateId = format.substring(7); // Remove 'custom:' prefix
+    return (await formatCustomTemplate(tabs, templateId, cleaningMode)).content;
+  }
+
+  // Markup dialects: one link per line
+  if (isLinkFormat(format)) {
+    const links = await Promise.all(
+      tabs.map((tab) => {
+        const title = tab.title || getLocalMessage("untitled");
+        return createFormattedLink(format, tab.url, title, cleaningMode);
+      }),
+    );
+    return links.join("\n");
+  }
+
+  // Citation styles: a bibliography of all tabs
+  if (isCitationFormat(format)) {
+    const accessDate = new Date();
+    const entries = await Promise.all(
+      tabs.map(async (tab) => {
+        const metadata = await getPageMetadata(tab.id);
+        return {
+          url: await processUrl(tab.url, cleaningMode),
+          title: tab.title || "",
+          author: metadata.author || "",
+          publishedDate: metadata.publishedDate || "",
+          siteName: metadata.siteName || "",
+          accessDate,
+        };
+      }),
+    );
+    return createBibliography(format, entries);
   }
 
   // Handle built-in formats
@@ -171,6 +227,15 @@ export async function formatOutput(tabs, format, cleaningMode) {
       );
       return markdownLinks.join("\n");
 
+    case "htmlLink":
+      const htmlLinks = await Promise.all(
+        tabs.map(async (tab) => {
+          const title = tab.title || getLocalMessage("untitled");
+          return await createHtmlLink(tab.url, title, cleaningMode);
+        }),
+      );
+      return htmlLinks.join("<br>\n");
+
     case "shortUrl":
       const selectedService =
         await settingsManager.getSetting("shortUrlService");
@@ -199,3 +264,33 @@ export async function formatOutput(tabs, format, cleaningMode) {
       return defaultUrls.join("\n");
   }
 }
+
+/**
+ * Format output for the clipboard
+ * HTML formats are copied as rich text with a plain text fallback.
+ * @param {Array} tabs - Tabs to format
+ * @param {string} format - Selected format
+ * @param {string} cleaningMode - URL cleaning mode
+ * @returns {Promise<{text: string, html: string|null}>} Clipboard data
+ */
+export async function formatClipboardOutput(tabs, format, cleaningMode) {
+  let html = null;
+
+  if (format === "htmlLink") {
+    html = await formatOutput(tabs, format, cleaningMode);
+  } else if (format.startsWith("custom:")) {
+    const { content, richText } = await formatCustomTemplate(
+      tabs,
+      format.substring(7),
+      cleaningMode,
+    );
+    if (!richText) {
+      return { text: content, html: null };
+    }
+    html = content;
+  } else {
+    return { text: await formatOutput(tabs, format, cleaningMode), html: null };
+  }
+
+  return { text: htmlToPlainText(html), html };
+}
@@ -108,7 +108,9 @@ export function updateIconSelector(iconValue) {
   selector.querySelectorAll('.icon-option').forEach((opt) => opt.classList.remove('active'));
 
   // Find and activate the matching option
-  const matchingOption = selector.querySelector(`[data-icon="${iconValue}"]`);
+  const matchingOption = [...selector.querySelectorAll('.icon-option')].find(
+    (opt) => opt.dataset.icon === iconValue,
+  );
   if (matchingOption) {
     matchingOption.classList.add('active');
   } else {
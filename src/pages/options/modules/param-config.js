@@ -1,12 +1,18 @@
 /**
  * Parameter Configuration Module
- * Handles URL parameter rules management (tracking and functional parameters)
+ * Handles URL parameter rules management (tracking and functional parameters,
+ * globally and per site, plus path and fragment rules)
  */
 
 import {
   getCustomParamRules,
   saveCustomParamRules,
   DEFAULT_PARAM_RULES,
+  DEFAULT_SITE_RULES,
+  cloneSiteRules,
+  normalizeHostPattern,
+  validateParamRule,
+  normalizeParamRule,
 } from '../../../shared/constants.js';
 import toast from '../../../shared/toast.js';
 import { getLocalMessage } from '../../../shared/ui/i18n.js';
@@ -29,9 +35,11 @@ function createParamTag(param, category) {
   tag.setAttribute('data-param', param);
   tag.setAttribute('data-category', category);
   tag.innerHTML = `
-    <span class="param-name">${param}</span>
-    <button class="param-remove" data-param="${param}" data-category="${category}" title="${getLocalMessage('removeParam') || '删除'}">×</button>
+    <span class="param-name"></span>
+    <button class="param-remove" title="${getLocalMessage('removeParam') || '删除'}">×</button>
   `;
+  // Rules may be regular expressions, so never parse them as HTML
+  tag.querySelector('.param-name').textContent = param;
 
   // Add click event for editing
   const paramNameSpan = tag.querySelector('.param-name');
@@ -262,27 +270,28 @@ function hideAddParamModal() {
 
 /**
  * Validate parameter name
+ * Accepts names, wildcards (utm_*), regular expressions (/^_hs/) and
+ * value conditions (ref=/^tw/), see param-rules.js.
  * @param {string} paramName - Parameter name to validate
  * @returns {Object} Validation result with valid flag and error message
  */
 function validateParamName(paramName) {
-  if (!paramName || paramName.trim() === '') {
-    return {
-      valid: false,
-      error: getLocalMessage('paramNameEmpty') || '参数名不能为空',
-    };
+  const result = validateParamRule(paramName);
+  if (result.valid) {
+    return { valid: true };
   }
 
-  // Only allow letters, numbers, and underscores
-  const validPattern = /^[a-zA-Z0-9_]+$/;
-  if (!validPattern.test(paramName)) {
-    return {
-      valid: false,
-      error: getLocalMessage('paramNameInvalid') || '参数名只能包含字母、数字、下划线',
-    };
-  }
-
-  return { valid: true };
+  const messages = {
+    empty: getLocalMessage('paramNameEmpty') || '参数名不能为空',
+    name:
+      getLocalMessage('paramNameInvalid') ||
+      '参数名只能包含字母、数字、_ - . 和通配符 * ?，或使用 /正则表达式/',
+    value: getLocalMessage('paramValueEmpty') || '等号后需要填写参数值的匹配规则',
+    regex:
+      getLocalMessage('paramRegexInvalid')?.replace('{error}', result.message) ||
+      `正则表达式无效：${result.message}`,
+  };
+  return { valid: false, error: messages[result.error] };
 }
 
 /**
@@ -300,12 +309,12 @@ async function addParam(category, paramName) {
       return false;
     }
 
-    const lowerParamName = paramName.toLowerCase().trim();
+    const lowerParamName = normalizeParamRule(paramName);
     const rules = await getCustomParamRules();
 
     // Edit mode: update existing parameter
     if (isEditMode && currentEditingParam) {
-      const lowerCurrentParam = currentEditingParam.toLowerCase();
+      const lowerCurrentParam = normalizeParamRule(currentEditingParam);
 
       // If name hasn't changed, just close modal
       if (lowerParamName === lowerCurrentParam) {
@@ -467,6 +476,7 @@ async function resetTrackingParams() {
   try {
     const currentRules = await getCustomParamRules();
     const success = await saveCustomParamRules({
+      ...currentRules,
       tracking: [...DEFAULT_PARAM_RULES.tracking],
       functional: currentRules.functional, // Keep functional params unchanged
     });
@@ -505,6 +515,7 @@ async function resetFunctionalParams() {
   try {
     const currentRules = await getCustomParamRules();
     const success = await saveCustomParamRules({
+      ...currentRules,
       tracking: currentRules.tracking, // Keep tracking params unchanged
       functional: [...DEFAULT_PARAM_RULES.functional],
     });
@@ -527,6 +538,419 @@ async function resetFunctionalParams() {
   }
 }
 
+/**
+ * Create a removable rule tag for the inline rule editors
+ * @param {string} entry - Rule entry
+ * @param {Function} onRemove - Called when the tag's remove button is clicked
+ * @returns {HTMLElement} Parameter tag element
+ */
+function createRuleTag(entry, onRemove) {
+  const tag = document.createElement('div');
+  tag.className = 'param-tag';
+  tag.innerHTML = `
+    <span class="param-name"></span>
+    <button class="param-remove" title="${getLocalMessage('removeParam') || '删除'}">×</button>
+  `;
+  tag.querySelector('.param-name').textContent = entry;
+  tag.querySelector('.param-remove').addEventListener('click', onRemove);
+  return tag;
+}
+
+/**
+ * Create a labelled row of rule tags with an inline input for adding
+ * @param {string} label - Row label
+ * @param {Array<string>} entries - Rule entries
+ * @param {Function} onAdd - Called with the entered rule; resolves to success
+ * @param {Function} onRemove - Called with the rule to remove
+ * @returns {HTMLElement} Row element
+ */
+function createRuleRow(label, entries, onAdd, onRemove) {
+  const row = document.createElement('div');
+  row.className = 'site-rule-row';
+  row.innerHTML = `
+    <span class="site-rule-label"></span>
+    <div class="site-rule-tags"></div>
+  `;
+  row.querySelector('.site-rule-label').textContent = label;
+
+  const tags = row.querySelector('.site-rule-tags');
+  [...entries].sort().forEach((entry) => {
+    tags.appendChild(createRuleTag(entry, () => onRemove(entry)));
+  });
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'site-param-input';
+  input.placeholder = getLocalMessage('addParam') || '添加参数';
+  input.addEventListener('keydown', async (e) => {
+    if (e.key === 'Enter' && input.value.trim()) {
+      if (!(await onAdd(input.value.trim()))) {
+        input.classList.add('error');
+      }
+    }
+  });
+  input.addEventListener('input', () => input.classList.remove('error'));
+  tags.appendChild(input);
+
+  return row;
+}
+
+/**
+ * Create the editor for one site rule
+ * @param {{host: string, tracking: string[], functional: string[]}} site - Site rule
+ * @returns {HTMLElement} Site rule element
+ */
+function createSiteRuleItem(site) {
+  const item = document.createElement('div');
+  item.className = 'site-rule';
+  item.innerHTML = `
+    <div class="site-rule-header">
+      <span class="site-rule-host"></span>
+      <button class="site-rule-remove" title="${getLocalMessage('removeSiteRule') || '删除站点规则'}">×</button>
+    </div>
+  `;
+  item.querySelector('.site-rule-host').textContent = site.host;
+  item.querySelector('.site-rule-remove').addEventListener('click', () => removeSiteRule(site.host));
+
+  const labels = {
+    tracking: getLocalMessage('trackingParams') || '跟踪参数',
+    functional: getLocalMessage('functionalParams') || '功能参数',
+  };
+
+  ['tracking', 'functional'].forEach((category) => {
+    item.appendChild(
+      createRuleRow(
+        labels[category],
+        site[category],
+        (param) => addSiteParam(site.host, category, param),
+        (param) => removeSiteParam(site.host, category, param),
+      ),
+    );
+  });
+
+  return item;
+}
+
+/**
+ * Render all site rules
+ * @param {Array} sites - Site rules
+ */
+function renderSiteRules(sites) {
+  if (!elements.siteRulesList) {
+    return;
+  }
+
+  elements.siteRulesList.innerHTML = '';
+  sites.forEach((site) => {
+    elements.siteRulesList.appendChild(createSiteRuleItem(site));
+  });
+}
+
+/**
+ * Load site rules from storage
+ * @returns {Promise<void>}
+ */
+async function loadSiteRules() {
+  try {
+    const rules = await getCustomParamRules();
+    renderSiteRules(rules.sites);
+  } catch (error) {
+    console.debug('[ParamConfig] Failed to load site rules:', error);
+  }
+}
+
+/**
+ * Save changed site rules and re-render them
+ * @param {Object} rules - Parameter rules with updated sites
+ * @param {string} successMessage - Toast shown after saving
+ * @returns {Promise<boolean>} Success status
+ */
+async function saveSiteRules(rules, successMessage) {
+  const success = await saveCustomParamRules(rules);
+  if (success) {
+    renderSiteRules(rules.sites);
+    toast.show(successMessage, 'success');
+  } else {
+    toast.show(getLocalMessage('siteRuleSaveFailed') || '保存站点规则失败', 'error');
+  }
+  return success;
+}
+
+/**
+ * Add a site rule from the host input
+ * @returns {Promise<void>}
+ */
+async function addSiteRule() {
+  const host = normalizeHostPattern(elements.siteHostInput.value);
+  if (!host) {
+    toast.show(
+      getLocalMessage('siteHostInvalid') || '请输入网站域名，例如 example.com 或 *.example.com',
+      'error',
+    );
+    elements.siteHostInput.classList.add('error');
+    return;
+  }
+
+  try {
+    const rules = await getCustomParamRules();
+    if (rules.sites.some((site) => site.host === host)) {
+      toast.show(
+        getLocalMessage('siteRuleExists')?.replace('{host}', host) || `站点 "${host}" 已有规则`,
+        'error',
+      );
+      elements.siteHostInput.classList.add('error');
+      return;
+    }
+
+    rules.sites.push({ host, tracking: [], functional: [] });
+    if (await saveSiteRules(rules, getLocalMessage('siteRuleAdded') || '站点规则已添加')) {
+      elements.siteHostInput.value = '';
+    }
+  } catch (error) {
+    console.debug('[ParamConfig] Failed to add site rule:', error);
+    toast.show(getLocalMessage('siteRuleSaveFailed') || '保存站点规则失败', 'error');
+  }
+}
+
+/**
+ * Remove a site rule
+ * @param {string} host - Site host pattern
+ * @returns {Promise<void>}
+ */
+async function removeSiteRule(host) {
+  try {
+    const rules = await getCustomParamRules();
+    rules.sites = rules.sites.filter((site) => site.host !== host);
+    await saveSiteRules(rules, getLocalMessage('siteRuleRemoved') || '站点规则已删除');
+  } catch (error) {
+    console.debug('[ParamConfig] Failed to remove site rule:', error);
+    toast.show(getLocalMessage('siteRuleSaveFailed') || '保存站点规则失败', 'error');
+  }
+}
+
+/**
+ * Add a parameter to a site rule
+ * @param {string} host - Site host pattern
+ * @param {string} category - Category ('tracking' or 'functional')
+ * @param {string} paramName - Parameter name
+ * @returns {Promise<boolean>} Success status
+ */
+async function addSiteParam(host, category, paramName) {
+  const validation = validateParamName(paramName);
+  if (!validation.valid) {
+    toast.show(validation.error, 'error');
+    return false;
+  }
+
+  try {
+    const lowerParamName = normalizeParamRule(paramName);
+    const rules = await getCustomParamRules();
+    const site = rules.sites.find((s) => s.host === host);
+    if (!site) {
+      return false;
+    }
+
+    const otherCategory = category === 'tracking' ? 'functional' : 'tracking';
+    if (site[category].includes(lowerParamName)) {
+      toast.show(
+        getLocalMessage('paramExistsInSameCategory') ||
+          `Parameter "${lowerParamName}" already exists in current category`,
+        'error',
+      );
+      return false;
+    }
+    if (site[otherCategory].includes(lowerParamName)) {
+      const otherCategoryKey = category === 'tracking' ? 'paramExistsInFunctional' : 'paramExistsInTracking';
+      toast.show(
+        getLocalMessage('paramExistsInOtherCategory') ||
+          `Parameter "${lowerParamName}" already exists in ${getLocalMessage(otherCategoryKey)}`,
+        'error',
+      );
+      return false;
+    }
+
+    site[category].push(lowerParamName);
+    return await saveSiteRules(rules, getLocalMessage('paramAdded') || '参数已添加');
+  } catch (error) {
+    console.debug('[ParamConfig] Failed to add site parameter:', error);
+    toast.show(getLocalMessage('paramAddFailed') || '添加参数失败', 'error');
+    return false;
+  }
+}
+
+/**
+ * Remove a parameter from a site rule
+ * @param {string} host - Site host pattern
+ * @param {string} category - Category ('tracking' or 'functional')
+ * @param {string} paramName - Parameter name
+ * @returns {Promise<void>}
+ */
+async function removeSiteParam(host, category, paramName) {
+  try {
+    const rules = await getCustomParamRules();
+    const site = rules.sites.find((s) => s.host === host);
+    if (!site) {
+      return;
+    }
+
+    site[category] = site[category].filter((p) => p !== paramName);
+    await saveSiteRules(rules, getLocalMessage('paramRemoved') || '参数已删除');
+  } catch (error) {
+    console.debug('[ParamConfig] Failed to remove site parameter:', error);
+    toast.show(getLocalMessage('paramRemoveFailed') || '删除参数失败', 'error');
+  }
+}
+
+/**
+ * Reset site rules to defaults
+ * @returns {Promise<void>}
+ */
+async function resetSiteRules() {
+  const confirmed = confirm(getLocalMessage('resetSiteRulesConfirm') || '确定要恢复站点规则的默认配置吗？');
+  if (!confirmed) {
+    return;
+  }
+
+  try {
+    const rules = await getCustomParamRules();
+    rules.sites = cloneSiteRules(DEFAULT_SITE_RULES);
+    await saveSiteRules(rules, getLocalMessage('siteRulesReset') || '站点规则已恢复默认');
+  } catch (error) {
+    console.debug('[ParamConfig] Failed to reset site rules:', error);
+    toast.show(getLocalMessage('paramRulesResetFailed') || '恢复默认配置失败', 'error');
+  }
+}
+
+/**
+ * Render the path and fragment rule lists
+ * @param {{paths: string[], fragments: string[]}} rules - Parameter rules
+ */
+function renderUrlPartRules(rules) {
+  if (!elements.urlPartRulesList) {
+    return;
+  }
+
+  const labels = {
+    paths: getLocalMessage('pathRules') || '路径',
+    fragments: getLocalMessage('fragmentRules') || '锚点',
+  };
+
+  elements.urlPartRulesList.innerHTML = '';
+  ['paths', 'fragments'].forEach((category) => {
+    elements.urlPartRulesList.appendChild(
+      createRuleRow(
+        labels[category],
+        rules[category],
+        (entry) => addUrlPartRule(category, entry),
+        (entry) => removeUrlPartRule(category, entry),
+      ),
+    );
+  });
+}
+
+/**
+ * Load path and fragment rules from storage
+ * @returns {Promise<void>}
+ */
+async function loadUrlPartRules() {
+  try {
+    renderUrlPartRules(await getCustomParamRules());
+  } catch (error) {
+    console.debug('[ParamConfig] Failed to load path and fragment rules:', error);
+  }
+}
+
+/**
+ * Save changed path or fragment rules and re-render them
+ * @param {Object} rules - Parameter rules with updated lists
+ * @param {string} successMessage - Toast shown after saving
+ * @returns {Promise<boolean>} Success status
+ */
+async function saveUrlPartRules(rules, successMessage) {
+  const success = await saveCustomParamRules(rules);
+  if (success) {
+    renderUrlPartRules(rules);
+    toast.show(successMessage, 'success');
+  } else {
+    toast.show(getLocalMessage('paramAddFailed') || '添加参数失败', 'error');
+  }
+  return success;
+}
+
+/**
+ * Add a path or fragment rule
+ * @param {string} category - Category ('paths' or 'fragments')
+ * @param {string} entry - Rule entry
+ * @returns {Promise<boolean>} Success status
+ */
+async function addUrlPartRule(category, entry) {
+  const validation = validateParamName(entry);
+  if (!validation.valid) {
+    toast.show(validation.error, 'error');
+    return false;
+  }
+
+  try {
+    const normalized = normalizeParamRule(entry);
+    const rules = await getCustomParamRules();
+    if (rules[category].includes(normalized)) {
+      toast.show(
+        getLocalMessage('paramExistsInSameCategory') ||
+          `Parameter "${normalized}" already exists in current category`,
+        'error',
+      );
+      return false;
+    }
+
+    rules[category].push(normalized);
+    return await saveUrlPartRules(rules, getLocalMessage('paramAdded') || '参数已添加');
+  } catch (error) {
+    console.debug('[ParamConfig] Failed to add path or fragment rule:', error);
+    toast.show(getLocalMessage('paramAddFailed') || '添加参数失败', 'error');
+    return false;
+  }
+}
+
+/**
+ * Remove a path or fragment rule
+ * @param {string} category - Category ('paths' or 'fragments')
+ * @param {string} entry - Rule entry
+ * @returns {Promise<void>}
+ */
+async function removeUrlPartRule(category, entry) {
+  try {
+    const rules = await getCustomParamRules();
+    rules[category] = rules[category].filter((e) => e !== entry);
+    await saveUrlPartRules(rules, getLocalMessage('paramRemoved') || '参数已删除');
+  } catch (error) {
+    console.debug('[ParamConfig] Failed to remove path or fragment rule:', error);
+    toast.show(getLocalMessage('paramRemoveFailed') || '删除参数失败', 'error');
+  }
+}
+
+/**
+ * Reset path and fragment rules to defaults
+ * @returns {Promise<void>}
+ */
+async function resetUrlPartRules() {
+  const confirmed = confirm(
+    getLocalMessage('resetUrlPartRulesConfirm') || '确定要恢复路径与锚点规则的默认配置吗？',
+  );
+  if (!confirmed) {
+    return;
+  }
+
+  try {
+    const rules = await getCustomParamRules();
+    rules.paths = [...DEFAULT_PARAM_RULES.paths];
+    rules.fragments = [...DEFAULT_PARAM_RULES.fragments];
+    await saveUrlPartRules(rules, getLocalMessage('urlPartRulesReset') || '路径与锚点规则已恢复默认');
+  } catch (error) {
+    console.debug('[ParamConfig] Failed to reset path and fragment rules:', error);
+    toast.show(getLocalMessage('paramRulesResetFailed') || '恢复默认配置失败', 'error');
+  }
+}
+
 /**
  * Bind event listeners for parameter configuration
  */
@@ -547,6 +971,21 @@ function bindEventListeners() {
   // Reset functional parameters button
   elements.resetFunctionalParamsBtn?.addEventListener('click', resetFunctionalParams);
 
+  // Site rules
+  elements.addSiteRuleBtn?.addEventListener('click', addSiteRule);
+  elements.resetSiteRulesBtn?.addEventListener('click', resetSiteRules);
+  elements.siteHostInput?.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      addSiteRule();
+    }
+  });
+  elements.siteHostInput?.addEventListener('input', () => {
+    elements.siteHostInput.classList.remove('error');
+  });
+
+  // Path and fragment rules
+  elements.resetUrlPartRulesBtn?.addEventListener('click', resetUrlPartRules);
+
   // Modal close button
   elements.paramInputClose?.addEventListener('click', hideAddParamModal);
 
@@ -604,4 +1043,6 @@ export async function initializeParamConfig(elementsMap) {
 
   // Load parameter rules
   await loadParamRules();
+  await loadSiteRules();
+  await loadUrlPartRules();
 }
@@ -0,0 +1,138 @@
+/**
+ * Preview Context Module
+ * Sample pages and the last active tab as contexts for the template preview
+ */
+
+import { processUrl, isRestrictedPage } from '../../../shared/constants.js';
+import settingsManager from '../../../shared/settings-manager.js';
+import shortUrlCache from '../../../shared/short-url-cache.js';
+
+// Sample pages covering common shapes: tracking parameters, metadata, no
+// metadata, non-Latin text and characters that need escaping
+export const SAMPLE_CONTEXTS = [
+  {
+    id: 'article',
+    nameKey: 'previewSampleArticle',
+    name: 'Article',
+    context: {
+      url: 'https://www.arcletcopier.com/?utm_source=chrome&utm_medium=extension&utm_campaign=template_test&ref=github#features',
+      title: 'Arclet Copier - Clean & Efficient Chrome Extension for Quick URL Copying',
+      shortUrl: 'https://is.gd/ArcletCopy',
+      author: 'Rokcso',
+      description:
+        'A powerful Chrome extension for intelligent URL copying with custom templates, batch operations, short URLs, and multi-language support.',
+    },
+  },
+  {
+    id: 'repository',
+    nameKey: 'previewSampleRepository',
+    name: 'Code repository',
+    context: {
+      url: 'https://github.com/rokcso/arclet-copier/issues?q=is%3Aopen+label%3A%22good+first+issue%22',
+      title: 'Issues · rokcso/arclet-copier',
+      shortUrl: 'https://is.gd/ArcletIssues',
+      author: '',
+      description: '',
+    },
+  },
+  {
+    id: 'search',
+    nameKey: 'previewSampleSearch',
+    name: 'Search results',
+    context: {
+      url: 'https://www.google.com/search?q=markdown+[link]+(syntax)&hl=en&gclid=abc123',
+      title: 'markdown [link] (syntax) - Google Search',
+      shortUrl: 'https://is.gd/SearchMd',
+      author: '',
+      description: '',
+    },
+  },
+  {
+    id: 'international',
+    nameKey: 'previewSampleInternational',
+    name: 'Non-Latin page',
+    context: {
+      url: 'https://zh.wikipedia.org/wiki/统一资源定位符',
+      title: '统一资源定位符 – "URL" <维基百科>',
+      shortUrl: 'https://is.gd/WikiUrl',
+      author: '维基百科编者',
+      description: '统一资源定位符（URL）是因特网上标准的资源地址。',
+    },
+  },
+];
+
+// Value of the context selector for the last active tab
+export const CURRENT_TAB_CONTEXT = 'currentTab';
+
+/**
+ * Get a sample context by ID
+ * @param {string} id - Sample ID
+ * @returns {Object} Sample context (the first sample for unknown IDs)
+ */
+export function getSampleContext(id) {
+  return (SAMPLE_CONTEXTS.find((sample) => sample.id === id) || SAMPLE_CONTEXTS[0]).context;
+}
+
+/**
+ * Find the most recently used web page tab, other than extension pages
+ * @returns {Promise<Object|null>} Tab, or null when there is none
+ */
+async function findLastActiveTab() {
+  const tabs = await chrome.tabs.query({});
+  const candidates = tabs.filter((tab) => tab.url && !isRestrictedPage(tab.url));
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  // lastAccessed is missing on older browsers; prefer active tabs then
+  return candidates.reduce((best, tab) => {
+    const score = (t) => t.lastAccessed || (t.active ? 1 : 0);
+    return score(tab) > score(best) ? tab : best;
+  });
+}
+
+/**
+ * Ask the content script for page metadata, giving up after a second
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<Object>} Metadata ({author, description, ...}) or empty
+ */
+async function fetchTabMetadata(tabId) {
+  try {
+    const response = await Promise.race([
+      chrome.tabs.sendMessage(tabId, { type: 'GET_PAGE_METADATA' }),
+      new Promise((_, reject) => setTimeout(() => reject(new Error('Metadata timeout')), 1000)),
+    ]);
+    return response?.success ? response.metadata || {} : {};
+  } catch (error) {
+    console.debug('Failed to get metadata for preview:', error);
+    return {};
+  }
+}
+
+/**
+ * Build a template context from the last active tab
+ * Short URLs are taken from the cache only; the preview never creates one.
+ * @returns {Promise<Object|null>} Context, or null when no web page is open
+ */
+export async function getLastActiveTabContext() {
+  const tab = await findLastActiveTab();
+  if (!tab) {
+    return null;
+  }
+
+  const [settings, metadata] = await Promise.all([
+    settingsManager.getSettings(['urlCleaning', 'shortUrlService']),
+    fetchTabMetadata(tab.id),
+  ]);
+  const cleanedUrl = await processUrl(tab.url, settings.urlCleaning);
+  const shortUrl = await shortUrlCache.get(cleanedUrl, settings.shortUrlService);
+
+  return {
+    url: tab.url,
+    title: tab.title || '',
+    urlCleaning: settings.urlCleaning,
+    shortUrl: shortUrl || cleanedUrl,
+    author: metadata.author || '',
+    description: metadata.description || '',
+  };
+}
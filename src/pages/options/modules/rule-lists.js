@@ -0,0 +1,180 @@
+/**
+ * Rule Lists Module
+ * Handles importing community URL tracking rule lists (ClearURLs, AdGuard
+ * $removeparam) and turning them on or off; personal rules stay in
+ * param-config.js
+ */
+
+import {
+  parseRuleListFile,
+  getRuleLists,
+  addRuleList,
+  setRuleListEnabled,
+  removeRuleList,
+} from '../../../shared/constants.js';
+import toast from '../../../shared/toast.js';
+import { getLocalMessage } from '../../../shared/ui/i18n.js';
+
+// Module state
+let elements = {};
+
+// Display names of list formats
+const FORMAT_NAMES = {
+  clearurls: 'ClearURLs',
+  adguard: 'AdGuard',
+};
+
+/**
+ * Create the row of one imported list
+ * @param {Object} list - Imported list
+ * @returns {HTMLElement} List element
+ */
+function createRuleListItem(list) {
+  const item = document.createElement('div');
+  item.className = 'rule-list-item';
+  item.innerHTML = `
+    <label class="rule-list-toggle">
+      <input type="checkbox" />
+      <span class="rule-list-name"></span>
+    </label>
+    <span class="rule-list-meta"></span>
+    <button class="site-rule-remove" title="${getLocalMessage('removeRuleList') || '删除规则列表'}">×</button>
+  `;
+
+  const checkbox = item.querySelector('input');
+  checkbox.checked = list.enabled;
+  checkbox.addEventListener('change', () => toggleRuleList(list.id, checkbox));
+
+  item.querySelector('.rule-list-name').textContent = list.name;
+
+  const format = FORMAT_NAMES[list.format] || list.format;
+  const date = new Date(list.importedAt).toLocaleDateString();
+  item.querySelector('.rule-list-meta').textContent =
+    getLocalMessage('ruleListMeta')
+      ?.replace('{format}', format)
+      .replace('{count}', list.ruleCount)
+      .replace('{date}', date) || `${format} · ${list.ruleCount} 条规则 · ${date} 导入`;
+
+  item.querySelector('.site-rule-remove').addEventListener('click', () => deleteRuleList(list));
+
+  return item;
+}
+
+/**
+ * Load and render the imported lists
+ * @returns {Promise<void>}
+ */
+async function loadRuleLists() {
+  if (!elements.ruleListsList) {
+    return;
+  }
+
+  const lists = await getRuleLists();
+  elements.ruleListsList.innerHTML = '';
+
+  if (lists.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'rule-lists-empty';
+    empty.textContent = getLocalMessage('ruleListsEmpty') || '尚未导入规则列表';
+    elements.ruleListsList.appendChild(empty);
+    return;
+  }
+
+  lists.forEach((list) => {
+    elements.ruleListsList.appendChild(createRuleListItem(list));
+  });
+}
+
+/**
+ * Import a rule list file chosen by the user
+ * @param {File} file - ClearURLs data.min.json or AdGuard filter list
+ * @returns {Promise<void>}
+ */
+async function importRuleList(file) {
+  let parsed;
+  try {
+    parsed = parseRuleListFile(await file.text(), file.name);
+  } catch (error) {
+    console.debug('[RuleLists] Failed to read rule list:', error);
+    toast.error(
+      getLocalMessage('ruleListImportFailed')?.replace('{error}', error.message) ||
+        `无法导入规则列表：${error.message}`,
+    );
+    return;
+  }
+
+  const list = await addRuleList(parsed);
+  if (!list) {
+    toast.error(getLocalMessage('ruleListSaveFailed') || '保存规则列表失败');
+    return;
+  }
+
+  const message =
+    getLocalMessage('ruleListImported')
+      ?.replace('{name}', list.name)
+      .replace('{count}', list.ruleCount)
+      .replace('{skipped}', list.skipped) ||
+    `已导入“${list.name}”：${list.ruleCount} 条规则，跳过 ${list.skipped} 条不支持的规则`;
+  if (list.skipped > 0) {
+    toast.warning(message);
+  } else {
+    toast.success(message);
+  }
+  await loadRuleLists();
+}
+
+/**
+ * Turn a list on or off from its checkbox
+ * @param {string} id - List ID
+ * @param {HTMLInputElement} checkbox - The list's checkbox
+ * @returns {Promise<void>}
+ */
+async function toggleRuleList(id, checkbox) {
+  if (!(await setRuleListEnabled(id, checkbox.checked))) {
+    checkbox.checked = !checkbox.checked;
+    toast.error(getLocalMessage('ruleListSaveFailed') || '保存规则列表失败');
+  }
+}
+
+/**
+ * Delete an imported list after confirmation
+ * @param {Object} list - Imported list
+ * @returns {Promise<void>}
+ */
+async function deleteRuleList(list) {
+  const confirmed = confirm(
+    getLocalMessage('removeRuleListConfirm')?.replace('{name}', list.name) ||
+      `确定要删除规则列表“${list.name}”吗？`,
+  );
+  if (!confirmed) {
+    return;
+  }
+
+  if (await removeRuleList(list.id)) {
+    toast.success(getLocalMessage('ruleListRemoved') || '规则列表已删除');
+    await loadRuleLists();
+  } else {
+    toast.error(getLocalMessage('ruleListSaveFailed') || '保存规则列表失败');
+  }
+}
+
+/**
+ * Initialize rule lists module
+ * @param {Object} elementsMap - Map of DOM elements
+ * @returns {Promise<void>}
+ */
+export async function initializeRuleLists(elementsMap) {
+  elements = elementsMap;
+
+  elements.importRuleListBtn?.addEventListener('click', () => elements.importRuleListFile?.click());
+  elements.importRuleListFile?.addEventListener('change', async (e) => {
+    const [file] = e.target.files;
+    // Reset so choosing the same file again fires change
+    e.target.value = '';
+    if (file) {
+      await importRuleList(file);
+    }
+  });
+
+  await loadRuleLists();
+}
@@ -0,0 +1,242 @@
+/**
+ * Template Editor Module
+ * Syntax highlighting and {{ field autocomplete for the template textarea
+ */
+
+import {
+  templateEngine,
+  getCompletionContext,
+  getFieldCompletions,
+  highlightTemplate,
+} from '../../../shared/constants.js';
+
+// Module state
+let textarea = null;
+let highlight = null;
+let menu = null;
+let completions = [];
+let activeIndex = 0;
+let completionStart = 0;
+
+/**
+ * Escape HTML to prevent XSS
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped HTML
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+/**
+ * Render the highlight layer behind the textarea
+ * @param {number|null} caret - Position to mark for placing the completion
+ *   menu, or null
+ */
+function renderHighlight(caret = null) {
+  const text = textarea.value;
+  const isKnownField = (name) => templateEngine.fieldProcessors.has(name);
+
+  let html = '';
+  let offset = 0;
+  for (const segment of highlightTemplate(text, isKnownField)) {
+    const end = offset + segment.text.length;
+    let content = escapeHtml(segment.text);
+    if (caret !== null && caret >= offset && caret < end) {
+      const split = caret - offset;
+      content =
+        escapeHtml(segment.text.slice(0, split)) +
+        '<span class="caret-marker"></span>' +
+        escapeHtml(segment.text.slice(split));
+    }
+    html += segment.type === 'text' ? content : `<span class="tpl-${segment.type}">${content}</span>`;
+    offset = end;
+  }
+  if (caret !== null && caret >= offset) {
+    html += '<span class="caret-marker"></span>';
+  }
+
+  // A trailing new line needs content to take up space like in the textarea
+  highlight.innerHTML = html + '\n';
+  highlight.scrollTop = textarea.scrollTop;
+}
+
+/**
+ * Close the completion menu
+ */
+function closeMenu() {
+  completions = [];
+  menu.hidden = true;
+}
+
+/**
+ * Render completion items and place the menu under the caret
+ */
+function renderMenu() {
+  menu.innerHTML = completions
+    .map(
+      (item, index) => `
+        <li class="autocomplete-item${index === activeIndex ? ' active' : ''}" data-index="${index}">
+          <span class="autocomplete-field">${escapeHtml(item.field)}</span>
+          <span class="autocomplete-description">${escapeHtml(item.description)}</span>
+          <span class="autocomplete-example">${escapeHtml(item.example)}</span>
+        </li>`,
+    )
+    .join('');
+  menu.hidden = false;
+
+  // The marker sits in the highlight layer, which mirrors the textarea
+  const marker = highlight.querySelector('.caret-marker');
+  if (marker) {
+    const lineHeight = parseFloat(getComputedStyle(textarea).lineHeight) || 20;
+    menu.style.left = `${marker.offsetLeft}px`;
+    menu.style.top = `${marker.offsetTop - highlight.scrollTop + lineHeight}px`;
+  }
+  menu.querySelector('.active')?.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Update highlighting and completions after the content or cursor changed
+ */
+function update() {
+  const cursor = textarea.selectionStart;
+  const context =
+    textarea.selectionStart === textarea.selectionEnd
+      ? getCompletionContext(textarea.value, cursor)
+      : null;
+
+  if (!context) {
+    closeMenu();
+    renderHighlight();
+    return;
+  }
+
+  const previous = completions[activeIndex]?.field;
+  completions = getFieldCompletions(context.prefix);
+  completionStart = context.start;
+  // Keep the highlighted entry while it still matches
+  activeIndex = Math.max(0, completions.findIndex((item) => item.field === previous));
+
+  renderHighlight(context.start);
+  if (completions.length === 0) {
+    closeMenu();
+    return;
+  }
+  renderMenu();
+}
+
+/**
+ * Insert the selected field, closing the tag when it is not closed yet
+ * @param {number} index - Completion index
+ */
+function acceptCompletion(index) {
+  const item = completions[index];
+  if (!item) {
+    return;
+  }
+
+  const text = textarea.value;
+  const cursor = textarea.selectionStart;
+  // Replace the rest of a name the cursor is in the middle of
+  const rest = /^[a-zA-Z0-9_]*/.exec(text.slice(cursor))[0];
+  const after = text.slice(cursor + rest.length);
+  const closing = /^\s*(\||:|\}\})/.test(after) ? '' : '}}';
+
+  textarea.value = text.slice(0, completionStart) + item.field + closing + after;
+  const position = completionStart + item.field.length + closing.length;
+  textarea.setSelectionRange(position, position);
+
+  closeMenu();
+  // Let the template manager refresh preview and validation
+  textarea.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+/**
+ * Handle navigation keys while the completion menu is open
+ * @param {KeyboardEvent} e - Key event
+ */
+function handleKeydown(e) {
+  if (menu.hidden || completions.length === 0) {
+    return;
+  }
+
+  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    e.preventDefault();
+    const step = e.key === 'ArrowDown' ? 1 : -1;
+    activeIndex = (activeIndex + step + completions.length) % completions.length;
+    renderMenu();
+  } else if (e.key === 'Enter' || e.key === 'Tab') {
+    e.preventDefault();
+    acceptCompletion(activeIndex);
+  } else if (e.key === 'Escape') {
+    // Close the menu, not the modal
+    e.preventDefault();
+    e.stopPropagation();
+    closeMenu();
+  }
+}
+
+/**
+ * Refresh highlighting after the content was set from code
+ */
+export function refreshTemplateEditor() {
+  if (textarea) {
+    closeMenu();
+    renderHighlight();
+  }
+}
+
+/**
+ * Turn the template textarea into a highlighted editor with autocomplete
+ * @param {HTMLTextAreaElement} element - Template content textarea
+ */
+export function initializeTemplateEditor(element) {
+  if (!element) {
+    console.debug('Template editor textarea not found');
+    return;
+  }
+
+  textarea = element;
+
+  const wrapper = document.createElement('div');
+  wrapper.className = 'template-editor';
+  textarea.parentNode.insertBefore(wrapper, textarea);
+
+  highlight = document.createElement('pre');
+  highlight.className = 'template-highlight';
+  highlight.setAttribute('aria-hidden', 'true');
+
+  menu = document.createElement('ul');
+  menu.className = 'template-autocomplete';
+  menu.setAttribute('role', 'listbox');
+  menu.hidden = true;
+
+  wrapper.append(highlight, textarea, menu);
+  textarea.spellcheck = false;
+
+  // Completions open while typing; moving the cursor elsewhere closes them
+  textarea.addEventListener('input', update);
+  textarea.addEventListener('click', closeMenu);
+  textarea.addEventListener('keydown', handleKeydown);
+  textarea.addEventListener('keyup', (e) => {
+    if (['ArrowLeft', 'ArrowRight', 'Home', 'End', 'PageUp', 'PageDown'].includes(e.key)) {
+      closeMenu();
+    }
+  });
+  textarea.addEventListener('scroll', () => {
+    highlight.scrollTop = textarea.scrollTop;
+  });
+  textarea.addEventListener('blur', closeMenu);
+
+  // mousedown keeps the focus in the textarea
+  menu.addEventListener('mousedown', (e) => {
+    const item = e.target.closest('.autocomplete-item');
+    if (item) {
+      e.preventDefault();
+      acceptCompletion(Number(item.dataset.index));
+    }
+  });
+
+  renderHighlight();
+}
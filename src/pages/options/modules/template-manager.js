@@ -6,19 +6,65 @@
 import {
   getAllTemplates,
   getCustomTemplates,
+  readCustomTemplates,
   saveCustomTemplates,
   createTemplate,
   templateEngine,
   TemplateChangeNotifier,
+  normalizeBatchParts,
+  processBatchTemplate,
+  DEFAULT_BATCH_SEPARATOR,
+  findTemplateByReference,
+  getTemplateVariables,
+  toVariableMap,
+  DEFAULT_OUTPUT_LANGUAGE,
+  PRESET_TEMPLATES,
+  createPresetTemplate,
+  updateFromPreset,
+  getPresetStatus,
+  getTemplateSnapshot,
+  diffLines,
+  createTemplateExport,
+  parseTemplateImport,
+  mergeImportedTemplates,
+  setTemplateStorageArea,
+  getTemplateStorageUsage,
+  TemplateStorageError,
+  forgetTemplateUsage,
+  getTemplateHistory,
+  recordTemplateRevisions,
+  forgetTemplateHistory,
+  applyTemplateRevision,
+  getRevisionText,
 } from '../../../shared/constants.js';
+import settingsManager from '../../../shared/settings-manager.js';
 import toast from '../../../shared/toast.js';
 import { getLocalMessage } from '../../../shared/ui/i18n.js';
 import { updateIconSelector } from './emoji-picker.js';
+import { initializeTemplateEditor, refreshTemplateEditor } from './template-editor.js';
+import {
+  CURRENT_TAB_CONTEXT,
+  getSampleContext,
+  getLastActiveTabContext,
+} from './preview-context.js';
 
 // Module state
 let elements = {};
 let currentEditingTemplate = null;
 let allTemplates = [];
+let templateVariables = [];
+// Templates checked for export
+const selectedTemplateIds = new Set();
+// Context of the last active tab, fetched when first previewed against it
+let currentTabContext = null;
+// Incremented per preview so slower earlier renders do not overwrite newer ones
+let previewRequest = 0;
+// Template being dragged to a new position in the list
+let draggedTemplateId = null;
+// Template shown in the history modal, its revisions and the selected one
+let historyTemplate = null;
+let historyRevisions = [];
+let selectedRevision = 0;
 
 /**
  * Escape HTML to prevent XSS
@@ -31,6 +77,208 @@ function escapeHtml(text) {
   return div.innerHTML;
 }
 
+/**
+ * Show a batch separator with visible escapes (new line as \n, tab as \t)
+ * @param {string} separator - Stored separator
+ * @returns {string} Escaped separator for the input field
+ */
+function escapeSeparator(separator) {
+  return separator.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/\t/g, '\\t');
+}
+
+/**
+ * Turn an escaped separator from the input field back into text
+ * @param {string} value - Input value, e.g. ",\n"
+ * @returns {string} Separator with escapes resolved
+ */
+function unescapeSeparator(value) {
+  return value.replace(/\\([\\nt])/g, (_, char) =>
+    char === 'n' ? '\n' : char === 't' ? '\t' : '\\',
+  );
+}
+
+/**
+ * Read batch output parts from the modal
+ * @returns {Object|null} Normalized batch parts
+ */
+function getBatchPartsFromForm() {
+  return normalizeBatchParts({
+    header: elements.templateBatchHeader?.value || '',
+    separator: unescapeSeparator(elements.templateBatchSeparator?.value ?? '\\n'),
+    footer: elements.templateBatchFooter?.value || '',
+  });
+}
+
+/**
+ * Fill batch output fields in the modal
+ * @param {Object|null} batch - Batch parts of the template
+ */
+function setBatchPartsInForm(batch) {
+  if (elements.templateBatchHeader) {
+    elements.templateBatchHeader.value = batch?.header || '';
+  }
+  if (elements.templateBatchSeparator) {
+    elements.templateBatchSeparator.value = escapeSeparator(
+      batch?.separator ?? DEFAULT_BATCH_SEPARATOR,
+    );
+  }
+  if (elements.templateBatchFooter) {
+    elements.templateBatchFooter.value = batch?.footer || '';
+  }
+}
+
+/**
+ * Read the selected output language from the modal
+ * @returns {string} Output language key
+ */
+function getOutputLanguageFromForm() {
+  return elements.templateOutputLanguage?.value || DEFAULT_OUTPUT_LANGUAGE;
+}
+
+/**
+ * Get validation options for the template being edited
+ * Partials resolve against saved templates, with the edited one replaced by
+ * its current content so cycles through it are caught before saving.
+ * @param {string} content - Template content
+ * @returns {Object} Options for templateEngine.validateTemplate
+ */
+function getValidationOptions(content) {
+  const self = {
+    id: currentEditingTemplate?.id || 'editing',
+    name: elements.templateName.value.trim(),
+  };
+  const templates = [
+    ...allTemplates.filter((t) => t.id !== self.id),
+    { ...self, template: content },
+  ];
+
+  return {
+    self,
+    resolvePartial: (reference) => findTemplateByReference(templates, reference),
+    variables: templateVariables.map((variable) => variable.name),
+  };
+}
+
+/**
+ * Validate the template content together with its batch parts
+ * @param {string} content - Template content
+ * @param {Object|null} batch - Batch parts
+ * @returns {Object} Validation result with combined errors
+ */
+function validateTemplateParts(content, batch) {
+  const options = getValidationOptions(content);
+  const parts = [content, batch?.header, batch?.separator, batch?.footer].filter(Boolean);
+  const results = parts.map((part) => templateEngine.validateTemplate(part, options));
+
+  return {
+    valid: results.every((result) => result.valid),
+    errors: results.flatMap((result) => result.errors),
+    fields: [...new Set(results.flatMap((result) => result.fields))],
+  };
+}
+
+/**
+ * Save templates, warning when they had to leave sync storage
+ * @param {Array} templates - Templates to save
+ * @returns {Promise<Object>} Result of saveCustomTemplates
+ * @throws {TemplateStorageError} If saving failed
+ */
+async function storeTemplates(templates) {
+  const result = await saveCustomTemplates(templates);
+  if (result.fellBack) {
+    toast.warning(
+      getLocalMessage('templateStorageFellBack') ||
+        '模板超出同步存储空间，已改为仅保存在本设备',
+    );
+  }
+  return result;
+}
+
+/**
+ * Show why templates could not be saved
+ * @param {Error} error - Error from saving
+ * @param {string} fallbackMessage - Message for other errors
+ */
+function showSaveError(error, fallbackMessage = getLocalMessage('templateSaveFailed') || '保存模板失败') {
+  if (!(error instanceof TemplateStorageError)) {
+    toast.error(fallbackMessage);
+    return;
+  }
+
+  if (error.code === 'quota') {
+    toast.error(
+      getLocalMessage('templateStorageFull') || '模板存储空间已满，请删除或缩短一些模板后重试',
+    );
+  } else if (error.code === 'incomplete') {
+    toast.error(
+      getLocalMessage('templateStorageIncomplete') ||
+        '模板尚未完全同步到本设备，为避免覆盖已同步的模板，暂不保存。请稍后重新打开此页面',
+    );
+  } else {
+    toast.error(
+      getLocalMessage('templateStorageWriteFailed')?.replace('{error}', error.message) ||
+        `保存模板失败：${error.message}`,
+    );
+  }
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Byte count
+ * @returns {string} Size in B, KB or MB
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Show template storage usage and whether templates sync
+ * @returns {Promise<void>}
+ */
+async function renderStorageUsage() {
+  if (!elements.templateStorageText) {
+    return;
+  }
+
+  const usage = await getTemplateStorageUsage();
+  const percent = Math.min(100, (usage.bytes / usage.quota) * 100);
+
+  elements.templateStorageText.textContent = `${formatBytes(usage.bytes)} / ${formatBytes(usage.quota)}`;
+  if (elements.templateStorageFill) {
+    elements.templateStorageFill.style.width = `${percent}%`;
+    elements.templateStorageFill.classList.toggle('near-full', percent >= 80);
+  }
+  if (elements.templateSyncToggle) {
+    elements.templateSyncToggle.checked = usage.area === 'sync';
+  }
+}
+
+/**
+ * Move templates between sync and local storage
+ * @param {boolean} sync - Whether templates should sync across devices
+ * @returns {Promise<void>}
+ */
+async function toggleTemplateSync(sync) {
+  try {
+    await setTemplateStorageArea(sync ? 'sync' : 'local');
+    toast.success(
+      sync
+        ? getLocalMessage('templateSyncOn') || '模板将在设备间同步'
+        : getLocalMessage('templateSyncOff') || '模板仅保存在本设备',
+    );
+  } catch (error) {
+    console.debug('Failed to change template storage:', error);
+    showSaveError(error);
+  }
+  await renderStorageUsage();
+}
+
 /**
  * Load templates from storage
  * @returns {Promise<void>}
@@ -38,13 +286,154 @@ function escapeHtml(text) {
 async function loadTemplates() {
   try {
     allTemplates = await getAllTemplates();
+    selectedTemplateIds.forEach((id) => {
+      if (!allTemplates.some((t) => t.id === id)) {
+        selectedTemplateIds.delete(id);
+      }
+    });
     renderTemplateList();
+    await renderStorageUsage();
+
+    if (!(await readCustomTemplates()).complete) {
+      toast.warning(
+        getLocalMessage('templateStorageIncomplete') ||
+          '模板尚未完全同步到本设备，为避免覆盖已同步的模板，暂不保存。请稍后重新打开此页面',
+      );
+    }
   } catch (error) {
     console.debug('Failed to load templates:', error);
     toast.error(getLocalMessage('templateLoadFailed') || 'Failed to load templates');
   }
 }
 
+/**
+ * Describe how often and when a template was used
+ * @param {Object} template - Template object
+ * @returns {string} Usage text
+ */
+function formatTemplateUsage(template) {
+  if (!template.usageCount) {
+    return getLocalMessage('templateNeverUsed') || '尚未使用';
+  }
+
+  const count = (getLocalMessage('templateUsageCount') || '已使用 {count} 次').replace(
+    '{count}',
+    template.usageCount,
+  );
+  return template.lastUsed ? `${count} · ${new Date(template.lastUsed).toLocaleDateString()}` : count;
+}
+
+/**
+ * Move a template before or after another one, setting the manual order
+ * @param {string} templateId - ID of the moved template
+ * @param {string} targetId - ID of the template it was dropped on
+ * @param {boolean} after - Place it after the target instead of before
+ * @returns {Promise<void>}
+ */
+async function moveTemplate(templateId, targetId, after) {
+  try {
+    const customTemplates = await getCustomTemplates();
+    const from = customTemplates.findIndex((t) => t.id === templateId);
+    if (from === -1) {
+      return;
+    }
+
+    const [moved] = customTemplates.splice(from, 1);
+    const to = customTemplates.findIndex((t) => t.id === targetId);
+    if (to === -1) {
+      return;
+    }
+    customTemplates.splice(after ? to + 1 : to, 0, moved);
+
+    await storeTemplates(customTemplates);
+    await TemplateChangeNotifier.notify('reordered', templateId);
+    await loadTemplates();
+  } catch (error) {
+    console.debug('Failed to reorder templates:', error);
+    showSaveError(error);
+  }
+}
+
+/**
+ * Whether a drag position is in the lower half of a template item
+ * @param {DragEvent} e - Drag event
+ * @param {HTMLElement} item - Template item element
+ * @returns {boolean}
+ */
+function isDropAfter(e, item) {
+  const rect = item.getBoundingClientRect();
+  return e.clientY > rect.top + rect.height / 2;
+}
+
+/**
+ * Let a template item be dragged to reorder the list
+ * @param {HTMLElement} item - Template item element
+ * @param {Object} template - Template object
+ */
+function bindTemplateDrag(item, template) {
+  item.draggable = true;
+
+  item.addEventListener('dragstart', (e) => {
+    draggedTemplateId = template.id;
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', template.id);
+    item.classList.add('dragging');
+  });
+
+  item.addEventListener('dragend', () => {
+    draggedTemplateId = null;
+    item.classList.remove('dragging');
+  });
+
+  item.addEventListener('dragover', (e) => {
+    if (!draggedTemplateId || draggedTemplateId === template.id) {
+      return;
+    }
+    e.preventDefault();
+    const after = isDropAfter(e, item);
+    item.classList.toggle('drop-before', !after);
+    item.classList.toggle('drop-after', after);
+  });
+
+  item.addEventListener('dragleave', () => {
+    item.classList.remove('drop-before', 'drop-after');
+  });
+
+  item.addEventListener('drop', (e) => {
+    e.preventDefault();
+    item.classList.remove('drop-before', 'drop-after');
+    if (draggedTemplateId && draggedTemplateId !== template.id) {
+      moveTemplate(draggedTemplateId, template.id, isDropAfter(e, item));
+    }
+  });
+}
+
+/**
+ * Show the template order used in menus
+ * @returns {Promise<void>}
+ */
+async function loadTemplateSortOrder() {
+  if (elements.templateSortOrderSelect) {
+    elements.templateSortOrderSelect.value = await settingsManager.getSetting('templateSortOrder');
+  }
+}
+
+/**
+ * Change the template order used in menus
+ * @param {string} sortOrder - One of TEMPLATE_SORT_ORDERS
+ * @returns {Promise<void>}
+ */
+async function changeTemplateSortOrder(sortOrder) {
+  try {
+    await settingsManager.updateSettings({ templateSortOrder: sortOrder });
+    await TemplateChangeNotifier.notify('reordered');
+    toast.success(getLocalMessage('templateSortOrderChanged') || '模板顺序已更新');
+  } catch (error) {
+    console.debug('Failed to change template order:', error);
+    toast.error(getLocalMessage('templateSaveFailed') || '保存模板失败');
+  }
+}
+
 /**
  * Render template list in the UI
  */
@@ -59,6 +448,248 @@ function renderTemplateList() {
     const templateItem = createTemplateItem(template);
     elements.templateList.appendChild(templateItem);
   });
+
+  renderPresetGallery();
+}
+
+/**
+ * Render the preset template gallery with install/update state
+ */
+function renderPresetGallery() {
+  if (!elements.presetList) {
+    return;
+  }
+
+  elements.presetList.innerHTML = '';
+  PRESET_TEMPLATES.forEach((preset) => {
+    elements.presetList.appendChild(createPresetItem(preset));
+  });
+}
+
+/**
+ * Render a line diff between two versions
+ * @param {string} oldText - Earlier version
+ * @param {string} newText - Later version
+ * @returns {HTMLElement} Diff element
+ */
+function createDiffView(oldText, newText) {
+  const diff = document.createElement('pre');
+  diff.className = 'template-diff';
+
+  const prefixes = { same: '  ', removed: '- ', added: '+ ' };
+  diffLines(oldText, newText).forEach((line) => {
+    const row = document.createElement('div');
+    row.className = `diff-line diff-${line.type}`;
+    row.textContent = prefixes[line.type] + line.text;
+    diff.appendChild(row);
+  });
+
+  return diff;
+}
+
+/**
+ * Create a single gallery item
+ * @param {Object} preset - Preset definition
+ * @returns {HTMLElement} Gallery item element
+ */
+function createPresetItem(preset) {
+  const { template, modified, updateAvailable } = getPresetStatus(preset, allTemplates);
+  const description = getLocalMessage(preset.descriptionKey) || preset.description;
+
+  const item = document.createElement('div');
+  item.className = 'template-item preset-item';
+  item.dataset.presetId = preset.presetId;
+
+  const badges = [
+    modified ? `<span class="customized-indicator">${getLocalMessage('presetModified') || '已修改'}</span>` : '',
+    updateAvailable ? `<span class="customized-indicator">${getLocalMessage('presetUpdateAvailable') || '有更新'}</span>` : '',
+  ].join('');
+
+  let actions;
+  if (!template) {
+    actions = `<button class="template-action-btn" data-action="install">${getLocalMessage('presetInstall') || '安装'}</button>`;
+  } else {
+    actions = [
+      modified || updateAvailable
+        ? `<button class="template-action-btn" data-action="diff">${getLocalMessage('presetCompare') || '对比'}</button>`
+        : `<span class="preset-installed">${getLocalMessage('presetInstalled') || '已安装'}</span>`,
+      updateAvailable
+        ? `<button class="template-action-btn" data-action="update">${getLocalMessage('presetUpdate') || '更新'}</button>`
+        : '',
+      modified && !updateAvailable
+        ? `<button class="template-action-btn reset" data-action="update">${getLocalMessage('presetReset') || '恢复预设'}</button>`
+        : '',
+    ].join('');
+  }
+
+  item.innerHTML = `
+    <div class="template-header">
+      <div class="template-icon">${escapeHtml(preset.icon)}</div>
+      <div class="template-name">${escapeHtml(preset.name)}</div>
+      ${badges}
+      <div class="template-actions">${actions}</div>
+    </div>
+    <div class="template-description">${escapeHtml(description)}</div>
+    <div class="template-content">${escapeHtml(preset.template)}</div>
+  `;
+
+  item.querySelector('[data-action="install"]')?.addEventListener('click', () => installPreset(preset));
+  item.querySelector('[data-action="update"]')?.addEventListener('click', () =>
+    updatePreset(template, modified),
+  );
+  item.querySelector('[data-action="diff"]')?.addEventListener('click', () => {
+    const existing = item.querySelector('.template-diff');
+    if (existing) {
+      existing.remove();
+    } else {
+      // From the installed copy to the preset
+      item.appendChild(createDiffView(getTemplateSnapshot(template), getTemplateSnapshot(preset)));
+    }
+  });
+
+  return item;
+}
+
+/**
+ * Install a preset as a new template
+ * @param {Object} preset - Preset definition
+ * @returns {Promise<void>}
+ */
+async function installPreset(preset) {
+  try {
+    const customTemplates = await getCustomTemplates();
+    const newTemplate = createPresetTemplate(preset);
+    customTemplates.push(newTemplate);
+    await storeTemplates(customTemplates);
+
+    await TemplateChangeNotifier.notify('created', newTemplate.id);
+    toast.success(
+      getLocalMessage('presetInstalledMessage')?.replace('{name}', preset.name) ||
+        `已安装模板"${preset.name}"`,
+    );
+    await loadTemplates();
+  } catch (error) {
+    console.debug('Failed to install preset:', error);
+    showSaveError(error);
+  }
+}
+
+/**
+ * Replace an installed preset's content with the shipped preset
+ * @param {Object} template - Installed template
+ * @param {boolean} modified - Whether the user edited the copy
+ * @returns {Promise<void>}
+ */
+async function updatePreset(template, modified) {
+  if (
+    modified &&
+    !confirm(
+      getLocalMessage('confirmPresetOverwrite')?.replace('{name}', template.name) ||
+        `模板"${template.name}"已被修改，确定用预设内容覆盖吗？`,
+    )
+  ) {
+    return;
+  }
+
+  try {
+    const customTemplates = await getCustomTemplates();
+    const index = customTemplates.findIndex((t) => t.id === template.id);
+    if (index === -1) {
+      return;
+    }
+    const previousTemplates = [...customTemplates];
+    customTemplates[index] = {
+      ...updateFromPreset(customTemplates[index]),
+      updatedAt: new Date().toISOString(),
+    };
+    await storeTemplates(customTemplates);
+    await recordTemplateRevisions(previousTemplates, customTemplates);
+
+    await TemplateChangeNotifier.notify('updated', template.id);
+    toast.success(getLocalMessage('templateUpdated') || '模板已更新');
+    await loadTemplates();
+  } catch (error) {
+    console.debug('Failed to update preset:', error);
+    showSaveError(error);
+  }
+}
+
+/**
+ * Export the selected templates, or all when none is selected, to a JSON file
+ */
+function exportTemplates() {
+  const selected = allTemplates.filter((t) => selectedTemplateIds.has(t.id));
+  const templates = selected.length > 0 ? selected : allTemplates;
+
+  if (templates.length === 0) {
+    toast.error(getLocalMessage('noTemplatesToExport') || '没有可导出的模板');
+    return;
+  }
+
+  const data = JSON.stringify(createTemplateExport(templates), null, 2);
+  const url = URL.createObjectURL(new Blob([data], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `arclet-copier-templates-${new Date().toISOString().slice(0, 10)}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+
+  toast.success(
+    getLocalMessage('templatesExported')?.replace('{count}', templates.length) ||
+      `已导出 ${templates.length} 个模板`,
+  );
+}
+
+/**
+ * Import templates from a JSON file chosen by the user
+ * @param {File} file - Export file
+ * @returns {Promise<void>}
+ */
+async function importTemplates(file) {
+  let parsed;
+  try {
+    parsed = parseTemplateImport(await file.text());
+  } catch (error) {
+    console.debug('Failed to read template file:', error);
+    toast.error(
+      getLocalMessage('templateImportInvalid')?.replace('{error}', error.message) ||
+        `无法导入模板文件：${error.message}`,
+    );
+    return;
+  }
+
+  parsed.errors.forEach((entry) => {
+    console.debug(`Skipped invalid template #${entry.index + 1} "${entry.name}":`, entry.errors);
+  });
+
+  try {
+    const strategy = elements.importConflictSelect?.value || 'skip';
+    const customTemplates = await getCustomTemplates();
+    const result = mergeImportedTemplates(customTemplates, parsed.templates, strategy);
+
+    if (result.added + result.replaced > 0) {
+      await storeTemplates(result.templates);
+      await recordTemplateRevisions(customTemplates, result.templates);
+      await TemplateChangeNotifier.notify('updated');
+    }
+
+    const message =
+      getLocalMessage('templatesImported')
+        ?.replace('{added}', result.added)
+        .replace('{replaced}', result.replaced)
+        .replace('{skipped}', result.skipped)
+        .replace('{invalid}', parsed.errors.length) ||
+      `导入完成：新增 ${result.added}，覆盖 ${result.replaced}，跳过 ${result.skipped}，无效 ${parsed.errors.length}`;
+    if (parsed.errors.length > 0) {
+      toast.warning(message);
+    } else {
+      toast.success(message);
+    }
+    await loadTemplates();
+  } catch (error) {
+    console.debug('Failed to import templates:', error);
+    showSaveError(error);
+  }
 }
 
 /**
@@ -73,9 +704,16 @@ function createTemplateItem(template) {
 
   item.innerHTML = `
     <div class="template-header">
-      <div class="template-icon">${template.icon}</div>
+      <input type="checkbox" class="template-select" title="${getLocalMessage('selectTemplateForExport') || '选择以导出'}" ${selectedTemplateIds.has(template.id) ? 'checked' : ''}>
+      <div class="template-icon">${escapeHtml(template.icon)}</div>
       <div class="template-name">${escapeHtml(template.name)}</div>
       <div class="template-actions">
+        <button class="template-action-btn history" data-action="history" title="${getLocalMessage('templateHistory') || '历史版本'}">
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <circle cx="12" cy="12" r="10"></circle>
+            <polyline points="12 6 12 12 16 14"></polyline>
+          </svg>
+        </button>
         <button class="template-action-btn edit" data-action="edit" title="编辑">
           <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
             <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
@@ -91,8 +729,11 @@ function createTemplateItem(template) {
       </div>
     </div>
     <div class="template-content">${escapeHtml(template.template)}</div>
+    <div class="template-usage">${escapeHtml(formatTemplateUsage(template))}</div>
   `;
 
+  bindTemplateDrag(item, template);
+
   // Add event listeners for actions
   const editBtn = item.querySelector('[data-action="edit"]');
   const deleteBtn = item.querySelector('[data-action="delete"]');
@@ -105,6 +746,16 @@ function createTemplateItem(template) {
     deleteBtn.addEventListener('click', () => deleteTemplate(template));
   }
 
+  item.querySelector('[data-action="history"]').addEventListener('click', () => showTemplateHistory(template));
+
+  item.querySelector('.template-select').addEventListener('change', (e) => {
+    if (e.target.checked) {
+      selectedTemplateIds.add(template.id);
+    } else {
+      selectedTemplateIds.delete(template.id);
+    }
+  });
+
   return item;
 }
 
@@ -130,6 +781,14 @@ function showTemplateModal(template = null) {
     if (elements.templateContent) {
       elements.templateContent.value = template.template;
     }
+    setBatchPartsInForm(template.batch);
+    if (elements.templateOutputLanguage) {
+      elements.templateOutputLanguage.value =
+        template.outputLanguage || DEFAULT_OUTPUT_LANGUAGE;
+    }
+    if (elements.templateRichText) {
+      elements.templateRichText.checked = Boolean(template.richText);
+    }
 
     // Update icon selector UI
     updateIconSelector(template.icon);
@@ -142,14 +801,29 @@ function showTemplateModal(template = null) {
     if (elements.templateContent) {
       elements.templateContent.value = '';
     }
+    setBatchPartsInForm(null);
+    if (elements.templateOutputLanguage) {
+      elements.templateOutputLanguage.value = DEFAULT_OUTPUT_LANGUAGE;
+    }
+    if (elements.templateRichText) {
+      elements.templateRichText.checked = false;
+    }
 
     // Update icon selector UI to default
     updateIconSelector('📝');
   }
 
+  refreshTemplateEditor();
   updateTemplatePreview();
   validateTemplate();
   elements.templateModal.classList.add('show');
+
+  // Variables may have changed since the page loaded
+  getTemplateVariables().then((variables) => {
+    templateVariables = variables;
+    updateTemplatePreview();
+    validateTemplate();
+  });
   document.body.classList.add('modal-open');
 
   // Focus on name input if it exists
@@ -165,6 +839,8 @@ function hideTemplateModal() {
   elements.templateModal.classList.remove('show');
   document.body.classList.remove('modal-open');
   currentEditingTemplate = null;
+  // The active tab may change before the editor opens again
+  currentTabContext = null;
 }
 
 /**
@@ -192,7 +868,9 @@ async function deleteTemplate(template) {
   try {
     const customTemplates = await getCustomTemplates();
     const updatedTemplates = customTemplates.filter((t) => t.id !== template.id);
-    await saveCustomTemplates(updatedTemplates);
+    await storeTemplates(updatedTemplates);
+    await forgetTemplateUsage(template.id);
+    await forgetTemplateHistory(template.id);
 
     // Notify other pages that template was deleted
     await TemplateChangeNotifier.notify('deleted', template.id);
@@ -202,7 +880,7 @@ async function deleteTemplate(template) {
     await loadTemplates();
   } catch (error) {
     console.debug('Failed to delete template:', error);
-    toast.error(getLocalMessage('templateDeleteFailed') || '删除模板失败');
+    showSaveError(error, getLocalMessage('templateDeleteFailed') || '删除模板失败');
   }
 }
 
@@ -214,6 +892,9 @@ async function saveTemplate() {
   const name = elements.templateName.value.trim();
   const icon = elements.templateIcon.value.trim();
   const content = elements.templateContent.value.trim();
+  const batch = getBatchPartsFromForm();
+  const outputLanguage = getOutputLanguageFromForm();
+  const richText = Boolean(elements.templateRichText?.checked);
 
   if (!name) {
     toast.error(getLocalMessage('templateNameRequired') || '请输入模板名称');
@@ -225,7 +906,7 @@ async function saveTemplate() {
     return;
   }
 
-  const validation = templateEngine.validateTemplate(content);
+  const validation = validateTemplateParts(content, batch);
   if (!validation.valid) {
     const errorPrefix = getLocalMessage('templateValidationError') || 'Template validation error';
     toast.error(`${errorPrefix}: ${validation.errors.join(', ')}`);
@@ -234,6 +915,7 @@ async function saveTemplate() {
 
   try {
     const customTemplates = await getCustomTemplates();
+    const previousTemplates = [...customTemplates];
 
     if (currentEditingTemplate) {
       // Update existing template
@@ -244,16 +926,24 @@ async function saveTemplate() {
           name,
           icon,
           template: content,
-          lastUsed: new Date().toISOString(),
+          batch,
+          outputLanguage,
+          richText,
+          updatedAt: new Date().toISOString(),
         };
       }
     } else {
       // Create new template
-      const newTemplate = createTemplate(name, content, icon);
+      const newTemplate = createTemplate(name, content, icon, {
+        batch,
+        outputLanguage,
+        richText,
+      });
       customTemplates.push(newTemplate);
     }
 
-    await saveCustomTemplates(customTemplates);
+    await storeTemplates(customTemplates);
+    await recordTemplateRevisions(previousTemplates, customTemplates);
 
     // Notify other pages that template was changed
     if (currentEditingTemplate) {
@@ -273,45 +963,290 @@ async function saveTemplate() {
     await loadTemplates();
   } catch (error) {
     console.debug('Failed to save template:', error);
-    toast.error(getLocalMessage('templateSaveFailed') || '保存模板失败');
+    showSaveError(error);
   }
 }
 
+/**
+ * Show the earlier versions of a template
+ * @param {Object} template - Template
+ * @returns {Promise<void>}
+ */
+async function showTemplateHistory(template) {
+  if (!elements.templateHistoryModal) {
+    return;
+  }
+
+  historyTemplate = template;
+  historyRevisions = await getTemplateHistory(template.id);
+  selectedRevision = 0;
+
+  if (elements.templateHistoryTitle) {
+    elements.templateHistoryTitle.textContent =
+      getLocalMessage('templateHistoryTitle')?.replace('{name}', template.name) ||
+      `"${template.name}" 的历史版本`;
+  }
+  if (elements.historyCompareCurrent) {
+    elements.historyCompareCurrent.checked = false;
+  }
+
+  renderTemplateHistory();
+  elements.templateHistoryModal.classList.add('show');
+  document.body.classList.add('modal-open');
+}
+
+/**
+ * Render the revision list and the diff of the selected revision
+ * The diff shows what changed after the selected version: up to the next
+ * newer version, or up to the current version when comparing with it.
+ */
+function renderTemplateHistory() {
+  const list = elements.templateHistoryList;
+  const diffContainer = elements.templateHistoryDiff;
+  if (!list || !diffContainer) {
+    return;
+  }
+
+  list.innerHTML = '';
+  diffContainer.innerHTML = '';
+  if (elements.templateHistoryRestoreBtn) {
+    elements.templateHistoryRestoreBtn.disabled = historyRevisions.length === 0;
+  }
+
+  if (historyRevisions.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'setting-description';
+    empty.textContent = getLocalMessage('templateHistoryEmpty') || '暂无历史版本，编辑并保存模板后会保留之前的版本';
+    diffContainer.appendChild(empty);
+    return;
+  }
+
+  historyRevisions.forEach((revision, index) => {
+    const entry = document.createElement('li');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `history-entry${index === selectedRevision ? ' active' : ''}`;
+    button.textContent = `${new Date(revision.savedAt).toLocaleString()} · ${revision.icon || ''} ${revision.name}`;
+    button.addEventListener('click', () => {
+      selectedRevision = index;
+      renderTemplateHistory();
+    });
+    entry.appendChild(button);
+    list.appendChild(entry);
+  });
+
+  const revision = historyRevisions[selectedRevision];
+  const newer =
+    elements.historyCompareCurrent?.checked || selectedRevision === 0
+      ? historyTemplate
+      : historyRevisions[selectedRevision - 1];
+  diffContainer.appendChild(createDiffView(getRevisionText(revision), getRevisionText(newer)));
+}
+
+/**
+ * Hide the history modal
+ */
+function hideTemplateHistory() {
+  elements.templateHistoryModal.classList.remove('show');
+  document.body.classList.remove('modal-open');
+  historyTemplate = null;
+  historyRevisions = [];
+}
+
+/**
+ * Restore the selected revision
+ * The replaced version becomes a revision itself, so restoring can be undone.
+ * @returns {Promise<void>}
+ */
+async function restoreRevision() {
+  const revision = historyRevisions[selectedRevision];
+  if (!historyTemplate || !revision) {
+    return;
+  }
+
+  try {
+    const customTemplates = await getCustomTemplates();
+    const index = customTemplates.findIndex((t) => t.id === historyTemplate.id);
+    if (index === -1) {
+      return;
+    }
+
+    const previousTemplates = [...customTemplates];
+    customTemplates[index] = applyTemplateRevision(customTemplates[index], revision);
+    await storeTemplates(customTemplates);
+    await recordTemplateRevisions(previousTemplates, customTemplates);
+
+    await TemplateChangeNotifier.notify('updated', historyTemplate.id);
+    toast.success(getLocalMessage('revisionRestored') || '已恢复所选版本');
+
+    hideTemplateHistory();
+    await loadTemplates();
+  } catch (error) {
+    console.debug('Failed to restore template revision:', error);
+    showSaveError(error);
+  }
+}
+
+/**
+ * Get the context to preview against
+ * Falls back to the first sample when no web page is open.
+ * @returns {Promise<Object>} Template context
+ */
+async function getPreviewContext() {
+  if (elements.previewContextSelect?.value !== CURRENT_TAB_CONTEXT) {
+    return getSampleContext(elements.previewContextSelect?.value);
+  }
+
+  if (!currentTabContext) {
+    try {
+      currentTabContext = await getLastActiveTabContext();
+    } catch (error) {
+      console.debug('Failed to get current tab context:', error);
+    }
+  }
+  if (!currentTabContext) {
+    toast.warning(getLocalMessage('previewNoTab') || '没有可预览的网页，已改用示例页面');
+    elements.previewContextSelect.value = 'article';
+    return getSampleContext('article');
+  }
+  return currentTabContext;
+}
+
 /**
  * Update template preview
+ * @returns {Promise<void>}
  */
-function updateTemplatePreview() {
+async function updateTemplatePreview() {
   if (!elements.templateContent || !elements.templatePreview) {
     return;
   }
 
   const content = elements.templateContent.value.trim();
   const previewContent = elements.templatePreview;
+  const request = ++previewRequest;
 
   if (!content) {
     previewContent.innerHTML = `<span class="preview-placeholder">${getLocalMessage('previewPlaceholder') || '输入模板内容以查看预览'}</span>`;
     return;
   }
 
-  // Create comprehensive mock context for preview based on arcletcopier.com
-  const mockContext = {
-    url: 'https://www.arcletcopier.com/?utm_source=chrome&utm_medium=extension&utm_campaign=template_test&ref=github#features',
-    title: 'Arclet Copier - Clean & Efficient Chrome Extension for Quick URL Copying',
+  const context = {
     urlCleaning: 'smart',
-    shortUrl: 'https://is.gd/ArcletCopy',
-    author: 'Rokcso',
-    description:
-      'A powerful Chrome extension for intelligent URL copying with custom templates, batch operations, short URLs, and multi-language support.',
+    ...(await getPreviewContext()),
+    variables: toVariableMap(templateVariables),
   };
 
-  templateEngine
-    .processTemplate(content, mockContext)
-    .then((result) => {
+  // With batch parts, preview a two-item document
+  const batch = getBatchPartsFromForm();
+  const outputLanguage = getOutputLanguageFromForm();
+  const secondContext = getSampleContext(
+    elements.previewContextSelect?.value === 'repository' ? 'article' : 'repository',
+  );
+
+  try {
+    const result = batch
+      ? await processBatchTemplate({ template: content, batch, outputLanguage }, [
+          { ...context, windowId: 1, tabIndex: 1 },
+          { ...context, ...secondContext, windowId: 1, tabIndex: 2 },
+        ])
+      : await templateEngine.processTemplate(content, context, { outputLanguage });
+
+    if (request === previewRequest) {
       previewContent.textContent = result;
-    })
-    .catch((error) => {
+    }
+  } catch (error) {
+    if (request === previewRequest) {
       previewContent.innerHTML = `<span style="color: #ef4444;">预览错误: ${escapeHtml(error.message)}</span>`;
-    });
+    }
+  }
+}
+
+/**
+ * Show validation errors and unknown fields of the edited template inline:
+ * the template source with problem tags marked, followed by the messages
+ * @param {string} content - Template content
+ * @param {Object|null} batch - Batch parts
+ */
+function renderTemplateProblems(content, batch) {
+  const container = elements.templateProblems;
+  if (!container) {
+    return;
+  }
+
+  const options = getValidationOptions(content);
+  const problems = content ? templateEngine.lintTemplate(content, options) : [];
+  const batchErrors = [batch?.header, batch?.separator, batch?.footer]
+    .filter(Boolean)
+    .flatMap((part) => templateEngine.validateTemplate(part, options).errors);
+
+  if (problems.length === 0 && batchErrors.length === 0) {
+    container.hidden = true;
+    container.innerHTML = '';
+    return;
+  }
+
+  // Mark problem tags in the source; a tag with several problems is marked once
+  let source = '';
+  let position = 0;
+  problems.forEach((problem) => {
+    if (problem.start === null || problem.start < position) {
+      return;
+    }
+    const related = problems.filter((p) => p.start === problem.start);
+    const severity = related.some((p) => p.severity === 'error') ? 'error' : 'warning';
+    source += escapeHtml(content.slice(position, problem.start));
+    source += `<mark class="problem-${severity}" title="${escapeHtml(related.map((p) => p.message).join('\n'))}">${escapeHtml(problem.raw)}</mark>`;
+    position = problem.end;
+  });
+  source += escapeHtml(content.slice(position));
+
+  const messages = [
+    ...problems,
+    ...batchErrors.map((message) => ({ severity: 'error', message })),
+  ];
+
+  container.hidden = false;
+  container.classList.toggle('warning', messages.every((m) => m.severity === 'warning'));
+  container.innerHTML = `
+    ${problems.some((problem) => problem.start !== null) ? `<pre class="template-problems-source">${source}</pre>` : ''}
+    <ul class="template-problems-list">
+      ${messages
+        .map((m, index) => {
+          const fix = m.replacement
+            ? ` <button type="button" class="problem-fix" data-index="${index}">${getLocalMessage('replaceWith')?.replace('{text}', escapeHtml(m.replacement)) || `替换为 ${escapeHtml(m.replacement)}`}</button>`
+            : '';
+          return `<li class="problem-${m.severity}">${escapeHtml(m.message)}${fix}</li>`;
+        })
+        .join('')}
+    </ul>
+  `;
+
+  container.querySelectorAll('.problem-fix').forEach((button) => {
+    button.addEventListener('click', () => applyProblemFix(messages[Number(button.dataset.index)]));
+  });
+}
+
+/**
+ * Replace a misspelled tag with its suggested correction
+ * @param {Object} problem - Problem from lintTemplate with a replacement
+ */
+function applyProblemFix(problem) {
+  const textarea = elements.templateContent;
+  // Problem positions refer to the trimmed content
+  const offset = textarea.value.indexOf(textarea.value.trim());
+  const start = offset + problem.start;
+  const end = offset + problem.end;
+
+  if (textarea.value.slice(start, end) !== problem.raw) {
+    return;
+  }
+
+  textarea.value = textarea.value.slice(0, start) + problem.replacement + textarea.value.slice(end);
+  textarea.focus();
+  textarea.setSelectionRange(start + problem.replacement.length, start + problem.replacement.length);
+  refreshTemplateEditor();
+  updateTemplatePreview();
+  validateTemplate();
 }
 
 /**
@@ -323,12 +1258,15 @@ function validateTemplate() {
   const nameValid = elements.templateName.value.trim().length > 0;
 
   if (!content) {
+    renderTemplateProblems('', null);
     // Update save button state
     elements.templateSaveBtn.disabled = !nameValid;
     return { valid: true, errors: [], fields: [] };
   }
 
-  const validation = templateEngine.validateTemplate(content);
+  const batch = getBatchPartsFromForm();
+  const validation = validateTemplateParts(content, batch);
+  renderTemplateProblems(content, batch);
 
   // Update save button state
   elements.templateSaveBtn.disabled = !(validation.valid && nameValid);
@@ -352,6 +1290,7 @@ function insertField(fieldName) {
   textarea.focus();
   textarea.setSelectionRange(start + fieldText.length, start + fieldText.length);
 
+  refreshTemplateEditor();
   updateTemplatePreview();
   validateTemplate();
 }
@@ -372,6 +1311,35 @@ function bindEventListeners() {
     });
   }
 
+  // Storage area
+  elements.templateSyncToggle?.addEventListener('change', (e) => toggleTemplateSync(e.target.checked));
+
+  // Order in menus
+  elements.templateSortOrderSelect?.addEventListener('change', (e) => changeTemplateSortOrder(e.target.value));
+
+  // History modal
+  elements.templateHistoryClose?.addEventListener('click', hideTemplateHistory);
+  elements.templateHistoryCancelBtn?.addEventListener('click', hideTemplateHistory);
+  elements.templateHistoryRestoreBtn?.addEventListener('click', restoreRevision);
+  elements.historyCompareCurrent?.addEventListener('change', renderTemplateHistory);
+  elements.templateHistoryModal?.addEventListener('click', (e) => {
+    if (e.target === elements.templateHistoryModal) {
+      hideTemplateHistory();
+    }
+  });
+
+  // Import / export
+  elements.exportTemplatesBtn?.addEventListener('click', exportTemplates);
+  elements.importTemplatesBtn?.addEventListener('click', () => elements.importTemplatesFile?.click());
+  elements.importTemplatesFile?.addEventListener('change', async (e) => {
+    const [file] = e.target.files;
+    // Reset so choosing the same file again fires change
+    e.target.value = '';
+    if (file) {
+      await importTemplates(file);
+    }
+  });
+
   // Modal close events
   elements.templateModalClose?.addEventListener('click', hideTemplateModal);
   elements.templateCancelBtn?.addEventListener('click', hideTemplateModal);
@@ -394,8 +1362,31 @@ function bindEventListeners() {
 
   elements.templateName?.addEventListener('input', validateTemplate);
 
-  // Preview refresh
-  elements.previewRefreshBtn?.addEventListener('click', updateTemplatePreview);
+  // Rich text output is HTML, so switch the escaping along with it
+  elements.templateRichText?.addEventListener('change', () => {
+    if (elements.templateRichText.checked && elements.templateOutputLanguage) {
+      elements.templateOutputLanguage.value = 'html';
+      updateTemplatePreview();
+    }
+  });
+  elements.templateOutputLanguage?.addEventListener('change', updateTemplatePreview);
+
+  // Batch output parts changes
+  [elements.templateBatchHeader, elements.templateBatchSeparator, elements.templateBatchFooter]
+    .filter(Boolean)
+    .forEach((input) => {
+      input.addEventListener('input', () => {
+        updateTemplatePreview();
+        validateTemplate();
+      });
+    });
+
+  // Preview refresh, re-reading the current tab
+  elements.previewRefreshBtn?.addEventListener('click', () => {
+    currentTabContext = null;
+    updateTemplatePreview();
+  });
+  elements.previewContextSelect?.addEventListener('change', updateTemplatePreview);
 
   // Variable button clicks
   document.addEventListener('click', (e) => {
@@ -444,9 +1435,13 @@ function bindEventListeners() {
 export async function initializeTemplateManager(elementsMap) {
   elements = elementsMap;
 
+  initializeTemplateEditor(elements.templateContent);
+
   // Bind event listeners
   bindEventListeners();
 
-  // Load templates
+  // Load templates and variables
+  templateVariables = await getTemplateVariables();
+  await loadTemplateSortOrder();
   await loadTemplates();
 }
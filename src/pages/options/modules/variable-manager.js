@@ -0,0 +1,162 @@
+/**
+ * Template Variable Module
+ * Handles user-defined constants referenced as {{var:name}} in templates
+ */
+
+import {
+  getTemplateVariables,
+  saveTemplateVariables,
+  VARIABLE_NAME_PATTERN,
+} from '../../../shared/constants.js';
+import toast from '../../../shared/toast.js';
+import { getLocalMessage } from '../../../shared/ui/i18n.js';
+
+// Module state
+let elements = {};
+
+/**
+ * Create a single variable row element
+ * @param {Object} variable - Variable ({name, value})
+ * @returns {HTMLElement} Variable row element
+ */
+function createVariableRow(variable = { name: '', value: '' }) {
+  const row = document.createElement('div');
+  row.className = 'template-variable-row';
+
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.className = 'variable-name-input';
+  nameInput.value = variable.name;
+  nameInput.placeholder = getLocalMessage('variableNamePlaceholder') || 'project';
+
+  const valueInput = document.createElement('input');
+  valueInput.type = 'text';
+  valueInput.className = 'variable-value-input';
+  valueInput.value = variable.value;
+  valueInput.placeholder = getLocalMessage('variableValuePlaceholder') || 'Value';
+
+  const removeBtn = document.createElement('button');
+  removeBtn.type = 'button';
+  removeBtn.className = 'template-variable-remove';
+  removeBtn.title = getLocalMessage('removeVariable') || '删除';
+  removeBtn.textContent = '×';
+
+  // Save when an input loses focus after editing
+  [nameInput, valueInput].forEach((input) => {
+    input.addEventListener('change', saveVariables);
+    input.addEventListener('input', () => input.classList.remove('error'));
+  });
+
+  removeBtn.addEventListener('click', () => {
+    row.remove();
+    saveVariables();
+  });
+
+  row.append(nameInput, valueInput, removeBtn);
+  return row;
+}
+
+/**
+ * Render variable list
+ * @param {Array} variables - Variables array
+ */
+function renderVariableList(variables) {
+  if (!elements.variableList) {
+    return;
+  }
+
+  elements.variableList.innerHTML = '';
+  variables.forEach((variable) => {
+    elements.variableList.appendChild(createVariableRow(variable));
+  });
+}
+
+/**
+ * Load variables from storage
+ * @returns {Promise<void>}
+ */
+async function loadVariables() {
+  try {
+    renderVariableList(await getTemplateVariables());
+  } catch (error) {
+    console.debug('[Variables] Failed to load variables:', error);
+  }
+}
+
+/**
+ * Collect variables from the list and save them
+ * Rows without a name and value are skipped; invalid or duplicate names are
+ * highlighted and nothing is saved.
+ * @returns {Promise<boolean>} Success status
+ */
+async function saveVariables() {
+  const variables = [];
+  const seen = new Set();
+
+  for (const row of elements.variableList.querySelectorAll('.template-variable-row')) {
+    const nameInput = row.querySelector('.variable-name-input');
+    const name = nameInput.value.trim();
+    const value = row.querySelector('.variable-value-input').value;
+
+    if (!name && !value) {
+      continue;
+    }
+
+    if (!VARIABLE_NAME_PATTERN.test(name)) {
+      nameInput.classList.add('error');
+      toast.error(
+        getLocalMessage('variableNameInvalid') ||
+          '变量名需以字母开头，只能包含字母、数字、下划线和连字符',
+      );
+      return false;
+    }
+
+    if (seen.has(name)) {
+      nameInput.classList.add('error');
+      toast.error(
+        getLocalMessage('variableNameDuplicate')?.replace('{name}', name) ||
+          `变量 "${name}" 已存在`,
+      );
+      return false;
+    }
+
+    seen.add(name);
+    variables.push({ name, value });
+  }
+
+  const success = await saveTemplateVariables(variables);
+  if (success) {
+    toast.success(getLocalMessage('variablesSaved') || '变量已保存');
+  } else {
+    toast.error(getLocalMessage('variablesSaveFailed') || '保存变量失败');
+  }
+  return success;
+}
+
+/**
+ * Bind event listeners for variable management
+ */
+function bindEventListeners() {
+  elements.addVariableBtn?.addEventListener('click', () => {
+    const row = createVariableRow();
+    elements.variableList.appendChild(row);
+    row.querySelector('.variable-name-input').focus();
+  });
+}
+
+/**
+ * Initialize template variable module
+ * @param {Object} elementsMap - Map of DOM elements
+ * @returns {Promise<void>}
+ */
+export async function initializeVariableManager(elementsMap) {
+  elements = elementsMap;
+
+  if (!elements.variableList) {
+    console.debug('variableList element not found');
+    return;
+  }
+
+  bindEventListeners();
+  await loadVariables();
+}
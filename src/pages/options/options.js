@@ -4,7 +4,9 @@
  */
 
 import { initializeTemplateManager } from './modules/template-manager.js';
+import { initializeVariableManager } from './modules/variable-manager.js';
 import { initializeParamConfig } from './modules/param-config.js';
+import { initializeRuleLists } from './modules/rule-lists.js';
 import { initializeSettingsPanel } from './modules/settings-panel.js';
 import { initializeEmojiPicker } from './modules/emoji-picker.js';
 import { initializeRatingPrompt } from './modules/rating-prompt.js';
@@ -31,17 +33,45 @@ function buildElementsMap() {
 
     // Template management elements
     templateList: document.getElementById('templateList'),
+    templateSortOrderSelect: document.getElementById('templateSortOrderSelect'),
+    presetList: document.getElementById('presetList'),
     addTemplateBtn: document.getElementById('addTemplateBtn'),
+    exportTemplatesBtn: document.getElementById('exportTemplatesBtn'),
+    importTemplatesBtn: document.getElementById('importTemplatesBtn'),
+    importTemplatesFile: document.getElementById('importTemplatesFile'),
+    importConflictSelect: document.getElementById('importConflictSelect'),
+    templateStorageText: document.getElementById('templateStorageText'),
+    templateStorageFill: document.getElementById('templateStorageFill'),
+    templateSyncToggle: document.getElementById('templateSyncToggle'),
     templateModal: document.getElementById('templateModal'),
     templateModalTitle: document.getElementById('templateModalTitle'),
     templateModalClose: document.getElementById('templateModalClose'),
     templateName: document.getElementById('templateName'),
     templateIcon: document.getElementById('templateIcon'),
     templateContent: document.getElementById('templateContent'),
+    templateOutputLanguage: document.getElementById('templateOutputLanguage'),
+    templateRichText: document.getElementById('templateRichText'),
+    templateBatchHeader: document.getElementById('templateBatchHeader'),
+    templateBatchSeparator: document.getElementById('templateBatchSeparator'),
+    templateBatchFooter: document.getElementById('templateBatchFooter'),
     templatePreview: document.getElementById('templatePreview'),
     templateSaveBtn: document.getElementById('templateSaveBtn'),
     templateCancelBtn: document.getElementById('templateCancelBtn'),
     previewRefreshBtn: document.getElementById('previewRefreshBtn'),
+    previewContextSelect: document.getElementById('previewContextSelect'),
+    templateProblems: document.getElementById('templateProblems'),
+    templateHistoryModal: document.getElementById('templateHistoryModal'),
+    templateHistoryTitle: document.getElementById('templateHistoryTitle'),
+    templateHistoryClose: document.getElementById('templateHistoryClose'),
+    templateHistoryList: document.getElementById('templateHistoryList'),
+    templateHistoryDiff: document.getElementById('templateHistoryDiff'),
+    historyCompareCurrent: document.getElementById('historyCompareCurrent'),
+    templateHistoryCancelBtn: document.getElementById('templateHistoryCancelBtn'),
+    templateHistoryRestoreBtn: document.getElementById('templateHistoryRestoreBtn'),
+
+    // Template variable elements
+    variableList: document.getElementById('variableList'),
+    addVariableBtn: document.getElementById('addVariableBtn'),
 
     // URL parameter configuration elements
     trackingParamsList: document.getElementById('trackingParamsList'),
@@ -50,6 +80,15 @@ function buildElementsMap() {
     addFunctionalParamBtn: document.getElementById('addFunctionalParamBtn'),
     resetTrackingParamsBtn: document.getElementById('resetTrackingParamsBtn'),
     resetFunctionalParamsBtn: document.getElementById('resetFunctionalParamsBtn'),
+    siteRulesList: document.getElementById('siteRulesList'),
+    siteHostInput: document.getElementById('siteHostInput'),
+    addSiteRuleBtn: document.getElementById('addSiteRuleBtn'),
+    resetSiteRulesBtn: document.getElementById('resetSiteRulesBtn'),
+    urlPartRulesList: document.getElementById('urlPartRulesList'),
+    resetUrlPartRulesBtn: document.getElementById('resetUrlPartRulesBtn'),
+    ruleListsList: document.getElementById('ruleListsList'),
+    importRuleListBtn: document.getElementById('importRuleListBtn'),
+    importRuleListFile: document.getElementById('importRuleListFile'),
     paramInputModal: document.getElementById('paramInputModal'),
     paramNameInput: document.getElementById('paramNameInput'),
     paramInputClose: document.getElementById('paramInputClose'),
@@ -72,7 +111,9 @@ async function initialize() {
   // Initialize all feature modules in parallel
   await Promise.all([
     initializeTemplateManager(elements),
+    initializeVariableManager(elements),
     initializeParamConfig(elements),
+    initializeRuleLists(elements),
     initializeEmojiPicker(),
     initializeRatingPrompt(),
   ]);
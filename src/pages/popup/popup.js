@@ -26,6 +26,7 @@ document.addEventListener("DOMContentLoaded", async () => {
     await loadTemplatesIntoSelect(elements.silentCopyFormat, {
       includeIcons: true,
       clearExisting: true,
+      sortOrder: await settingsManager.getSetting("templateSortOrder"),
       onError: (error) => {
         console.debug("Failed to load custom templates in popup:", error);
       },
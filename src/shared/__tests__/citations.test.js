@@ -0,0 +1,139 @@
+import { describe, it, expect } from "vitest";
+import {
+  CITATION_FORMATS,
+  parseAuthors,
+  parseCitationDate,
+  createBibtexKey,
+  createBibliography,
+} from "../citations.js";
+
+describe("citations.js", () => {
+  const entry = {
+    url: "https://blog.example.com/posts/rust",
+    title: "The Rust Ownership Model",
+    author: "Jane Anne Doe and John Smith",
+    publishedDate: "2024-03-05T08:00:00+09:00",
+    siteName: "Example Blog",
+    accessDate: new Date(2024, 5, 1),
+  };
+
+  describe("parseAuthors", () => {
+    it("should split author lists and inverted names", () => {
+      expect(parseAuthors("Jane Doe; John Smith")).toEqual([
+        { family: "Doe", given: "Jane" },
+        { family: "Smith", given: "John" },
+      ]);
+      expect(parseAuthors("Doe, Jane")).toEqual([{ family: "Doe", given: "Jane" }]);
+      expect(parseAuthors("@jdoe")).toEqual([{ family: "@jdoe", given: "" }]);
+      expect(parseAuthors("")).toEqual([]);
+    });
+  });
+
+  describe("parseCitationDate", () => {
+    it("should keep the written day of ISO dates", () => {
+      expect(parseCitationDate("2024-03-05T23:30:00-08:00")).toEqual({
+        year: 2024,
+        month: 2,
+        day: 5,
+      });
+      expect(parseCitationDate("2024")).toEqual({ year: 2024, month: null, day: null });
+      expect(parseCitationDate("not a date")).toBeNull();
+    });
+  });
+
+  describe("CITATION_FORMATS", () => {
+    it("should format APA 7", () => {
+      expect(CITATION_FORMATS.apa.format(entry)).toBe(
+        "Doe, J. A., & Smith, J. (2024, March 5). The Rust Ownership Model. Example Blog. https://blog.example.com/posts/rust",
+      );
+    });
+
+    it("should start APA citations without author with the title", () => {
+      expect(CITATION_FORMATS.apa.format({ ...entry, author: "", publishedDate: "" })).toBe(
+        "The Rust Ownership Model. (n.d.). Example Blog. https://blog.example.com/posts/rust",
+      );
+    });
+
+    it("should format MLA 9 with the access date", () => {
+      expect(CITATION_FORMATS.mla.format(entry)).toBe(
+        'Doe, Jane Anne, and John Smith. "The Rust Ownership Model." Example Blog, 5 Mar. 2024, blog.example.com/posts/rust. Accessed 1 June 2024.',
+      );
+    });
+
+    it("should format Chicago, using the access date without publish date", () => {
+      expect(CITATION_FORMATS.chicago.format(entry)).toBe(
+        'Doe, Jane Anne, and John Smith. "The Rust Ownership Model." Example Blog. March 5, 2024. https://blog.example.com/posts/rust.',
+      );
+      expect(CITATION_FORMATS.chicago.format({ ...entry, publishedDate: "" })).toMatch(
+        /Example Blog\. Accessed June 1, 2024\. https/,
+      );
+    });
+
+    it("should format BibTeX @online entries", () => {
+      expect(
+        CITATION_FORMATS.bibtex.format({ ...entry, title: "100% Rust & C_{ffi}" }),
+      ).toBe(
+        [
+          "@online{doe2024100,",
+          "  author = {Doe, Jane Anne and Smith, John},",
+          "  title = {{100\\% Rust \\& C\\_\\{ffi\\}}},",
+          "  organization = {Example Blog},",
+          "  date = {2024-03-05},",
+          "  url = {https://blog.example.com/posts/rust},",
+          "  urldate = {2024-06-01}",
+          "}",
+        ].join("\n"),
+      );
+    });
+
+    it("should format RIS records", () => {
+      expect(CITATION_FORMATS.ris.format(entry)).toBe(
+        [
+          "TY  - ELEC",
+          "AU  - Doe, Jane Anne",
+          "AU  - Smith, John",
+          "TI  - The Rust Ownership Model",
+          "T2  - Example Blog",
+          "PY  - 2024",
+          "DA  - 2024/03/05",
+          "UR  - https://blog.example.com/posts/rust",
+          "Y2  - 2024/06/01",
+          "ER  - ",
+        ].join("\n"),
+      );
+    });
+  });
+
+  describe("createBibtexKey", () => {
+    it("should build keys from author, year and title", () => {
+      expect(createBibtexKey(entry)).toBe("doe2024rust");
+      expect(
+        createBibtexKey({ url: "https://www.example.org/", title: "Über uns", author: "" }),
+      ).toBe("examplenduber");
+    });
+  });
+
+  describe("createBibliography", () => {
+    it("should sort style entries alphabetically", () => {
+      const other = { ...entry, author: "Alice Adams", title: "Borrowing" };
+
+      expect(createBibliography("apa", [entry, other]).split("\n")).toEqual([
+        CITATION_FORMATS.apa.format(other),
+        CITATION_FORMATS.apa.format(entry),
+      ]);
+    });
+
+    it("should keep BibTeX keys unique and stable", () => {
+      const bibliography = createBibliography("bibtex", [entry, entry, entry]);
+
+      expect(bibliography.match(/@online\{[^,]+/g)).toEqual([
+        "@online{doe2024rust",
+        "@online{doe2024rust-2",
+        "@online{doe2024rust-3",
+      ]);
+      expect(createBibliography("bibtex", [entry, entry])).toBe(
+        bibliography.split("\n\n").slice(0, 2).join("\n\n"),
+      );
+    });
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import {
+  createMarkdownLink,
+  createHtmlLink,
+  createFormattedLink,
+  htmlToPlainText,
+} from "../formatters.js";
+
+describe("formatters.js", () => {
+  beforeEach(() => {
+    chrome.storage.sync.get.mockResolvedValue({});
+  });
+
+  describe("createMarkdownLink", () => {
+    it("should escape brackets in titles and parentheses in URLs", async () => {
+      const result = await createMarkdownLink(
+        "https://en.wikipedia.org/wiki/Rust_(language)",
+        "[RFC] Rust",
+        "off",
+      );
+
+      expect(result).toBe(
+        "[\\[RFC\\] Rust](https://en.wikipedia.org/wiki/Rust_%28language%29)",
+      );
+    });
+  });
+
+  describe("createHtmlLink", () => {
+    it("should create an escaped anchor", async () => {
+      const result = await createHtmlLink(
+        "https://example.com/?a=1&b=2",
+        'Tom & "Jerry" <3',
+        "off",
+      );
+
+      expect(result).toBe(
+        '<a href="https://example.com/?a=1&amp;b=2">Tom &amp; &quot;Jerry&quot; &lt;3</a>',
+      );
+    });
+
+    it("should fall back to the hostname as title", async () => {
+      const result = await createHtmlLink("https://example.com/page", "", "off");
+
+      expect(result).toBe('<a href="https://example.com/page">example.com</a>');
+    });
+  });
+
+  describe("htmlToPlainText", () => {
+    it("should keep link targets next to their text", () => {
+      expect(
+        htmlToPlainText('<a href="https://example.com/?a=1&amp;b=2">Tom &amp; Jerry</a>'),
+      ).toBe("Tom & Jerry (https://example.com/?a=1&b=2)");
+      expect(htmlToPlainText('<a href="https://example.com">https://example.com</a>')).toBe(
+        "https://example.com",
+      );
+    });
+
+    it("should turn line breaks and blocks into new lines", () => {
+      const html = "<ul>\n  <li><b>One</b></li>\n  <li>Two</li>\n</ul><p>A<br>B</p>";
+
+      expect(htmlToPlainText(html)).toBe("One\nTwo\nA\nB");
+    });
+
+    it("should decode character references", () => {
+      expect(htmlToPlainText("&lt;tag&gt; &#169; &#x1F600; &unknown;")).toBe(
+        "<tag> © 😀 &unknown;",
+      );
+    });
+  });
+
+  describe("createFormattedLink", () => {
+    const url = "https://example.com/a b?x=1&y=[2]|3#top";
+    const title = "Q&A [draft] | 100% <done>";
+
+    it.each([
+      ["slack", "<https://example.com/a%20b?x=1&amp;y=[2]%7C3#top|Q&amp;A [draft] | 100% &lt;done&gt;>"],
+      ["jira", "[Q&A \\[draft\\] \\| 100% <done>|https://example.com/a%20b?x=1&y=[2%5D%7C3#top]"],
+      ["mediawiki", "[https://example.com/a%20b?x=1&y=%5B2%5D|3#top Q&A [draft&#93; | 100% <done>]"],
+      ["bbcode", "[url=https://example.com/a%20b?x=1&y=%5B2%5D|3#top]Q&A [draft] | 100% <done>[/url]"],
+      ["asciidoc", "https://example.com/a%20b?x=1&y=%5B2%5D|3#top[Q&A [draft\\] | 100% <done>]"],
+      ["rst", "`Q&A [draft] | 100% \\<done> <https://example.com/a%20b?x=1&y=[2]|3#top>`__"],
+      ["org", "[[https://example.com/a%20b?x=1&y=%5B2%5D|3#top][Q&A {draft} | 100% <done>]]"],
+      ["latex", "\\href{https://example.com/a\\%20b?x=1&y=[2]|3\\#top}{Q\\&A [draft] | 100\\% <done>}"],
+    ])("should escape %s links", async (format, expected) => {
+      expect(await createFormattedLink(format, url, title, "off")).toBe(expected);
+    });
+  });
+});
@@ -0,0 +1,296 @@
+import { describe, it, expect } from "vitest";
+import {
+  CUSTOM_PARAM_RULES_KEY,
+  PARAM_CATEGORIES,
+  DEFAULT_SITE_RULES,
+  normalizeHostPattern,
+  matchesHostPattern,
+  getSiteRulesForHost,
+  getCustomParamRules,
+  initializeParamRules,
+  splitParamRule,
+  validateParamRule,
+  normalizeParamRule,
+  matchesParamRules,
+} from "../url/param-rules.js";
+import { processUrl } from "../url/url-processor.js";
+
+describe("parameter rule patterns", () => {
+  it("matches exact names case-insensitively", () => {
+    expect(matchesParamRules(["fbclid"], "FBCLID")).toBe(true);
+    expect(matchesParamRules(["fbclid"], "fbclid2")).toBe(false);
+  });
+
+  it("matches wildcard names", () => {
+    expect(matchesParamRules(["utm_*"], "utm_id")).toBe(true);
+    expect(matchesParamRules(["utm_*"], "xutm_id")).toBe(false);
+    expect(matchesParamRules(["ga?"], "gab")).toBe(true);
+    // Regular expression characters in wildcards are literal
+    expect(matchesParamRules(["a.b*"], "axb")).toBe(false);
+  });
+
+  it("matches regular expression names", () => {
+    expect(matchesParamRules(["/^_{1,2}hs/"], "__hstc")).toBe(true);
+    expect(matchesParamRules(["/^_{1,2}hs/"], "_hsenc")).toBe(true);
+    expect(matchesParamRules(["/^_{1,2}hs/"], "hs")).toBe(false);
+  });
+
+  it("checks the value of value-conditional rules", () => {
+    const rules = ["ref=/^(tw|fb)_/", "from=share*"];
+    expect(matchesParamRules(rules, "ref", "tw_home")).toBe(true);
+    expect(matchesParamRules(rules, "ref", "main")).toBe(false);
+    expect(matchesParamRules(rules, "from", "share_link")).toBe(true);
+    expect(matchesParamRules(rules, "from", "home")).toBe(false);
+  });
+
+  it("splits a regular expression name at the slash, not an inner equals sign", () => {
+    expect(splitParamRule("/^a=b/")).toEqual({ name: "/^a=b/", value: null });
+    expect(splitParamRule("/^x/=y")).toEqual({ name: "/^x/", value: "y" });
+    expect(splitParamRule("ref=a=b")).toEqual({ name: "ref", value: "a=b" });
+  });
+
+  it("validates entries", () => {
+    expect(validateParamRule("utm_*").valid).toBe(true);
+    expect(validateParamRule("ref=/^tw/").valid).toBe(true);
+    expect(validateParamRule("").error).toBe("empty");
+    expect(validateParamRule("ref=").error).toBe("value");
+    expect(validateParamRule("bad name").error).toBe("name");
+    expect(validateParamRule("/(/").error).toBe("regex");
+  });
+
+  it("ignores invalid entries when matching", () => {
+    expect(matchesParamRules(["/(/", "bad name"], "bad name")).toBe(false);
+  });
+
+  it("rejects regular expressions that may backtrack catastrophically", () => {
+    expect(validateParamRule("/^(a+)+$/")).toMatchObject({
+      valid: false,
+      error: "regex",
+      message: expect.stringContaining("catastrophic backtracking"),
+    });
+    expect(validateParamRule("ref=/(a|a)*$/").error).toBe("regex");
+    expect(validateParamRule("/(?:a+){10}$/").error).toBe("regex");
+    expect(validateParamRule("ref=/(?:a+){10}$/").error).toBe("regex");
+    expect(validateParamRule("/\\d*\\d*\\d*x/").error).toBe("regex");
+    expect(validateParamRule("/^([a-z]+\\.)+com$/").valid).toBe(true);
+    expect(matchesParamRules(["/^(a+)+$/"], `${"a".repeat(30)}!`)).toBe(false);
+    expect(
+      matchesParamRules(["/(?:a+){10}$/", "x=/(?:a+){10}$/"], "x", `${"a".repeat(28)}b`),
+    ).toBe(false);
+  });
+
+  it("lowercases names but keeps regular expressions and values", () => {
+    expect(normalizeParamRule(" UTM_* ")).toBe("utm_*");
+    expect(normalizeParamRule("/^\\D/")).toBe("/^\\D/");
+    expect(normalizeParamRule("Ref=/^TW/")).toBe("ref=/^TW/");
+  });
+});
+
+describe("stored rule migration", () => {
+  const storeRules = (rules) =>
+    chrome.storage.sync.set({ [CUSTOM_PARAM_RULES_KEY]: rules });
+
+  it("adds new default entries to rules saved by version 1.0 once", async () => {
+    await storeRules({
+      tracking: ["utm_source", "fbclid"],
+      functional: ["page", "mc_cid"],
+      sites: [],
+      version: "1.0",
+    });
+
+    await initializeParamRules();
+    const { tracking, functional } = await getCustomParamRules();
+    expect(tracking).toEqual(["utm_source", "fbclid", "utm_*", "mc_eid", "/^_{1,2}hs/", "mkt_tok"]);
+    expect(functional).toEqual(["page", "mc_cid"]);
+    expect(matchesParamRules(tracking, "utm_id")).toBe(true);
+    expect(matchesParamRules(tracking, "_hsenc")).toBe(true);
+
+    // Entries the user removes afterwards stay removed
+    const stored = (await chrome.storage.sync.get(CUSTOM_PARAM_RULES_KEY))[CUSTOM_PARAM_RULES_KEY];
+    await storeRules({ ...stored, tracking: ["utm_source"] });
+    await initializeParamRules();
+    expect((await getCustomParamRules()).tracking).toEqual(["utm_source"]);
+  });
+});
+
+describe("site parameter rules", () => {
+  describe("normalizeHostPattern", () => {
+    it("accepts hosts, wildcards and full URLs", () => {
+      expect(normalizeHostPattern(" Example.COM ")).toBe("example.com");
+      expect(normalizeHostPattern("*.example.com")).toBe("*.example.com");
+      expect(normalizeHostPattern("https://www.example.com:8080/path?q=1")).toBe(
+        "www.example.com",
+      );
+    });
+
+    it("converts internationalized names to ASCII", () => {
+      expect(normalizeHostPattern("*.例子.com")).toBe("*.xn--fsqu00a.com");
+    });
+
+    it("rejects things that are not hosts", () => {
+      expect(normalizeHostPattern("")).toBe("");
+      expect(normalizeHostPattern("*")).toBe("");
+      expect(normalizeHostPattern("foo.*.com")).toBe("");
+      expect(normalizeHostPattern("exa mple.com")).toBe("");
+    });
+  });
+
+  describe("matchesHostPattern", () => {
+    it("matches exact hosts only", () => {
+      expect(matchesHostPattern("youtu.be", "youtu.be")).toBe(true);
+      expect(matchesHostPattern("www.youtu.be", "youtu.be")).toBe(false);
+    });
+
+    it("matches the domain and its subdomains for wildcards", () => {
+      expect(matchesHostPattern("youtube.com", "*.youtube.com")).toBe(true);
+      expect(matchesHostPattern("m.youtube.com", "*.youtube.com")).toBe(true);
+      expect(matchesHostPattern("notyoutube.com", "*.youtube.com")).toBe(false);
+    });
+  });
+
+  it("orders matching rules from most to least specific", () => {
+    const sites = [
+      { host: "*.google.com", tracking: [], functional: [] },
+      { host: "mail.google.com", tracking: [], functional: [] },
+      { host: "*.mail.google.com", tracking: [], functional: [] },
+      { host: "example.com", tracking: [], functional: [] },
+    ];
+
+    expect(getSiteRulesForHost(sites, "mail.google.com").map((s) => s.host)).toEqual([
+      "mail.google.com",
+      "*.mail.google.com",
+      "*.google.com",
+    ]);
+  });
+
+  it("gives rules saved before site rules existed the default site rules", async () => {
+    chrome.storage.sync.get.mockResolvedValue({
+      [CUSTOM_PARAM_RULES_KEY]: { tracking: ["utm_source"], functional: [] },
+    });
+
+    const rules = await getCustomParamRules();
+    expect(rules.sites).toEqual(DEFAULT_SITE_RULES);
+    expect(rules.sites).not.toBe(DEFAULT_SITE_RULES);
+  });
+
+  describe("processUrl", () => {
+    const useRules = (rules) =>
+      chrome.storage.sync.get.mockResolvedValue({ [CUSTOM_PARAM_RULES_KEY]: rules });
+
+    it("removes site tracking parameters only on that site", async () => {
+      useRules({
+        tracking: ["utm_source"],
+        functional: [],
+        sites: [{ host: "*.youtube.com", tracking: ["si"], functional: [] }],
+      });
+
+      expect(await processUrl("https://www.youtube.com/watch?v=abc&si=xyz")).toBe(
+        "https://www.youtube.com/watch?v=abc",
+      );
+      expect(await processUrl("https://example.com/?si=xyz")).toBe(
+        "https://example.com/?si=xyz",
+      );
+    });
+
+    it("applies wildcard and value-conditional rules", async () => {
+      useRules({
+        tracking: ["utm_*", "ref=/^tw_/"],
+        functional: [],
+        sites: [],
+      });
+
+      expect(await processUrl("https://example.com/?utm_id=1&ref=tw_home&q=x")).toBe(
+        "https://example.com/?q=x",
+      );
+      expect(await processUrl("https://example.com/?ref=main")).toBe(
+        "https://example.com/?ref=main",
+      );
+    });
+
+    it("lets site functional parameters override global tracking ones", async () => {
+      useRules({
+        tracking: ["ref"],
+        functional: [],
+        sites: [{ host: "*.github.com", tracking: [], functional: ["ref"] }],
+      });
+
+      expect(await processUrl("https://github.com/a/b/blob/x?ref=main")).toBe(
+        "https://github.com/a/b/blob/x?ref=main",
+      );
+      expect(await processUrl("https://example.com/?ref=main")).toBe(
+        "https://example.com/",
+      );
+    });
+  });
+
+  it("gives rules saved before path and fragment rules existed their defaults", async () => {
+    chrome.storage.sync.get.mockResolvedValue({
+      [CUSTOM_PARAM_RULES_KEY]: { tracking: [], functional: [], sites: [] },
+    });
+
+    const rules = await getCustomParamRules();
+    expect(rules.paths).toEqual(PARAM_CATEGORIES.PATH);
+    expect(rules.fragments).toEqual(PARAM_CATEGORIES.FRAGMENT);
+  });
+});
+
+describe("path and fragment rules", () => {
+  const useRules = (rules) =>
+    chrome.storage.sync.get.mockResolvedValue({
+      [CUSTOM_PARAM_RULES_KEY]: { tracking: [], functional: [], sites: [], ...rules },
+    });
+
+  it("removes tracking path segments", async () => {
+    useRules({ paths: ["ref"] });
+    expect(await processUrl("https://www.amazon.com/Item/dp/B0ABC/ref=sr_1_1?th=1")).toBe(
+      "https://www.amazon.com/Item/dp/B0ABC?th=1",
+    );
+    expect(await processUrl("https://example.com/ref=x/page/")).toBe(
+      "https://example.com/page/",
+    );
+    // Only name=value segments are matched
+    expect(await processUrl("https://example.com/ref/page")).toBe(
+      "https://example.com/ref/page",
+    );
+  });
+
+  it("removes matrix parameters", async () => {
+    useRules({ paths: ["jsessionid"] });
+    expect(
+      await processUrl("https://example.com/shop;JSESSIONID=A1B2;lang=en/cart.do?id=1"),
+    ).toBe("https://example.com/shop;lang=en/cart.do?id=1");
+  });
+
+  it("removes fragment parameters and text directives", async () => {
+    useRules({ fragments: ["xtor", "text"] });
+    expect(await processUrl("https://example.com/news#xtor=RSS-1")).toBe(
+      "https://example.com/news",
+    );
+    expect(await processUrl("https://example.com/a#xtor=RSS-1&page=2")).toBe(
+      "https://example.com/a#page=2",
+    );
+    expect(await processUrl("https://example.com/a#intro:~:text=hello")).toBe(
+      "https://example.com/a#intro",
+    );
+  });
+
+  it("leaves hash routes and unknown fragments alone", async () => {
+    useRules({ fragments: ["xtor"] });
+    expect(await processUrl("https://example.com/#/page?xtor=1")).toBe(
+      "https://example.com/#/page?xtor=1",
+    );
+    expect(await processUrl("https://example.com/#section-2")).toBe(
+      "https://example.com/#section-2",
+    );
+  });
+
+  it("keeps plain anchors in aggressive mode", async () => {
+    useRules({ paths: ["ref"], fragments: [] });
+    expect(
+      await processUrl("https://example.com/doc/ref=nav?utm_source=x#install", "aggressive"),
+    ).toBe("https://example.com/doc#install");
+    expect(await processUrl("https://example.com/a#x=1:~:text=hi", "aggressive")).toBe(
+      "https://example.com/a",
+    );
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect } from "vitest";
+import { unwrapRedirectUrl, MAX_REDIRECT_DEPTH } from "../url/redirects.js";
+import { processUrl } from "../url/url-processor.js";
+
+const target = "https://example.com/article?id=7";
+const encoded = encodeURIComponent(target);
+
+describe("unwrapRedirectUrl", () => {
+  it.each([
+    ["Google", `https://www.google.com/url?sa=t&q=${encoded}&usg=abc`],
+    ["Google country domains", `https://www.google.co.uk/url?url=${encoded}`],
+    ["Facebook", `https://l.facebook.com/l.php?u=${encoded}&h=AT0`],
+    ["Reddit", `https://out.reddit.com/t3_abc?url=${encoded}&token=x`],
+    [
+      "Outlook SafeLinks",
+      `https://nam12.safelinks.protection.outlook.com/?url=${encoded}&data=05&reserved=0`,
+    ],
+    ["Slack", `https://slack-redir.net/link?url=${encoded}`],
+    [
+      "Bing",
+      "https://www.bing.com/ck/a?!&&p=abc&u=a1aHR0cHM6Ly9leGFtcGxlLmNvbS9hcnRpY2xlP2lkPTc&ntb=1",
+    ],
+  ])("unwraps %s redirects", (_, url) => {
+    expect(unwrapRedirectUrl(url)).toBe(target);
+  });
+
+  it("unwraps nested wrappers", () => {
+    const google = `https://www.google.com/url?q=${encoded}`;
+    const safelinks = `https://eur01.safelinks.protection.outlook.com/?url=${encodeURIComponent(google)}`;
+    expect(unwrapRedirectUrl(safelinks)).toBe(target);
+  });
+
+  it("accepts a doubly encoded destination", () => {
+    expect(
+      unwrapRedirectUrl(`https://l.facebook.com/l.php?u=${encodeURIComponent(encoded)}`),
+    ).toBe(target);
+  });
+
+  it("stops after MAX_REDIRECT_DEPTH wrappers", () => {
+    let url = target;
+    for (let i = 0; i <= MAX_REDIRECT_DEPTH; i++) {
+      url = `https://slack-redir.net/link?url=${encodeURIComponent(url)}`;
+    }
+    expect(unwrapRedirectUrl(url)).toBe(
+      `https://slack-redir.net/link?url=${encoded}`,
+    );
+  });
+
+  it("leaves other URLs alone", () => {
+    const search = "https://www.google.com/search?q=https%3A%2F%2Fexample.com";
+    expect(unwrapRedirectUrl(search)).toBe(search);
+    expect(unwrapRedirectUrl("https://example.com/url?q=x")).toBe(
+      "https://example.com/url?q=x",
+    );
+    expect(unwrapRedirectUrl("not a url")).toBe("not a url");
+  });
+
+  it("never unwraps to non-web URLs", () => {
+    const url = `https://www.google.com/url?q=${encodeURIComponent("javascript:alert(1)")}`;
+    expect(unwrapRedirectUrl(url)).toBe(url);
+  });
+
+  it("accepts custom wrapper lists", () => {
+    const wrappers = [{ name: "test", hosts: ["*.example.org"], params: ["to"] }];
+    expect(unwrapRedirectUrl(`https://go.example.org/x?to=${encoded}`, wrappers)).toBe(
+      target,
+    );
+  });
+});
+
+describe("processUrl with redirect wrappers", () => {
+  const wrapped = `https://www.google.com/url?q=${encodeURIComponent(
+    "https://example.com/page?id=1&utm_source=google",
+  )}&sa=D`;
+
+  it("cleans the destination instead of the wrapper", async () => {
+    chrome.storage.sync.get.mockResolvedValue({});
+    expect(await processUrl(wrapped, "smart")).toBe("https://example.com/page?id=1");
+    expect(await processUrl(wrapped, "aggressive")).toBe("https://example.com/page");
+  });
+
+  it("keeps wrappers when cleaning is off", async () => {
+    expect(await processUrl(wrapped, "off")).toBe(wrapped);
+    expect(chrome.storage.local.get).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,262 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import {
+  RULE_LISTS_KEY,
+  parseClearUrlsList,
+  parseAdGuardList,
+  parseRuleListFile,
+  getRuleLists,
+  getRuleListRedirects,
+  addRuleList,
+  setRuleListEnabled,
+  removeRuleList,
+} from "../url/rule-lists.js";
+import { CUSTOM_PARAM_RULES_KEY } from "../url/param-rules.js";
+import { matchesParamRules } from "../url/param-rules.js";
+import { unwrapRedirectUrl } from "../url/redirects.js";
+import { processUrl } from "../url/url-processor.js";
+
+const clearUrlsData = {
+  providers: {
+    example: {
+      urlPattern: "^https?:\\/\\/(?:[a-z0-9-]+\\.)*?example\\.com",
+      completeProvider: false,
+      rules: ["ref_?src", "sid"],
+      referralMarketing: ["tag"],
+      rawRules: ["\\/ref=[^/?]*"],
+      exceptions: ["^https?:\\/\\/(?:[a-z0-9-]+\\.)*?example\\.com\\/keep"],
+      redirections: ["^https?:\\/\\/out\\.example\\.com\\/go\\?to=([^&]+)"],
+      forceRedirection: false,
+    },
+    broken: { urlPattern: "(", rules: ["x"] },
+  },
+};
+
+const adGuardList = `! Title: Test URL Tracking filter
+[Adblock Plus 2.0]
+$removeparam=utm_source
+$removeparam=/^(pk_|mtm_)/
+||example.org^$removeparam=ref
+$removeparam=share,domain=example.net|example.com
+@@||example.org^$removeparam=ref_id
+$removeparam=/^a{1,2}b/i,~third-party
+||example.org/path$removeparam=x
+$removeparam=~keep
+$removeparam
+example.com##.banner
+`;
+
+describe("parseClearUrlsList", () => {
+  const { providers, skipped } = parseClearUrlsList(clearUrlsData);
+
+  it("converts providers", () => {
+    expect(providers).toHaveLength(1);
+    expect(providers[0]).toMatchObject({
+      name: "example",
+      urlPattern: clearUrlsData.providers.example.urlPattern,
+      tracking: ["/^(?:ref_?src)$/", "sid", "tag"],
+      functional: [],
+    });
+    expect(providers[0].exceptions).toHaveLength(1);
+    expect(providers[0].redirections).toHaveLength(1);
+  });
+
+  it("counts raw rules and invalid providers as skipped", () => {
+    expect(skipped).toBe(2);
+  });
+
+  it("rejects data without providers", () => {
+    expect(() => parseClearUrlsList({ rules: [] })).toThrow();
+  });
+});
+
+describe("parseAdGuardList", () => {
+  const { providers, skipped, title } = parseAdGuardList(adGuardList);
+  const byName = Object.fromEntries(providers.map((p) => [p.name, p]));
+
+  it("reads the title", () => {
+    expect(title).toBe("Test URL Tracking filter");
+  });
+
+  it("converts global rules", () => {
+    expect(byName["*"].tracking).toEqual(["utm_source", "/^(pk_|mtm_)/", "/^a{1,2}b/"]);
+  });
+
+  it("converts host and domain rules, with exceptions as functional rules", () => {
+    expect(byName["*.example.org"]).toMatchObject({
+      hosts: ["*.example.org"],
+      tracking: ["ref"],
+      functional: ["ref_id"],
+    });
+    expect(byName["*.example.net, *.example.com"].tracking).toEqual(["share"]);
+  });
+
+  it("skips rules it cannot express", () => {
+    // Path pattern, inverted rule, rule removing all parameters
+    expect(skipped).toBe(3);
+  });
+
+  it("turns name=value expressions into value-conditional rules", () => {
+    const { providers, skipped } = parseAdGuardList(
+      "$removeparam=/^utm_source=(google|bing)$/\n$removeparam=/^sc_[a-z]+=\\d+/i\n",
+    );
+    const [tracking] = providers.map((provider) => provider.tracking);
+
+    expect(skipped).toBe(0);
+    expect(tracking).toEqual(["/^utm_source$/=/^(google|bing)$/", "/^sc_[a-z]+$/=/^\\d+/"]);
+    expect(matchesParamRules(tracking, "utm_source", "google")).toBe(true);
+    expect(matchesParamRules(tracking, "utm_source", "newsletter")).toBe(false);
+    expect(matchesParamRules(tracking, "sc_cid", "42")).toBe(true);
+  });
+
+  it("skips name=value expressions it cannot split", () => {
+    const { providers, skipped } = parseAdGuardList(
+      "$removeparam=/^(ref|src=x)/\n$removeparam=/a|b=c/\n$removeparam=/=x/\n$removeparam=x\n",
+    );
+
+    expect(skipped).toBe(3);
+    expect(providers[0].tracking).toEqual(["x"]);
+  });
+
+  it("rejects lists without $removeparam rules", () => {
+    expect(() => parseAdGuardList("example.com##.banner\n")).toThrow();
+  });
+});
+
+describe("parseRuleListFile", () => {
+  it("detects the format and names the list", () => {
+    expect(parseRuleListFile(JSON.stringify(clearUrlsData), "data.min.json")).toMatchObject({
+      name: "ClearURLs",
+      format: "clearurls",
+    });
+    expect(parseRuleListFile(adGuardList, "filter.txt")).toMatchObject({
+      name: "Test URL Tracking filter",
+      format: "adguard",
+    });
+    expect(parseRuleListFile("$removeparam=x", "my-list.txt").name).toBe("my-list");
+  });
+
+  it("rejects files without usable rules", () => {
+    expect(() => parseRuleListFile(JSON.stringify({ providers: {} }))).toThrow();
+    expect(() => parseRuleListFile("$removeparam")).toThrow();
+  });
+});
+
+describe("getRuleListRedirects", () => {
+  const target = "https://dest.org/page";
+  const lists = [
+    {
+      enabled: true,
+      providers: [
+        {
+          name: "example",
+          urlPattern: "^https?:\\/\\/(?:[a-z0-9-]+\\.)*?example\\.com",
+          exceptions: ["^https?:\\/\\/example\\.com\\/keep"],
+          tracking: [],
+          functional: [],
+          redirections: ["[?&]url=([^&]+)"],
+        },
+      ],
+    },
+  ];
+  const wrappers = getRuleListRedirects(lists);
+  const wrap = (url) => `${url}?url=${encodeURIComponent(target)}`;
+
+  it("follows redirections on URLs the provider applies to", () => {
+    expect(unwrapRedirectUrl(wrap("https://www.example.com/r"), wrappers)).toBe(target);
+  });
+
+  it("ignores redirections outside the provider's URLs and on exceptions", () => {
+    expect(unwrapRedirectUrl(wrap("https://other.com/r"), wrappers)).toBe(
+      wrap("https://other.com/r"),
+    );
+    expect(unwrapRedirectUrl(wrap("https://example.com/keep"), wrappers)).toBe(
+      wrap("https://example.com/keep"),
+    );
+  });
+});
+
+describe("imported rule lists", () => {
+  beforeEach(async () => {
+    await chrome.storage.sync.set({
+      [CUSTOM_PARAM_RULES_KEY]: {
+        tracking: [],
+        functional: ["tag"],
+        sites: [],
+        paths: [],
+        fragments: [],
+      },
+    });
+  });
+
+  const importClearUrls = () =>
+    addRuleList(parseRuleListFile(JSON.stringify(clearUrlsData), "data.min.json"));
+
+  it("stores lists enabled and toggles or removes them", async () => {
+    const list = await importClearUrls();
+    expect(list).toMatchObject({ enabled: true, ruleCount: 4, skipped: 2 });
+    expect((await chrome.storage.local.get(RULE_LISTS_KEY))[RULE_LISTS_KEY]).toHaveLength(1);
+
+    await setRuleListEnabled(list.id, false);
+    expect((await getRuleLists())[0].enabled).toBe(false);
+
+    await removeRuleList(list.id);
+    expect(await getRuleLists()).toEqual([]);
+  });
+
+  it("removes list parameters on matching URLs only", async () => {
+    await importClearUrls();
+
+    expect(await processUrl("https://www.example.com/a?refsrc=x&sid=1&id=2")).toBe(
+      "https://www.example.com/a?id=2",
+    );
+    expect(await processUrl("https://other.com/a?sid=1")).toBe("https://other.com/a?sid=1");
+    expect(await processUrl("https://example.com/keep?sid=1")).toBe(
+      "https://example.com/keep?sid=1",
+    );
+  });
+
+  it("lets personal functional rules keep list parameters", async () => {
+    await importClearUrls();
+    expect(await processUrl("https://example.com/?tag=abc")).toBe("https://example.com/?tag=abc");
+  });
+
+  it("follows list redirections", async () => {
+    await importClearUrls();
+    const target = encodeURIComponent("https://dest.org/page?x=1");
+    expect(await processUrl(`https://out.example.com/go?to=${target}`)).toBe(
+      "https://dest.org/page?x=1",
+    );
+  });
+
+  it("ignores disabled lists", async () => {
+    const list = await importClearUrls();
+    await setRuleListEnabled(list.id, false);
+    expect(await processUrl("https://example.com/?sid=1")).toBe("https://example.com/?sid=1");
+  });
+
+  it("reads the lists once until they change in storage", async () => {
+    const list = await importClearUrls();
+    chrome.storage.local.get.mockClear();
+
+    await processUrl("https://example.com/?sid=1");
+    await processUrl("https://example.com/?sid=2");
+    expect(chrome.storage.local.get).not.toHaveBeenCalled();
+
+    // Another context (the options page) turns the list off
+    const [stored] = (await chrome.storage.local.get(RULE_LISTS_KEY))[RULE_LISTS_KEY];
+    await chrome.storage.local.set({ [RULE_LISTS_KEY]: [{ ...stored, enabled: false }] });
+    expect(await processUrl("https://example.com/?sid=1")).toBe("https://example.com/?sid=1");
+    expect((await getRuleLists())[0]).toMatchObject({ id: list.id, enabled: false });
+  });
+
+  it("applies AdGuard host rules and exceptions", async () => {
+    await addRuleList(parseRuleListFile(adGuardList, "filter.txt"));
+
+    expect(await processUrl("https://www.example.org/?ref=x&ref_id=1&utm_source=y")).toBe(
+      "https://www.example.org/?ref_id=1",
+    );
+    expect(await processUrl("https://example.net/?share=1&pk_campaign=x")).toBe(
+      "https://example.net/",
+    );
+  });
+});
@@ -0,0 +1,728 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { TemplateEngine } from "../template/engine.js";
+import settingsManager from "../settings-manager.js";
+import { tokenize, parseExpression } from "../template/parser.js";
+import {
+  hasNestedQuantifiers,
+  MAX_REGEX_INPUT_LENGTH,
+} from "../template/regex-safety.js";
+import {
+  processBatchTemplate,
+  normalizeBatchParts,
+} from "../template/manager.js";
+
+describe("TemplateEngine", () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = new TemplateEngine();
+  });
+
+  describe("parser", () => {
+    it("should split text and tags", () => {
+      const tokens = tokenize("Hi {{title}}!");
+
+      expect(tokens).toEqual([
+        { type: "text", value: "Hi " },
+        { type: "tag", raw: "{{title}}", expression: "title" },
+        { type: "text", value: "!" },
+      ]);
+    });
+
+    it("should keep braces and pipes inside quoted arguments", () => {
+      const { name, filters } = parseExpression(
+        'title|replace:"}}":"|"|default:\'n/a\'',
+      );
+
+      expect(name).toBe("title");
+      expect(filters).toEqual([
+        { name: "replace", args: ["}}", "|"] },
+        { name: "default", args: ["n/a"] },
+      ]);
+    });
+
+    it("should keep pipes inside regex literal arguments", () => {
+      const { filters } = parseExpression("title|regexReplace:/a|b/g:-");
+
+      expect(filters).toEqual([
+        { name: "regexReplace", args: ["/a|b/g", "-"] },
+      ]);
+    });
+  });
+
+  describe("filters", () => {
+    const context = {
+      title: "  Hello World: A Long Title  ",
+      author: "",
+      url: "https://example.com",
+    };
+
+    it("should chain filters left to right", async () => {
+      const result = await engine.processTemplate(
+        "{{title|trim|upper|truncate:10}}",
+        context,
+      );
+
+      expect(result).toBe("HELLO WOR…");
+    });
+
+    it("should apply default for empty values", async () => {
+      const result = await engine.processTemplate(
+        '{{author|default:"Unknown"}}',
+        context,
+      );
+
+      expect(result).toBe("Unknown");
+    });
+
+    it("should support replace and regexReplace", async () => {
+      const result = await engine.processTemplate(
+        '{{title|trim|replace:":":""|regexReplace:/\\s+/g:_}}',
+        context,
+      );
+
+      expect(result).toBe("Hello_World_A_Long_Title");
+    });
+
+    it("should slugify and escape", async () => {
+      const result = await engine.processTemplate(
+        "{{title|slugify}} {{title|trim|urlencode}}",
+        { title: 'Café & "Crème"' },
+      );
+
+      expect(result).toBe("cafe-creme Caf%C3%A9%20%26%20%22Cr%C3%A8me%22");
+    });
+
+    it("should escape for HTML and JSON", async () => {
+      const result = await engine.processTemplate(
+        "{{title|htmlEscape}}|{{title|jsonEscape}}",
+        { title: '<a href="x">' },
+      );
+
+      expect(result).toBe('&lt;a href=&quot;x&quot;&gt;|<a href=\\"x\\">');
+    });
+
+    it("should keep the placeholder when a filter is unknown", async () => {
+      const result = await engine.processTemplate("{{title|shout}}", context);
+
+      expect(result).toBe("{{title|shout}}");
+    });
+
+    it("should detect filters when resolving template fields", () => {
+      expect(engine.getTemplateFields("{{title|upper}} {{shortUrl}}")).toEqual(
+        ["title", "shortUrl"],
+      );
+    });
+  });
+
+  describe("validateTemplate with filters", () => {
+    it("should accept known filters", () => {
+      const result = engine.validateTemplate(
+        '{{title|truncate:60:"..."}} {{author|default:"Unknown"}}',
+      );
+
+      expect(result.valid).toBe(true);
+      expect(result.fields).toEqual(["title", "author"]);
+    });
+
+    it("should report unknown filters", () => {
+      const result = engine.validateTemplate("{{title|shout}}");
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain("Unknown filter: shout");
+    });
+
+    it("should report wrong argument counts", () => {
+      const result = engine.validateTemplate("{{title|truncate}}");
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toMatch(/expects 1-2 argument/);
+    });
+
+    it("should report invalid arguments", () => {
+      const result = engine.validateTemplate(
+        "{{title|truncate:abc}} {{title|regexReplace:/(/}}",
+      );
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toHaveLength(2);
+    });
+  });
+
+  describe("conditional blocks", () => {
+    it("should render if blocks only when the field has a value", async () => {
+      const template = "{{title}}{{#if author}} by {{author}}{{/if}}";
+
+      expect(
+        await engine.processTemplate(template, { title: "T", author: "A" }),
+      ).toBe("T by A");
+      expect(
+        await engine.processTemplate(template, { title: "T", author: "" }),
+      ).toBe("T");
+    });
+
+    it("should support unless and else branches", async () => {
+      const template =
+        "{{#unless description}}No description{{else}}{{description}}{{/unless}}";
+
+      expect(await engine.processTemplate(template, {})).toBe(
+        "No description",
+      );
+      expect(
+        await engine.processTemplate(template, { description: "Desc" }),
+      ).toBe("Desc");
+    });
+
+    it("should support nested blocks and filtered conditions", async () => {
+      const template =
+        "{{#if title|trim}}[{{#if author}}{{author}}: {{/if}}{{title|trim}}]{{/if}}";
+
+      expect(
+        await engine.processTemplate(template, { title: " T ", author: "A" }),
+      ).toBe("[A: T]");
+      expect(await engine.processTemplate(template, { title: "  " })).toBe("");
+    });
+
+    it("should include condition fields in template fields", () => {
+      expect(
+        engine.getTemplateFields("{{#if author}}x{{/if}}{{title}}"),
+      ).toEqual(["author", "title"]);
+    });
+
+    it("should report unbalanced blocks", () => {
+      expect(engine.validateTemplate("{{#if author}}x").errors).toContain(
+        "Unclosed block: {{#if author}}",
+      );
+      expect(engine.validateTemplate("x{{/if}}").errors).toContain(
+        "Unexpected closing tag: {{/if}}",
+      );
+      expect(
+        engine.validateTemplate("{{#if author}}x{{/unless}}").valid,
+      ).toBe(false);
+      expect(engine.validateTemplate("{{#each author}}{{/each}}").valid).toBe(
+        false,
+      );
+    });
+
+    it("should accept balanced blocks", () => {
+      const result = engine.validateTemplate(
+        "{{#if author}}{{author}}{{else}}{{hostname}}{{/if}}",
+      );
+
+      expect(result.valid).toBe(true);
+      expect(result.fields).toEqual(["author", "hostname"]);
+    });
+  });
+
+  describe("time field formats", () => {
+    beforeEach(() => {
+      vi.useFakeTimers();
+      // Thursday 2025-01-02 03:04:05.006 UTC
+      vi.setSystemTime(new Date(Date.UTC(2025, 0, 2, 3, 4, 5, 6)));
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it("should format with tokens in a time zone", async () => {
+      const result = await engine.processTemplate(
+        "{{date:DD/MM/YYYY tz=UTC}} {{datetime:YYYY-MM-DD HH:mm:ss.SSS Z tz=Asia/Tokyo}}",
+        {},
+      );
+
+      expect(result).toBe("02/01/2025 2025-01-02 12:04:05.006 +09:00");
+    });
+
+    it("should support week numbers and literal text", async () => {
+      const result = await engine.processTemplate(
+        "{{week:GGGG [week] W tz=UTC}} {{week}}",
+        {},
+      );
+
+      expect(result).toMatch(/^2025 week 1 2025-W01$/);
+    });
+
+    it("should use locale-aware styles", async () => {
+      const result = await engine.processTemplate(
+        "{{date:long tz=UTC}} {{date:MMMM dddd tz=UTC locale=de}}",
+        { locale: "en-US" },
+      );
+
+      expect(result).toBe("January 2, 2025 Januar Donnerstag");
+    });
+
+    it("should fall back to the extension language for locale", async () => {
+      chrome.storage.sync.get.mockResolvedValue({ language: "fr" });
+      settingsManager.clearCache();
+
+      const result = await engine.processTemplate("{{date:MMMM tz=UTC}}", {});
+
+      expect(result).toBe("janvier");
+    });
+
+    it("should support iso with time zone and millisecond timestamps", async () => {
+      const result = await engine.processTemplate(
+        "{{iso}} {{iso:tz=America/New_York}} {{timestamp:ms}}",
+        {},
+      );
+
+      expect(result).toBe(
+        "2025-01-02T03:04:05.006Z 2025-01-01T22:04:05.006-05:00 1735787045006",
+      );
+    });
+
+    it("should reject unknown time zones and unsupported arguments", () => {
+      const result = engine.validateTemplate(
+        "{{date:YYYY tz=Mars/Olympus}} {{title:x}} {{timestamp:s}}",
+      );
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        'Field "date": unknown time zone Mars/Olympus',
+        'Field "title": does not accept arguments',
+        'Field "timestamp": only "ms" is supported',
+      ]);
+    });
+  });
+
+  describe("URL component fields", () => {
+    const context = {
+      url: "https://github.com:8443/rokcso/arclet-copier/pull/42?id=7&utm_source=x#files",
+      urlCleaning: "smart",
+    };
+
+    it("should expose path, segments and origin", async () => {
+      const result = await engine.processTemplate(
+        "{{protocol}}|{{origin}}|{{port}}|{{path}}|PR #{{pathSegment:4}}|{{pathSegment:-2}}",
+        context,
+      );
+
+      expect(result).toBe(
+        "https|https://github.com:8443|8443|/rokcso/arclet-copier/pull/42|PR #42|pull",
+      );
+    });
+
+    it("should read query from the cleaned URL by default", async () => {
+      const result = await engine.processTemplate(
+        "{{query}}|{{query:source=original}}|{{param:id}}|{{param:utm_source}}|{{param:utm_source source=original}}|{{fragment}}",
+        context,
+      );
+
+      expect(result).toBe("id=7|id=7&utm_source=x|7||x|files");
+    });
+
+    it("should return empty values for out-of-range segments", async () => {
+      const result = await engine.processTemplate("[{{pathSegment:9}}]", context);
+
+      expect(result).toBe("[]");
+    });
+
+    it("should validate URL field arguments", () => {
+      const result = engine.validateTemplate(
+        "{{pathSegment:0}} {{param}} {{param:}} {{path:source=raw}} {{query:x}}",
+      );
+
+      expect(result.errors).toEqual([
+        'Field "pathSegment": segment index must be a non-zero integer',
+        'Field "param": argument is required',
+        'Field "param": parameter name is required',
+        'Field "path": unknown source raw (use cleaned or original)',
+        'Field "query": only the source= option is supported',
+      ]);
+    });
+  });
+
+  describe("domain fields", () => {
+    const render = (url) =>
+      engine.processTemplate("{{subdomain}}|{{domain}}|{{tld}}", { url });
+
+    it("should use the public suffix list for multi-label suffixes", async () => {
+      expect(await render("https://news.bbc.co.uk/sport")).toBe(
+        "news|bbc.co.uk|co.uk",
+      );
+      expect(await render("https://a.b.example.com")).toBe(
+        "a.b|example.com|com",
+      );
+    });
+
+    it("should treat private suffixes like github.io as suffixes", async () => {
+      expect(await render("https://foo.github.io/repo")).toBe(
+        "|foo.github.io|github.io",
+      );
+    });
+
+    it("should handle wildcard and exception rules", async () => {
+      expect(await render("https://www.shop.ck")).toBe("|www.shop.ck|shop.ck");
+      expect(await render("https://www.ck")).toBe("|www.ck|ck");
+    });
+
+    it("should keep IP addresses and single-label hosts whole", async () => {
+      expect(await render("http://192.168.1.1:8080")).toBe("|192.168.1.1|");
+      expect(await render("http://localhost:3000")).toBe("|localhost|");
+    });
+  });
+
+  describe("batch templates", () => {
+    const contexts = [
+      { url: "https://a.com/", title: "A", windowId: 7, tabIndex: 1 },
+      { url: "https://b.com/", title: "B", windowId: 7, tabIndex: 3 },
+    ];
+
+    it("should render header, items, separator and footer", async () => {
+      const result = await processBatchTemplate(
+        {
+          template: '{"i": {{index}}, "title": "{{title|jsonEscape}}"}',
+          batch: { header: "[\n", separator: ",\n", footer: "\n]" },
+        },
+        contexts,
+      );
+
+      expect(JSON.parse(result)).toEqual([
+        { i: 1, title: "A" },
+        { i: 2, title: "B" },
+      ]);
+    });
+
+    it("should expose batch-wide fields to header and footer", async () => {
+      const result = await processBatchTemplate(
+        {
+          template: "{{index}}/{{count}} tab {{tabIndex}}",
+          batch: {
+            header: "Window {{windowId}} ({{count}})\n",
+            footer: "{{#if index}}!{{/if}}",
+          },
+        },
+        contexts,
+      );
+
+      expect(result).toBe("Window 7 (2)\n1/2 tab 1\n2/2 tab 3");
+    });
+
+    it("should join with new lines when no batch parts are set", async () => {
+      const result = await processBatchTemplate(
+        { template: "{{title}}" },
+        contexts,
+      );
+
+      expect(result).toBe("A\nB");
+    });
+
+    it("should leave loop fields empty outside batch output", async () => {
+      expect(await engine.processTemplate("[{{index}}{{count}}]", {})).toBe(
+        "[]",
+      );
+    });
+
+    it("should drop default batch parts", () => {
+      expect(normalizeBatchParts({ separator: "\n" })).toBeNull();
+      expect(normalizeBatchParts({ separator: "" })).toEqual({
+        header: "",
+        separator: "",
+        footer: "",
+      });
+    });
+  });
+
+  describe("partials", () => {
+    const templates = [
+      { id: "t1", name: "Source line", template: "Source: {{hostname}}" },
+      { id: "t2", name: "Signature", template: "-- {{> template:Source line}}" },
+      { id: "t3", name: "Loop A", template: "A{{> template:Loop B}}" },
+      { id: "t4", name: "Loop B", template: "B{{> template:Loop A}}" },
+      { id: "t5", name: "Meta", template: "{{author}}" },
+    ];
+    const resolvePartial = (reference) =>
+      templates.find((t) => t.id === reference || t.name === reference) ||
+      null;
+
+    beforeEach(() => {
+      engine.setPartialResolver(async (reference) => resolvePartial(reference));
+    });
+
+    it("should render partials by name or ID with the same context", async () => {
+      const result = await engine.processTemplate(
+        "{{title}} {{> template:Signature}} / {{> template:t1}}",
+        { title: "T", url: "https://example.com/a" },
+      );
+
+      expect(result).toBe(
+        "T -- Source: example.com / Source: example.com",
+      );
+    });
+
+    it("should keep missing and circular partials as raw tags", async () => {
+      expect(await engine.processTemplate("{{> template:Nope}}", {})).toBe(
+        "{{> template:Nope}}",
+      );
+      expect(await engine.processTemplate("{{> template:Loop A}}", {})).toBe(
+        "AB{{> template:Loop A}}",
+      );
+    });
+
+    it("should collect fields used by included partials", async () => {
+      expect(
+        await engine.collectTemplateFields(
+          "{{url}}{{#if title}}{{> template:Meta}}{{/if}}",
+        ),
+      ).toEqual(["url", "title", "author"]);
+    });
+
+    it("should report malformed, unknown and circular partials", () => {
+      expect(engine.validateTemplate("{{> Signature}}").errors).toEqual([
+        "Invalid partial: {{> Signature}} (use {{> template:Name}})",
+      ]);
+
+      expect(
+        engine.validateTemplate("{{> template:Nope}}", { resolvePartial })
+          .errors,
+      ).toEqual(["Unknown partial: {{> template:Nope}}"]);
+
+      expect(
+        engine.validateTemplate("X{{> template:Loop A}}", {
+          resolvePartial,
+          self: { id: "t9", name: "New" },
+        }).errors,
+      ).toEqual([
+        "Circular partial reference: New → Loop A → Loop B → Loop A",
+      ]);
+
+      expect(
+        engine.validateTemplate("{{> template:Signature}}", {
+          resolvePartial,
+          self: { id: "t1", name: "Source line" },
+        }).errors,
+      ).toEqual([
+        "Circular partial reference: Source line → Signature → Source line",
+      ]);
+    });
+  });
+
+  describe("user-defined variables", () => {
+    it("should resolve variables from the context or the resolver", async () => {
+      engine.setVariableResolver(async () => ({ team: "Core" }));
+
+      expect(
+        await engine.processTemplate("[{{var:project|lower}}-1]", {
+          variables: { project: "ACME" },
+        }),
+      ).toBe("[acme-1]");
+      expect(await engine.processTemplate("{{var:team}}", {})).toBe("Core");
+    });
+
+    it("should keep unknown variables as raw tags", async () => {
+      expect(
+        await engine.processTemplate("{{var:missing}}", { variables: {} }),
+      ).toBe("{{var:missing}}");
+    });
+
+    it("should validate variable names and known variables", () => {
+      expect(engine.validateTemplate("{{var}} {{var:1x}}").errors).toEqual([
+        'Field "var": argument is required',
+        'Field "var": invalid variable name 1x',
+      ]);
+      expect(
+        engine.validateTemplate("{{var:project}} {{var:tag}}", {
+          variables: ["project"],
+        }).errors,
+      ).toEqual(["Unknown variable: tag"]);
+    });
+  });
+
+  describe("regex extraction", () => {
+    const context = {
+      url: "https://jira.example.com/browse/ABC-123?focus=1",
+      title: "[ABC-123] Fix login (order 4567)",
+    };
+
+    it("should extract the first capture group from another field", async () => {
+      const result = await engine.processTemplate(
+        "{{extract:title:/([A-Z]+-\\d+)/}}|{{extract:title:/order (\\d+)/}}|{{extract:path:/\\/([^/]+)$/|lower}}",
+        context,
+      );
+
+      expect(result).toBe("ABC-123|4567|abc-123");
+    });
+
+    it("should support explicit and named groups and the extract filter", async () => {
+      const result = await engine.processTemplate(
+        "{{extract:title:/(?<key>[A-Z]+)-(\\d+)/:2}}|{{extract:title:/(?<key>[A-Z]+)-\\d+/:key}}|{{title|extract:/\\d{4}/}}",
+        context,
+      );
+
+      expect(result).toBe("123|ABC|4567");
+    });
+
+    it("should return empty text when nothing matches", async () => {
+      expect(
+        await engine.processTemplate("[{{extract:title:/XYZ-\\d+/}}]", context),
+      ).toBe("[]");
+    });
+
+    it("should report the source field as a template field", () => {
+      expect(engine.getTemplateFields("{{extract:title:/(\\d+)/}}")).toEqual([
+        "extract",
+        "title",
+      ]);
+    });
+
+    it("should reject invalid and catastrophic patterns", () => {
+      const result = engine.validateTemplate(
+        "{{extract:title:/([A-Z/}} {{extract:nope:/x/}} {{extract:title}} {{extract:title:/(a+)+$/}} {{title|regexReplace:/(\\w+\\s?)*$/:x}}",
+      );
+
+      expect(result.errors).toHaveLength(5);
+      expect(result.errors[0]).toMatch(/^Field "extract": Invalid regular expression/);
+      expect(result.errors[1]).toBe('Field "extract": unknown source field nope');
+      expect(result.errors[2]).toMatch(/expected \{\{extract:field/);
+      expect(result.errors[3]).toMatch(/catastrophic backtracking/);
+      expect(result.errors[4]).toMatch(/catastrophic backtracking/);
+    });
+
+    it("should reject repeated alternation and overlapping repeats", () => {
+      const result = engine.validateTemplate(
+        "{{extract:title:/(a|a)*$/}} {{extract:title:/(.*,)*x/}} {{extract:title:/(.*a){20}/}}",
+      );
+
+      expect(result.errors).toHaveLength(3);
+      result.errors.forEach((error) => expect(error).toMatch(/catastrophic backtracking/));
+      expect(hasNestedQuantifiers("(a|a)*$")).toBe(true);
+      expect(hasNestedQuantifiers("(.*,)*x")).toBe(true);
+      expect(hasNestedQuantifiers("(.*a){20}")).toBe(true);
+      expect(hasNestedQuantifiers("([^/]+/)+x")).toBe(false);
+      expect(hasNestedQuantifiers("(\\w+,)+x")).toBe(false);
+    });
+
+    it.each([
+      ["(?:a+){10}$"],
+      ["(a+){2}b"],
+      ["(a?){25}a{25}"],
+      ["(\\d{1,3})+"],
+      ["(a+a)+"],
+      ["\\d*\\d*\\d*\\d*\\d*\\d*x"],
+      ["\\d+\\d+x"],
+      [".*\\s+x"],
+    ])("should reject %s", (pattern) => {
+      expect(hasNestedQuantifiers(pattern)).toBe(true);
+      expect(engine.validateTemplate(`{{extract:title:/${pattern}/}}`).errors[0]).toMatch(
+        /catastrophic backtracking/,
+      );
+    });
+
+    it("should accept repeated groups anchored by a literal", () => {
+      const result = engine.validateTemplate(
+        "{{extract:url:/((?:[a-z]+\\.)+com)/}} {{extract:title:/(\\d{3})+/}} {{extract:url:/(\\d{1,3}\\.){3}\\d{1,3}/}}",
+      );
+
+      expect(result.valid).toBe(true);
+    });
+
+    it("should accept separated and non-overlapping quantifiers", () => {
+      ["^\\s*(.*?)\\s*$", "(.*) - (.*)", "[a-z]+\\d+", "(a|b){2}", "^https?://"].forEach(
+        (pattern) => expect(hasNestedQuantifiers(pattern)).toBe(false),
+      );
+    });
+
+    it("should only run regexReplace on the first MAX_REGEX_INPUT_LENGTH characters", async () => {
+      const title = "a ".repeat(MAX_REGEX_INPUT_LENGTH);
+      const result = await engine.processTemplate("{{title|regexReplace:/ /g:_}}", { title });
+
+      expect(result).toBe(
+        "a_".repeat(MAX_REGEX_INPUT_LENGTH / 2) + "a ".repeat(MAX_REGEX_INPUT_LENGTH / 2),
+      );
+    });
+  });
+
+  describe("output languages", () => {
+    const context = {
+      url: "https://example.com/a_(b)?q=1",
+      title: 'Fix [bug] | "quoted" <tag>, done',
+    };
+
+    it("should escape Markdown text and link targets", async () => {
+      const result = await engine.processTemplate("[{{title}}]({{url}})", context, {
+        outputLanguage: "markdown",
+      });
+
+      expect(result).toBe(
+        '[Fix \\[bug\\] \\| "quoted" \\<tag\\>, done](https://example.com/a_%28b%29?q=1)',
+      );
+    });
+
+    it("should escape HTML, JSON and CSV values", async () => {
+      const render = (template, outputLanguage) =>
+        engine.processTemplate(template, context, { outputLanguage });
+
+      expect(await render("<a>{{title}}</a>", "html")).toBe(
+        "<a>Fix [bug] | &quot;quoted&quot; &lt;tag&gt;, done</a>",
+      );
+      expect(await render('{"title": "{{title}}"}', "json")).toBe(
+        '{"title": "Fix [bug] | \\"quoted\\" <tag>, done"}',
+      );
+      expect(await render("{{title}},{{url}}", "csv")).toBe(
+        '"Fix [bug] | ""quoted"" <tag>, done",https://example.com/a_(b)?q=1',
+      );
+    });
+
+    it("should leave values unchanged for plain text and unknown languages", async () => {
+      expect(await engine.processTemplate("{{title}}", context)).toBe(context.title);
+      expect(
+        await engine.processTemplate("{{title}}", context, { outputLanguage: "nope" }),
+      ).toBe(context.title);
+    });
+
+    it("should not escape values passed through raw or escaping filters", async () => {
+      const html = { outputLanguage: "html" };
+
+      expect(await engine.processTemplate("{{title|raw}}", context, html)).toBe(context.title);
+      expect(await engine.processTemplate("{{title|htmlEscape}}", context, html)).toBe(
+        "Fix [bug] | &quot;quoted&quot; &lt;tag&gt;, done",
+      );
+      expect(await engine.processTemplate("{{url|urlencode}}", context, html)).toBe(
+        "https%3A%2F%2Fexample.com%2Fa_(b)%3Fq%3D1",
+      );
+    });
+  });
+
+  describe("lintTemplate", () => {
+    it("should locate invalid tags and unknown fields", () => {
+      const template = "[{{title|upper}}]({{url|nope}}) {{foo}}";
+
+      expect(engine.lintTemplate(template)).toEqual([
+        {
+          start: 18,
+          end: 30,
+          raw: "{{url|nope}}",
+          severity: "error",
+          message: "Unknown filter: nope",
+        },
+        {
+          start: 32,
+          end: 39,
+          raw: "{{foo}}",
+          severity: "warning",
+          message: "Unknown field: foo (output as text)",
+        },
+      ]);
+    });
+
+    it("should check block conditions and partials", () => {
+      const problems = engine.lintTemplate(
+        "{{#if bogus}}x{{/if}}{{> template:Missing}}",
+        { resolvePartial: () => null },
+      );
+
+      expect(problems.map(({ start, severity }) => [start, severity])).toEqual([
+        [0, "warning"],
+        [21, "error"],
+      ]);
+    });
+
+    it("should report structural errors without a position", () => {
+      const problems = engine.lintTemplate("{{#if title}}{{title}}");
+
+      expect(problems).toHaveLength(1);
+      expect(problems[0]).toMatchObject({ start: null, severity: "error" });
+    });
+  });
+});
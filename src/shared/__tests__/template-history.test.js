@@ -0,0 +1,91 @@
+import { describe, it, expect } from "vitest";
+import {
+  getTemplateHistory,
+  recordTemplateRevisions,
+  forgetTemplateHistory,
+  applyTemplateRevision,
+  getRevisionText,
+  MAX_TEMPLATE_REVISIONS,
+} from "../template/history.js";
+
+describe("template history", () => {
+  const original = {
+    id: "a",
+    name: "Link",
+    icon: "🔗",
+    template: "[{{title}}]({{url}})",
+    batch: null,
+    outputLanguage: "plain",
+    richText: false,
+    createdAt: "2026-01-01T00:00:00.000Z",
+    usageCount: 4,
+  };
+
+  it("keeps the replaced version, newest first", async () => {
+    const edited = { ...original, template: "{{url}}", updatedAt: "2026-02-01T00:00:00.000Z" };
+    await recordTemplateRevisions([original], [edited]);
+    await recordTemplateRevisions([edited], [{ ...edited, name: "URL" }]);
+
+    const history = await getTemplateHistory("a");
+    expect(history).toHaveLength(2);
+    expect(history[0]).toMatchObject({ template: "{{url}}", savedAt: edited.updatedAt });
+    expect(history[1]).toMatchObject({ template: original.template, savedAt: original.createdAt });
+    expect(history[1].usageCount).toBeUndefined();
+  });
+
+  it("ignores unchanged, new and removed templates", async () => {
+    const other = { ...original, id: "b" };
+    await recordTemplateRevisions(
+      [original, other],
+      [{ ...original, usageCount: 5 }, { ...original, id: "c" }],
+    );
+
+    expect(await chrome.storage.local.get(null)).toEqual({});
+  });
+
+  it("keeps at most MAX_TEMPLATE_REVISIONS revisions", async () => {
+    let current = original;
+    for (let i = 0; i <= MAX_TEMPLATE_REVISIONS; i++) {
+      const next = { ...current, template: `{{url}} ${i}` };
+      await recordTemplateRevisions([current], [next]);
+      current = next;
+    }
+
+    const history = await getTemplateHistory("a");
+    expect(history).toHaveLength(MAX_TEMPLATE_REVISIONS);
+    expect(history[0].template).toBe(`{{url}} ${MAX_TEMPLATE_REVISIONS - 1}`);
+  });
+
+  it("forgets deleted templates", async () => {
+    await recordTemplateRevisions([original], [{ ...original, name: "Renamed" }]);
+    await forgetTemplateHistory("a");
+    expect(await getTemplateHistory("a")).toEqual([]);
+  });
+
+  it("restores content but keeps identity and statistics", () => {
+    const current = { ...original, template: "{{url}}", richText: true, presetId: "p" };
+    const restored = applyTemplateRevision(current, {
+      name: "Link",
+      icon: "🔗",
+      template: original.template,
+      batch: null,
+      outputLanguage: "plain",
+      richText: false,
+      savedAt: original.createdAt,
+    });
+
+    expect(restored).toMatchObject({
+      id: "a",
+      template: original.template,
+      richText: false,
+      usageCount: 4,
+      presetId: "p",
+    });
+    expect(restored.savedAt).toBeUndefined();
+  });
+
+  it("includes name and icon in the revision text", () => {
+    expect(getRevisionText(original).split("\n")[0]).toBe("# name: 🔗 Link");
+    expect(getRevisionText(original)).not.toBe(getRevisionText({ ...original, icon: "📝" }));
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, it, expect } from "vitest";
+import { templateEngine } from "../template/engine.js";
+import { diffLines, hasChanges } from "../template/diff.js";
+import { PRESET_TEMPLATES, findPreset } from "../template/presets.js";
+import {
+  createPresetTemplate,
+  updateFromPreset,
+  getPresetStatus,
+  getTemplateSnapshot,
+} from "../template/manager.js";
+
+describe("template presets", () => {
+  describe("diffLines", () => {
+    it("should mark removed lines before their replacements", () => {
+      expect(diffLines("a\nb\nc", "a\nx\nc\nd")).toEqual([
+        { type: "same", text: "a" },
+        { type: "removed", text: "b" },
+        { type: "added", text: "x" },
+        { type: "same", text: "c" },
+        { type: "added", text: "d" },
+      ]);
+    });
+
+    it("should report whether anything changed", () => {
+      expect(hasChanges(diffLines("a\nb", "a\nb"))).toBe(false);
+      expect(hasChanges(diffLines("a", ""))).toBe(true);
+    });
+  });
+
+  describe("PRESET_TEMPLATES", () => {
+    it.each(PRESET_TEMPLATES.map((preset) => [preset.presetId, preset]))(
+      "%s should be a valid template",
+      (_, preset) => {
+        expect(templateEngine.validateTemplate(preset.template).valid).toBe(true);
+      },
+    );
+
+    it("should have unique IDs", () => {
+      const ids = PRESET_TEMPLATES.map((preset) => preset.presetId);
+
+      expect(new Set(ids).size).toBe(ids.length);
+      expect(findPreset("slack-link").name).toBe("Slack link");
+      expect(findPreset("missing")).toBeNull();
+    });
+  });
+
+  describe("preset status", () => {
+    const preset = findPreset("html-link");
+
+    it("should report presets that are not installed", () => {
+      expect(getPresetStatus(preset, [])).toEqual({
+        template: null,
+        modified: false,
+        updateAvailable: false,
+      });
+    });
+
+    it("should install presets with their settings", () => {
+      const template = createPresetTemplate(preset);
+
+      expect(template).toMatchObject({
+        name: "HTML link",
+        template: preset.template,
+        outputLanguage: "html",
+        richText: true,
+        isPreset: true,
+        presetId: "html-link",
+        presetVersion: 1,
+      });
+      expect(getPresetStatus(preset, [template])).toMatchObject({
+        template,
+        modified: false,
+        updateAvailable: false,
+      });
+    });
+
+    it("should ignore renames but detect edited content", () => {
+      const template = createPresetTemplate(preset);
+
+      expect(
+        getPresetStatus(preset, [{ ...template, name: "Link", icon: "⭐" }]).modified,
+      ).toBe(false);
+      expect(
+        getPresetStatus(preset, [{ ...template, template: "<b>{{title}}</b>" }]).modified,
+      ).toBe(true);
+      expect(getPresetStatus(preset, [{ ...template, richText: false }]).modified).toBe(
+        true,
+      );
+    });
+
+    it("should offer and apply updates of newer preset versions", () => {
+      const installed = {
+        ...createPresetTemplate(preset),
+        name: "My link",
+        template: "old",
+        presetVersion: 0,
+        usageCount: 3,
+      };
+
+      expect(getPresetStatus(preset, [installed]).updateAvailable).toBe(true);
+
+      const updated = updateFromPreset(installed);
+
+      expect(updated).toMatchObject({
+        id: installed.id,
+        name: "My link",
+        usageCount: 3,
+        template: preset.template,
+        presetVersion: 1,
+      });
+      expect(getPresetStatus(preset, [updated])).toMatchObject({
+        modified: false,
+        updateAvailable: false,
+      });
+      expect(getTemplateSnapshot(updated)).toContain('# batch separator: "<br>\\n"');
+    });
+  });
+});
@@ -0,0 +1,134 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import {
+  getCustomTemplates,
+  readCustomTemplates,
+  saveCustomTemplates,
+  setTemplateStorageArea,
+  getTemplateStorageArea,
+  getTemplateStorageUsage,
+  splitIntoShards,
+  TemplateStorageError,
+} from "../template/storage.js";
+
+/**
+ * Get everything stored in an area
+ * @param {string} area - "sync" or "local"
+ * @returns {Promise<object>} Stored items
+ */
+const stored = (area) => chrome.storage[area].get(null);
+
+describe("template storage", () => {
+  const templates = [
+    { id: "a", name: "Long", template: `<p>${"é".repeat(400)}{{url}}</p>` },
+    { id: "b", name: "Short", template: "{{title}}" },
+  ];
+
+  beforeEach(() => {
+    chrome.storage.sync.QUOTA_BYTES = 4000;
+    chrome.storage.sync.QUOTA_BYTES_PER_ITEM = 300;
+  });
+
+  it("should split without exceeding the byte limit or breaking characters", () => {
+    const shards = splitIntoShards('"😀"ab\n', 5);
+
+    expect(shards.join("")).toBe('"😀"ab\n');
+    shards.forEach((shard) => {
+      expect(new TextEncoder().encode(JSON.stringify(shard)).length - 2).toBeLessThanOrEqual(5);
+    });
+    expect(shards).toContain("😀");
+  });
+
+  it("should shard templates across sync items and read them back", async () => {
+    const result = await saveCustomTemplates(templates);
+
+    expect(result).toMatchObject({ area: "sync", fellBack: false });
+    const sync = await stored("sync");
+    expect(sync.customTemplatesMeta.shards).toBeGreaterThan(2);
+    Object.keys(sync)
+      .filter((key) => key.startsWith("customTemplates_"))
+      .forEach((key) => {
+        expect(new TextEncoder().encode(key + JSON.stringify(sync[key])).length).toBeLessThanOrEqual(300);
+      });
+    expect(await getCustomTemplates()).toEqual(templates);
+  });
+
+  it("should remove shards left over from larger saves", async () => {
+    await saveCustomTemplates(templates);
+    await saveCustomTemplates([templates[1]]);
+
+    const sync = await stored("sync");
+    expect(sync.customTemplatesMeta.shards).toBe(1);
+    expect(Object.keys(sync).filter((key) => key.startsWith("customTemplates_"))).toEqual([
+      "customTemplates_0",
+    ]);
+    expect(await getCustomTemplates()).toEqual([templates[1]]);
+  });
+
+  it("should read and then replace the single-item layout", async () => {
+    await chrome.storage.sync.set({ customTemplates: templates });
+
+    expect(await getCustomTemplates()).toEqual(templates);
+    await saveCustomTemplates(templates);
+    expect(await stored("sync")).not.toHaveProperty("customTemplates");
+  });
+
+  it("should fall back to local storage when sync is full", async () => {
+    const many = Array.from({ length: 10 }, (_, i) => ({ ...templates[0], id: `t${i}` }));
+
+    const result = await saveCustomTemplates(many);
+
+    expect(result).toMatchObject({ area: "local", fellBack: true });
+    expect(await getTemplateStorageArea()).toBe("local");
+    expect(await getCustomTemplates()).toEqual(many);
+    expect((await stored("local")).customTemplatesMeta.shards).toBe(1);
+  });
+
+  it("should refuse to save over shards that have not all arrived", async () => {
+    await saveCustomTemplates(templates);
+    const synced = await stored("sync");
+    await chrome.storage.sync.remove("customTemplates_1");
+
+    expect(await readCustomTemplates()).toEqual({ templates: [], complete: false });
+    expect(await getCustomTemplates()).toEqual([]);
+    await expect(saveCustomTemplates([])).rejects.toMatchObject({ code: "incomplete" });
+    await expect(setTemplateStorageArea("local")).rejects.toMatchObject({ code: "incomplete" });
+    expect((await stored("sync")).customTemplatesMeta).toEqual(synced.customTemplatesMeta);
+
+    // Once the missing shard arrives, templates read and save again
+    await chrome.storage.sync.set({ customTemplates_1: synced.customTemplates_1 });
+    expect(await readCustomTemplates()).toEqual({ templates, complete: true });
+    await expect(saveCustomTemplates([templates[1]])).resolves.toMatchObject({ area: "sync" });
+  });
+
+  it("should treat shards without their meta item as incomplete", async () => {
+    await chrome.storage.sync.set({ customTemplates_0: "[]" });
+
+    expect((await readCustomTemplates()).complete).toBe(false);
+    await expect(saveCustomTemplates(templates)).rejects.toBeInstanceOf(TemplateStorageError);
+  });
+
+  it("should throw a storage error instead of failing silently", async () => {
+    chrome.storage.sync.set.mockRejectedValue(
+      new Error("This request exceeds the MAX_WRITE_OPERATIONS_PER_MINUTE quota."),
+    );
+
+    const error = await saveCustomTemplates(templates).catch((e) => e);
+
+    expect(error).toBeInstanceOf(TemplateStorageError);
+    expect(error.code).toBe("write");
+    expect(await stored("local")).not.toHaveProperty("templateStorageArea");
+  });
+
+  it("should move templates between areas and report usage", async () => {
+    await saveCustomTemplates(templates);
+
+    await setTemplateStorageArea("local");
+
+    expect(await stored("sync")).toEqual({});
+    expect(await getCustomTemplates()).toEqual(templates);
+    const usage = await getTemplateStorageUsage();
+    expect(usage.area).toBe("local");
+    expect(usage.bytes).toBeGreaterThan(800);
+    expect(usage.quota).toBe(10485760);
+  });
+});
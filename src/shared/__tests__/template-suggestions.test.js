@@ -0,0 +1,76 @@
+import { describe, it, expect } from "vitest";
+import { templateEngine } from "../template/engine.js";
+import {
+  editDistance,
+  suggestFieldName,
+  getCompletionContext,
+  getFieldCompletions,
+  highlightTemplate,
+} from "../template/suggestions.js";
+
+describe("template editor helpers", () => {
+  it("should measure edit distance case-insensitively with transpositions", () => {
+    expect(editDistance("titel", "title")).toBe(1);
+    expect(editDistance("kitten", "sitting")).toBe(3);
+    expect(editDistance("URL", "url")).toBe(0);
+    expect(editDistance("", "abc")).toBe(3);
+  });
+
+  it("should suggest close field names only", () => {
+    expect(suggestFieldName("titl")).toBe("title");
+    expect(suggestFieldName("hostnme")).toBe("hostname");
+    expect(suggestFieldName("shorturl")).toBe("shortUrl");
+    expect(suggestFieldName("banana")).toBeNull();
+  });
+
+  it("should find the field name typed after an opening tag", () => {
+    expect(getCompletionContext("[{{ti", 5)).toEqual({ start: 3, prefix: "ti" });
+    expect(getCompletionContext("{{#if au", 8)).toEqual({ start: 6, prefix: "au" });
+    expect(getCompletionContext("{{", 2)).toEqual({ start: 2, prefix: "" });
+    expect(getCompletionContext("{{title}} x", 11)).toBeNull();
+    expect(getCompletionContext("{{title|up", 10)).toBeNull();
+  });
+
+  it("should list prefix matches before other matches", () => {
+    const fields = getFieldCompletions("url").map((item) => item.field);
+
+    expect(fields[0]).toBe("url");
+    expect(fields).toContain("originalUrl");
+    expect(fields.indexOf("originalUrl")).toBeGreaterThan(0);
+    expect(getFieldCompletions("title")[0]).toMatchObject({
+      field: "title",
+      description: "Current page title",
+    });
+  });
+
+  it("should classify template segments", () => {
+    const segments = highlightTemplate("a {{title|upper}} {{#if x}}{{nope}}{{/if}}{{> template:B}}", (name) =>
+      templateEngine.fieldProcessors.has(name),
+    );
+
+    expect(segments.map((segment) => segment.type)).toEqual([
+      "text",
+      "field",
+      "text",
+      "block",
+      "unknown",
+      "block",
+      "partial",
+    ]);
+    expect(segments.map((segment) => segment.text).join("")).toBe(
+      "a {{title|upper}} {{#if x}}{{nope}}{{/if}}{{> template:B}}",
+    );
+  });
+
+  it("should offer did-you-mean fixes for misspelled fields", () => {
+    expect(templateEngine.validateTemplate("{{titel|upper}}")).toMatchObject({
+      valid: true,
+      warnings: ['Unknown field: titel (output as text). Did you mean "title"?'],
+    });
+    expect(templateEngine.lintTemplate("- {{titel|upper}}")[0]).toMatchObject({
+      start: 2,
+      severity: "warning",
+      replacement: "{{title|upper}}",
+    });
+  });
+});
@@ -0,0 +1,158 @@
+import { describe, it, expect } from "vitest";
+import { createTemplate } from "../template/manager.js";
+import {
+  TEMPLATE_EXPORT_FORMAT,
+  TEMPLATE_EXPORT_VERSION,
+  createTemplateExport,
+  parseTemplateImport,
+  mergeImportedTemplates,
+} from "../template/transfer.js";
+
+describe("template import/export", () => {
+  const exportText = (templates) => JSON.stringify(createTemplateExport(templates));
+
+  it("should round-trip templates without usage statistics", () => {
+    const template = {
+      ...createTemplate("Link", "[{{title}}]({{url}})", "🔗", {
+        outputLanguage: "markdown",
+        batch: { header: "# Links\n", separator: "\n" },
+      }),
+      usageCount: 12,
+      lastUsed: "2024-01-01T00:00:00.000Z",
+    };
+
+    const data = createTemplateExport([template]);
+    expect(data).toMatchObject({
+      format: TEMPLATE_EXPORT_FORMAT,
+      version: TEMPLATE_EXPORT_VERSION,
+    });
+    expect(data.templates[0]).not.toHaveProperty("usageCount");
+
+    const { templates, errors } = parseTemplateImport(JSON.stringify(data));
+    expect(errors).toEqual([]);
+    expect(templates[0]).toMatchObject({
+      id: template.id,
+      name: "Link",
+      template: "[{{title}}]({{url}})",
+      outputLanguage: "markdown",
+      batch: { header: "# Links\n", separator: "\n", footer: "" },
+      usageCount: 0,
+      lastUsed: null,
+    });
+  });
+
+  it("should reject files that are not template exports", () => {
+    expect(() => parseTemplateImport("{")).toThrow("not valid JSON");
+    expect(() => parseTemplateImport('{"templates": []}')).toThrow(
+      "not a template export",
+    );
+    expect(() =>
+      parseTemplateImport(
+        JSON.stringify({
+          format: TEMPLATE_EXPORT_FORMAT,
+          version: TEMPLATE_EXPORT_VERSION + 1,
+          templates: [],
+        }),
+      ),
+    ).toThrow("Unsupported template file version");
+  });
+
+  it("should report invalid entries and import the rest", () => {
+    const text = JSON.stringify({
+      format: TEMPLATE_EXPORT_FORMAT,
+      version: 1,
+      templates: [
+        { name: "Broken", template: "{{#if title}}{{title}}" },
+        { name: "", template: "{{url}}" },
+        { name: "Bad separator", template: "{{url}}", batch: { separator: "{{}}" } },
+        { name: "Fine", template: "{{url}}", outputLanguage: "klingon" },
+      ],
+    });
+
+    const { templates, errors } = parseTemplateImport(text);
+
+    expect(errors.map((entry) => entry.index)).toEqual([0, 1, 2]);
+    expect(templates).toHaveLength(1);
+    expect(templates[0]).toMatchObject({ name: "Fine", outputLanguage: "plain" });
+    expect(templates[0].id).toMatch(/^custom_/);
+  });
+
+  it("should only import short icons and well-typed fields", () => {
+    const text = JSON.stringify({
+      format: TEMPLATE_EXPORT_FORMAT,
+      version: 1,
+      templates: [
+        { name: "Markup", template: "{{url}}", icon: '<img src=x onerror="alert(1)">' },
+        { name: "Flag", template: "{{url}}", icon: "🏳️‍🌈", richText: "yes" },
+        { name: "Object", template: "{{url}}", icon: { toString: null }, description: 7 },
+        {
+          name: "Preset",
+          template: "{{url}}",
+          presetId: { id: "x" },
+          presetVersion: 1,
+          presetHash: "abc",
+        },
+        { name: "Bad batch", template: "{{url}}", batch: { header: ["<b>"] } },
+      ],
+    });
+
+    const { templates, errors } = parseTemplateImport(text);
+
+    expect(errors.map((entry) => entry.index)).toEqual([4]);
+    expect(templates.map((t) => t.icon)).toEqual(["📝", "🏳️‍🌈", "📝", "📝"]);
+    expect(templates[1].richText).toBe(false);
+    expect(templates[2].description).toBe("");
+    expect(templates[3]).toMatchObject({ isPreset: false });
+    expect(templates[3]).not.toHaveProperty("presetId");
+  });
+
+  describe("mergeImportedTemplates", () => {
+    const existing = {
+      ...createTemplate("Link", "{{url}}"),
+      usageCount: 5,
+    };
+    const sameId = { ...createTemplate("Renamed", "{{title}}"), id: existing.id };
+    const sameName = createTemplate("Link", "<{{url}}>");
+    const fresh = createTemplate("New", "{{domain}}");
+
+    it("should skip conflicts by default", () => {
+      const result = mergeImportedTemplates([existing], [sameId, sameName, fresh]);
+
+      expect(result).toMatchObject({ added: 1, replaced: 0, skipped: 2 });
+      expect(result.templates.map((t) => t.name)).toEqual(["Link", "New"]);
+    });
+
+    it("should overwrite content but keep local identity and statistics", () => {
+      const result = mergeImportedTemplates([existing], [sameName], "overwrite");
+
+      expect(result).toMatchObject({ added: 0, replaced: 1, skipped: 0 });
+      expect(result.templates).toEqual([
+        expect.objectContaining({
+          id: existing.id,
+          template: "<{{url}}>",
+          usageCount: 5,
+        }),
+      ]);
+    });
+
+    it("should keep both under a free name and new ID", () => {
+      const result = mergeImportedTemplates(
+        [existing, { ...existing, id: "other", name: "Link (2)" }],
+        [sameName],
+        "keepBoth",
+      );
+
+      const added = result.templates[2];
+      expect(added.name).toBe("Link (3)");
+      expect(added.id).not.toBe(sameName.id);
+      expect(result.added).toBe(1);
+    });
+  });
+
+  it("should import exported files again as conflicts", () => {
+    const template = createTemplate("Link", "{{url}}");
+    const { templates } = parseTemplateImport(exportText([template]));
+
+    expect(mergeImportedTemplates([template], templates).skipped).toBe(1);
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it, expect } from "vitest";
+import {
+  getTemplateUsage,
+  recordTemplateUsage,
+  forgetTemplateUsage,
+  applyTemplateUsage,
+  sortTemplates,
+} from "../template/usage.js";
+import { getAllTemplates, loadTemplatesIntoSelect } from "../template/manager.js";
+
+describe("template usage", () => {
+  it("counts uses and remembers the last one", async () => {
+    await recordTemplateUsage("a");
+    await recordTemplateUsage("a");
+    await recordTemplateUsage("b");
+
+    const usage = await getTemplateUsage();
+    expect(usage.a.usageCount).toBe(2);
+    expect(usage.b.usageCount).toBe(1);
+    expect(Date.parse(usage.a.lastUsed)).not.toBeNaN();
+  });
+
+  it("does not throw when storage fails", async () => {
+    chrome.storage.local.set.mockRejectedValue(new Error("write failed"));
+    await expect(recordTemplateUsage("a")).resolves.toBeUndefined();
+  });
+
+  it("forgets deleted templates", async () => {
+    await recordTemplateUsage("a");
+    await forgetTemplateUsage("a");
+    expect(await getTemplateUsage()).toEqual({});
+  });
+
+  it("merges statistics into templates", () => {
+    const templates = [
+      { id: "a", usageCount: 0, lastUsed: null },
+      { id: "b", usageCount: 0, lastUsed: null },
+    ];
+    const merged = applyTemplateUsage(templates, {
+      b: { usageCount: 3, lastUsed: "2026-01-01T00:00:00.000Z" },
+    });
+
+    expect(merged[0]).toBe(templates[0]);
+    expect(merged[1]).toMatchObject({ id: "b", usageCount: 3 });
+    expect(templates[1].usageCount).toBe(0);
+  });
+
+  it("merges statistics in getAllTemplates", async () => {
+    chrome.storage.sync.get.mockResolvedValue({
+      customTemplates: [{ id: "a", name: "A", usageCount: 0, lastUsed: null }],
+    });
+    await recordTemplateUsage("a");
+
+    const [template] = await getAllTemplates();
+    expect(template.usageCount).toBe(1);
+  });
+});
+
+describe("sortTemplates", () => {
+  const templates = [
+    { id: "manual-first", usageCount: 1, lastUsed: "2026-01-03T00:00:00.000Z" },
+    { id: "most-used", usageCount: 5, lastUsed: "2026-01-01T00:00:00.000Z" },
+    { id: "never-used", usageCount: 0, lastUsed: null },
+    { id: "most-recent", usageCount: 1, lastUsed: "2026-01-04T00:00:00.000Z" },
+  ];
+  const ids = (list) => list.map((t) => t.id);
+
+  it("keeps the stored order for manual", () => {
+    expect(ids(sortTemplates(templates, "manual"))).toEqual(ids(templates));
+  });
+
+  it("puts the most used first, breaking ties by recency", () => {
+    expect(ids(sortTemplates(templates, "usage"))).toEqual([
+      "most-used",
+      "most-recent",
+      "manual-first",
+      "never-used",
+    ]);
+  });
+
+  it("puts the most recently used first and unused last", () => {
+    expect(ids(sortTemplates(templates, "recent"))).toEqual([
+      "most-recent",
+      "manual-first",
+      "most-used",
+      "never-used",
+    ]);
+  });
+
+  it("does not modify the input", () => {
+    sortTemplates(templates, "usage");
+    expect(templates[0].id).toBe("manual-first");
+  });
+});
+
+describe("loadTemplatesIntoSelect sorting", () => {
+  it("adds options in the requested order", async () => {
+    chrome.storage.sync.get.mockResolvedValue({
+      customTemplates: [
+        { id: "a", name: "A", icon: "📝", usageCount: 1 },
+        { id: "b", name: "B", icon: "📝", usageCount: 9 },
+      ],
+    });
+    const select = document.createElement("select");
+
+    await loadTemplatesIntoSelect(select, { sortOrder: "usage" });
+
+    expect([...select.options].map((o) => o.value)).toEqual(["custom:b", "custom:a"]);
+  });
+});
@@ -0,0 +1,471 @@
+// Citation formats for web pages (APA 7, MLA 9, Chicago, BibTeX, RIS)
+
+const MONTHS = [
+  "January",
+  "February",
+  "March",
+  "April",
+  "May",
+  "June",
+  "July",
+  "August",
+  "September",
+  "October",
+  "November",
+  "December",
+];
+
+// MLA abbreviates months longer than four letters
+const MLA_MONTHS = [
+  "Jan.",
+  "Feb.",
+  "Mar.",
+  "Apr.",
+  "May",
+  "June",
+  "July",
+  "Aug.",
+  "Sept.",
+  "Oct.",
+  "Nov.",
+  "Dec.",
+];
+
+// Words skipped when picking the title word of a BibTeX key
+const KEY_STOP_WORDS = new Set([
+  "a",
+  "an",
+  "and",
+  "for",
+  "in",
+  "of",
+  "on",
+  "the",
+  "to",
+  "with",
+]);
+
+/**
+ * Parse a publish date from page metadata
+ * ISO dates are read as written so time zones never shift the day.
+ * @param {string|Date} value - Date string (ISO 8601 or anything Date parses)
+ * @returns {{year: number, month: number|null, day: number|null}|null}
+ *   Month is 0-based; null parts were not given
+ */
+export function parseCitationDate(value) {
+  if (value instanceof Date) {
+    return isNaN(value)
+      ? null
+      : { year: value.getFullYear(), month: value.getMonth(), day: value.getDate() };
+  }
+
+  const text = (value || "").trim();
+  const iso = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?/.exec(text);
+  if (iso) {
+    return {
+      year: parseInt(iso[1], 10),
+      month: iso[2] ? parseInt(iso[2], 10) - 1 : null,
+      day: iso[3] ? parseInt(iso[3], 10) : null,
+    };
+  }
+
+  const timestamp = Date.parse(text);
+  return isNaN(timestamp) ? null : parseCitationDate(new Date(timestamp));
+}
+
+/**
+ * Split an author string into names
+ * Handles "Jane Doe", "Doe, Jane", "Jane Doe and John Smith",
+ * "Jane Doe; John Smith" and comma-separated lists. Single words and
+ * handles such as "@jdoe" are kept as literal (organization) names.
+ * @param {string} author - Author metadata
+ * @returns {Array<{family: string, given: string}>} Authors; given is empty
+ *   for literal names
+ */
+export function parseAuthors(author) {
+  const text = (author || "").trim();
+  if (!text) {
+    return [];
+  }
+
+  let names;
+  if (/;|\s(?:and|&)\s/i.test(text)) {
+    names = text.split(/\s*(?:;|\s(?:and|&)\s)\s*/i);
+  } else if (/^[^\s,]+,\s*[^,]+$/.test(text)) {
+    // "Doe, Jane"
+    const [family, given] = text.split(/,\s*/);
+    return [{ family, given }];
+  } else {
+    names = text.split(/\s*,\s*/);
+  }
+
+  return names.filter(Boolean).map((name) => {
+    const words = name.split(/\s+/);
+    if (words.length === 1 || name.startsWith("@")) {
+      return { family: name, given: "" };
+    }
+    return { family: words[words.length - 1], given: words.slice(0, -1).join(" ") };
+  });
+}
+
+/**
+ * Get initials of given names, e.g. "Jane Anne" -> "J. A."
+ * @param {string} given - Given names
+ * @returns {string}
+ */
+function initials(given) {
+  return given
+    .split(/\s+/)
+    .map((name) =>
+      name
+        .split("-")
+        .map((part) => `${part[0]}.`)
+        .join("-"),
+    )
+    .join(" ");
+}
+
+/**
+ * Join names as "A, B, & C" (APA) or "A, B, and C"
+ * The comma stays with two names too, since the first one is inverted
+ * ("Doe, Jane, and John Smith").
+ * @param {Array<string>} names - Formatted names
+ * @param {string} conjunction - "&" or "and"
+ * @returns {string}
+ */
+function joinNames(names, conjunction) {
+  if (names.length <= 1) {
+    return names.join("");
+  }
+  return `${names.slice(0, -1).join(", ")}, ${conjunction} ${names[names.length - 1]}`;
+}
+
+/**
+ * Format "Family, Given" for the first author and "Given Family" for the
+ * others (MLA and Chicago)
+ * @param {Array} authors - Parsed authors
+ * @param {number} maxAuthors - Authors listed before "et al."
+ * @returns {string}
+ */
+function invertedAuthorList(authors, maxAuthors) {
+  const [first, ...others] = authors;
+  const head = first.given ? `${first.family}, ${first.given}` : first.family;
+
+  if (authors.length > maxAuthors) {
+    return `${head}, et al.`;
+  }
+  const rest = others.map((author) =>
+    author.given ? `${author.given} ${author.family}` : author.family,
+  );
+  return joinNames([head, ...rest], "and");
+}
+
+/**
+ * End a citation element with a period unless it already has punctuation
+ * @param {string} text - Element text
+ * @returns {string}
+ */
+function withPeriod(text) {
+  return /[.?!]$/.test(text) ? text : `${text}.`;
+}
+
+/**
+ * Normalize a citation entry built from page data
+ * @param {object} entry - {url, title, author, publishedDate, siteName, accessDate}
+ * @returns {object} Entry with parsed authors and dates
+ */
+function prepareEntry(entry) {
+  let hostname = "";
+  try {
+    hostname = new URL(entry.url).hostname.replace(/^www\./, "");
+  } catch {
+    // Keep the URL as given
+  }
+
+  return {
+    url: entry.url,
+    title: (entry.title || hostname || entry.url).trim(),
+    authors: parseAuthors(entry.author),
+    siteName: (entry.siteName || hostname).trim(),
+    published: parseCitationDate(entry.publishedDate),
+    accessed: parseCitationDate(entry.accessDate || new Date()),
+    hostname,
+  };
+}
+
+/**
+ * Format "2024, March 5" (APA)
+ * @param {object|null} date - Parsed date
+ * @returns {string}
+ */
+function apaDate(date) {
+  if (!date) {
+    return "n.d.";
+  }
+  const parts = [date.year];
+  if (date.month !== null) {
+    parts.push(
+      date.day !== null ? `${MONTHS[date.month]} ${date.day}` : MONTHS[date.month],
+    );
+  }
+  return parts.join(", ");
+}
+
+/**
+ * Format "5 Mar. 2024" (MLA)
+ * @param {object} date - Parsed date
+ * @returns {string}
+ */
+function mlaDate(date) {
+  return [date.day, date.month !== null ? MLA_MONTHS[date.month] : null, date.year]
+    .filter((part) => part !== null)
+    .join(" ");
+}
+
+/**
+ * Format "March 5, 2024" (Chicago)
+ * @param {object} date - Parsed date
+ * @returns {string}
+ */
+function chicagoDate(date) {
+  if (date.month === null) {
+    return String(date.year);
+  }
+  return date.day !== null
+    ? `${MONTHS[date.month]} ${date.day}, ${date.year}`
+    : `${MONTHS[date.month]} ${date.year}`;
+}
+
+/**
+ * Format "2024-03-05" with the parts that are known
+ * @param {object} date - Parsed date
+ * @returns {string}
+ */
+function isoDate(date) {
+  const pad = (number) => String(number).padStart(2, "0");
+  return [
+    date.year,
+    date.month !== null ? pad(date.month + 1) : null,
+    date.day !== null ? pad(date.day) : null,
+  ]
+    .filter((part) => part !== null)
+    .join("-");
+}
+
+const BIBTEX_ESCAPES = {
+  "\\": "\\textbackslash{}",
+  "~": "\\textasciitilde{}",
+  "^": "\\textasciicircum{}",
+};
+
+/**
+ * Escape BibTeX special characters
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function escapeBibtex(text) {
+  return text.replace(/[\\{}&%$#_~^]/g, (char) => BIBTEX_ESCAPES[char] || `\\${char}`);
+}
+
+/**
+ * Fold text to lowercase ASCII letters and digits
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function toKeyPart(text) {
+  return text
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Create a BibTeX key from the entry data, e.g. "doe2024rust"
+ * Keys depend only on author (or site), year and title, so copying the same
+ * page again yields the same key.
+ * @param {object} entry - Citation entry
+ * @returns {string} Citation key
+ */
+export function createBibtexKey(entry) {
+  const data = prepareEntry(entry);
+  const name =
+    toKeyPart(data.authors[0]?.family || "") ||
+    toKeyPart(data.hostname.split(".")[0] || "") ||
+    "web";
+  const year = data.published ? data.published.year : "nd";
+  const word =
+    data.title
+      .split(/\s+/)
+      .map(toKeyPart)
+      .find((part) => part && !KEY_STOP_WORDS.has(part)) || "";
+
+  return `${name}${year}${word}`;
+}
+
+/**
+ * Citation formats keyed by format ID (also used as silentCopyFormat value).
+ * `format(entry, key)` renders one entry; `key` is only used by BibTeX.
+ */
+export const CITATION_FORMATS = {
+  apa: {
+    name: "APA",
+    // Author, A. A., & Author, B. B. (2024, March 5). Title. Site. URL
+    format: (entry) => {
+      const data = prepareEntry(entry);
+      const date = `(${apaDate(data.published)}).`;
+      const title = withPeriod(data.title);
+      const site =
+        data.siteName && data.siteName !== entry.author ? `${withPeriod(data.siteName)} ` : "";
+
+      if (data.authors.length === 0) {
+        return `${title} ${date} ${site}${data.url}`;
+      }
+
+      const names = data.authors.map((author) =>
+        author.given ? `${author.family}, ${initials(author.given)}` : author.family,
+      );
+      const authors =
+        names.length > 20
+          ? `${names.slice(0, 19).join(", ")}, . . . ${names[names.length - 1]}`
+          : joinNames(names, "&");
+      return `${withPeriod(authors)} ${date} ${title} ${site}${data.url}`;
+    },
+  },
+  mla: {
+    name: "MLA",
+    // Author. "Title." Site, 5 Mar. 2024, example.com/page. Accessed 6 Mar. 2024.
+    format: (entry) => {
+      const data = prepareEntry(entry);
+      const parts = [];
+
+      if (data.authors.length > 0) {
+        parts.push(withPeriod(invertedAuthorList(data.authors, 2)));
+      }
+      parts.push(`"${withPeriod(data.title)}"`);
+
+      const container = [data.siteName];
+      if (data.published) {
+        container.push(mlaDate(data.published));
+      }
+      container.push(data.url.replace(/^https?:\/\//, ""));
+      parts.push(`${container.filter(Boolean).join(", ")}.`);
+      parts.push(`Accessed ${mlaDate(data.accessed)}.`);
+
+      return parts.join(" ");
+    },
+  },
+  chicago: {
+    name: "Chicago",
+    // Author. "Title." Site. March 5, 2024. URL.
+    format: (entry) => {
+      const data = prepareEntry(entry);
+      const parts = [];
+
+      if (data.authors.length > 0) {
+        parts.push(withPeriod(invertedAuthorList(data.authors, 10)));
+      }
+      parts.push(`"${withPeriod(data.title)}"`);
+      if (data.siteName) {
+        parts.push(withPeriod(data.siteName));
+      }
+      parts.push(
+        data.published
+          ? `${chicagoDate(data.published)}.`
+          : `Accessed ${chicagoDate(data.accessed)}.`,
+      );
+      parts.push(`${data.url}.`);
+
+      return parts.join(" ");
+    },
+  },
+  bibtex: {
+    name: "BibTeX",
+    format: (entry, key = createBibtexKey(entry)) => {
+      const data = prepareEntry(entry);
+      const authors = data.authors
+        .map((author) =>
+          author.given
+            ? `${escapeBibtex(author.family)}, ${escapeBibtex(author.given)}`
+            : `{${escapeBibtex(author.family)}}`,
+        )
+        .join(" and ");
+
+      const fields = [
+        ["author", authors],
+        ["title", `{${escapeBibtex(data.title)}}`],
+        ["organization", escapeBibtex(data.siteName)],
+        ["date", data.published ? isoDate(data.published) : ""],
+        ["url", data.url],
+        ["urldate", isoDate(data.accessed)],
+      ].filter(([, value]) => value);
+
+      const body = fields.map(([name, value]) => `  ${name} = {${value}}`).join(",\n");
+      return `@online{${key},\n${body}\n}`;
+    },
+  },
+  ris: {
+    name: "RIS",
+    format: (entry) => {
+      const data = prepareEntry(entry);
+      const risDate = (date) => isoDate(date).replace(/-/g, "/");
+      const lines = [["TY", "ELEC"]];
+
+      data.authors.forEach((author) => {
+        lines.push(["AU", author.given ? `${author.family}, ${author.given}` : author.family]);
+      });
+      lines.push(["TI", data.title]);
+      if (data.siteName) {
+        lines.push(["T2", data.siteName]);
+      }
+      if (data.published) {
+        lines.push(["PY", String(data.published.year)], ["DA", risDate(data.published)]);
+      }
+      lines.push(["UR", data.url], ["Y2", risDate(data.accessed)], ["ER", ""]);
+
+      return lines.map(([tag, value]) => `${tag}  - ${value}`).join("\n");
+    },
+  },
+};
+
+/**
+ * Check whether a format ID is one of the citation formats
+ * @param {string} format - Format ID
+ * @returns {boolean}
+ */
+export function isCitationFormat(format) {
+  return Object.prototype.hasOwnProperty.call(CITATION_FORMATS, format);
+}
+
+/**
+ * Format several entries as a bibliography
+ * APA, MLA and Chicago entries are sorted alphabetically, one per line.
+ * BibTeX and RIS keep the given order, separated by blank lines; repeated
+ * BibTeX keys get "-2", "-3", ... so each key stays unique.
+ * @param {string} format - Citation format ID
+ * @param {Array<object>} entries - Citation entries
+ * @returns {string} Bibliography
+ */
+export function createBibliography(format, entries) {
+  const citationFormat = CITATION_FORMATS[format];
+
+  if (format === "bibtex") {
+    const seen = new Map();
+    return entries
+      .map((entry) => {
+        const key = createBibtexKey(entry);
+        const count = (seen.get(key) || 0) + 1;
+        seen.set(key, count);
+        return citationFormat.format(entry, count > 1 ? `${key}-${count}` : key);
+      })
+      .join("\n\n");
+  }
+
+  const citations = entries.map((entry) => citationFormat.format(entry));
+  if (format === "ris") {
+    return citations.join("\n\n");
+  }
+  return citations
+    .sort((a, b) => a.localeCompare(b, "en", { sensitivity: "base" }))
+    .join("\n");
+}
@@ -48,9 +48,23 @@ function createTempTextArea(text) {
 /**
  * Copy using modern Clipboard API
  * @param {string} text - Text to copy
+ * @param {string|null} html - Optional HTML written alongside the text
  * @returns {Promise<void>}
  */
-async function copyWithClipboardAPI(text) {
+async function copyWithClipboardAPI(text, html = null) {
+  if (html) {
+    if (!navigator.clipboard?.write || typeof ClipboardItem === 'undefined') {
+      throw new ClipboardError('Clipboard write API not available', ERROR_TYPES.SYSTEM);
+    }
+    await navigator.clipboard.write([
+      new ClipboardItem({
+        'text/plain': new Blob([text], { type: 'text/plain' }),
+        'text/html': new Blob([html], { type: 'text/html' }),
+      }),
+    ]);
+    return;
+  }
+
   if (!navigator.clipboard?.writeText) {
     throw new ClipboardError('Clipboard API not available', ERROR_TYPES.SYSTEM);
   }
@@ -60,9 +74,10 @@ async function copyWithClipboardAPI(text) {
 /**
  * Copy using execCommand (fallback method)
  * @param {string} text - Text to copy
+ * @param {string|null} html - Optional HTML written alongside the text
  * @returns {void}
  */
-function copyWithExecCommand(text) {
+function copyWithExecCommand(text, html = null) {
   if (typeof document === 'undefined') {
     throw new ClipboardError('Document not available', ERROR_TYPES.SYSTEM);
   }
@@ -70,6 +85,16 @@ function copyWithExecCommand(text) {
   const textArea = createTempTextArea(text);
   document.body.appendChild(textArea);
 
+  // Replace the copied selection with both formats
+  const onCopy = (event) => {
+    event.clipboardData.setData('text/plain', text);
+    event.clipboardData.setData('text/html', html);
+    event.preventDefault();
+  };
+  if (html) {
+    document.addEventListener('copy', onCopy);
+  }
+
   try {
     textArea.select();
     textArea.setSelectionRange(0, text.length);
@@ -79,6 +104,7 @@ function copyWithExecCommand(text) {
       throw new ClipboardError('execCommand copy failed', ERROR_TYPES.CLIPBOARD);
     }
   } finally {
+    document.removeEventListener('copy', onCopy);
     document.body.removeChild(textArea);
   }
 }
@@ -107,9 +133,10 @@ function detectEnvironment() {
  * Background scripts should use their own copyToClipboard with offscreen document.
  * @param {string} text - Text to copy
  * @param {string} source - Source identifier
+ * @param {string|null} html - Optional HTML written alongside the text
  * @returns {Promise<{success: boolean, method: string}>}
  */
-async function copyWithFallback(text, source) {
+async function copyWithFallback(text, source, html = null) {
   const env = detectEnvironment();
   const startTime = Date.now();
 
@@ -117,7 +144,7 @@ async function copyWithFallback(text, source) {
   if (env === 'page') {
     // Try modern Clipboard API first
     try {
-      await copyWithClipboardAPI(text);
+      await copyWithClipboardAPI(text, html);
       console.debug(`[ClipboardHelper] Clipboard API copy successful (source: ${source})`);
       return { success: true, method: 'clipboard-api', duration: Date.now() - startTime };
     } catch (error) {
@@ -126,7 +153,7 @@ async function copyWithFallback(text, source) {
 
     // Fallback to execCommand
     try {
-      copyWithExecCommand(text);
+      copyWithExecCommand(text, html);
       console.debug(`[ClipboardHelper] execCommand copy successful (source: ${source})`);
       return { success: true, method: 'execCommand', duration: Date.now() - startTime };
     } catch (error) {
@@ -199,6 +226,8 @@ export const copyManager = new CopyOperationManager();
  * @param {string} text - Text to copy
  * @param {Object} options - Copy options
  * @param {string} options.source - Source identifier ('popup'|'batch'|'background')
+ * @param {string|null} options.html - HTML written as text/html alongside the
+ *   plain text, so rich text editors paste formatted content
  * @param {boolean} options.showNotification - Whether to show notification
  * @param {string} options.successMessage - Custom success message
  * @param {string} options.errorMessage - Custom error message
@@ -212,6 +241,7 @@ export async function copyToClipboard(text, options = {}) {
   // Default options
   const {
     source = 'unknown',
+    html = null,
     showNotification = true,
     successMessage = null,
     errorMessage = null,
@@ -232,7 +262,7 @@ export async function copyToClipboard(text, options = {}) {
 
   try {
     // Perform copy with fallback
-    const result = await copyWithFallback(text, source);
+    const result = await copyWithFallback(text, source, html);
 
     // Show notification
     if (showNotification) {
@@ -7,6 +7,15 @@ export {
   PARAM_CATEGORIES,
   CUSTOM_PARAM_RULES_KEY,
   DEFAULT_PARAM_RULES,
+  DEFAULT_SITE_RULES,
+  cloneSiteRules,
+  normalizeHostPattern,
+  matchesHostPattern,
+  getSiteRulesForHost,
+  splitParamRule,
+  validateParamRule,
+  normalizeParamRule,
+  matchesParamRules,
   initializeParamRules,
   getCustomParamRules,
   saveCustomParamRules,
@@ -17,6 +26,29 @@ export {
   processUrl,
 } from "./url/url-processor.js";
 
+export {
+  // Redirect wrappers
+  REDIRECT_WRAPPERS,
+  MAX_REDIRECT_DEPTH,
+  unwrapRedirectUrl,
+} from "./url/redirects.js";
+
+export {
+  // Imported rule lists
+  RULE_LISTS_KEY,
+  RULE_LIST_FORMATS,
+  countRuleListRules,
+  parseClearUrlsList,
+  parseAdGuardList,
+  parseRuleListFile,
+  getRuleLists,
+  addRuleList,
+  setRuleListEnabled,
+  removeRuleList,
+  getRuleListProviders,
+  getRuleListRedirects,
+} from "./url/rule-lists.js";
+
 export {
   // URL validation
   isRestrictedPage,
@@ -56,16 +88,52 @@ export {
   TEMPLATE_FIELDS,
 } from "./template/fields.js";
 
+export {
+  // Template filters
+  TEMPLATE_FILTERS,
+} from "./template/filters.js";
+
+export {
+  // Template output languages (auto-escaping)
+  OUTPUT_LANGUAGES,
+  DEFAULT_OUTPUT_LANGUAGE,
+} from "./template/escapers.js";
+
 export {
   // Template engine
   TemplateEngine,
   templateEngine,
+  VARIABLE_NAME_PATTERN,
 } from "./template/engine.js";
 
 export {
-  // Template management
+  // Template storage
   getCustomTemplates,
+  readCustomTemplates,
   saveCustomTemplates,
+  getTemplateStorageArea,
+  setTemplateStorageArea,
+  getTemplateStorageUsage,
+  splitIntoShards,
+  TemplateStorageError,
+  TEMPLATE_STORAGE_AREAS,
+} from "./template/storage.js";
+
+export {
+  // Template usage statistics
+  getTemplateUsage,
+  recordTemplateUsage,
+  forgetTemplateUsage,
+  applyTemplateUsage,
+  sortTemplates,
+  TEMPLATE_SORT_ORDERS,
+} from "./template/usage.js";
+
+export {
+  // Template management
+  getTemplateVariables,
+  saveTemplateVariables,
+  toVariableMap,
   getAllTemplates,
   generateTemplateId,
   createTemplate,
@@ -73,9 +141,58 @@ export {
   loadTemplatesIntoSelect,
   validateAndFixSelector,
   findTemplateById,
+  findTemplateByReference,
   processTemplateWithFallback,
+  processBatchTemplate,
+  normalizeBatchParts,
+  DEFAULT_BATCH_SEPARATOR,
+  getTemplateSnapshot,
+  createPresetTemplate,
+  updateFromPreset,
+  getPresetStatus,
 } from "./template/manager.js";
 
+export {
+  // Template revision history
+  getTemplateHistory,
+  recordTemplateRevisions,
+  forgetTemplateHistory,
+  applyTemplateRevision,
+  getRevisionText,
+  MAX_TEMPLATE_REVISIONS,
+} from "./template/history.js";
+
+export {
+  // Preset template gallery
+  PRESET_TEMPLATES,
+  findPreset,
+} from "./template/presets.js";
+
+export {
+  // Line diff
+  diffLines,
+  hasChanges,
+} from "./template/diff.js";
+
+export {
+  // Template editor helpers
+  editDistance,
+  suggestFieldName,
+  getCompletionContext,
+  getFieldCompletions,
+  highlightTemplate,
+} from "./template/suggestions.js";
+
+export {
+  // Template import/export
+  TEMPLATE_EXPORT_FORMAT,
+  TEMPLATE_EXPORT_VERSION,
+  IMPORT_CONFLICT_STRATEGIES,
+  createTemplateExport,
+  parseTemplateImport,
+  mergeImportedTemplates,
+} from "./template/transfer.js";
+
 // i18n helper function
 export function getMessage(key, substitutions = []) {
   return chrome.i18n.getMessage(key, substitutions);
@@ -1,6 +1,12 @@
 // Common formatters for URL and content formatting
 
 import { processUrl } from "./constants.js";
+import {
+  escapeHtml,
+  escapeMarkdownText,
+  escapeMarkdownUrl,
+} from "./template/escapers.js";
+import { LINK_FORMATS } from "./link-formats.js";
 
 /**
  * Create Markdown link format
@@ -11,8 +17,8 @@ import { processUrl } from "./constants.js";
  */
 export async function createMarkdownLink(url, title, cleaningMode) {
   const processedUrl = await processUrl(url, cleaningMode);
-  const linkTitle = title || new URL(url).hostname;
-  return `[${linkTitle}](${processedUrl})`;
+  const linkTitle = escapeMarkdownText(title || new URL(url).hostname);
+  return `[${linkTitle}](${escapeMarkdownUrl(processedUrl)})`;
 }
 
 /**
@@ -23,7 +29,91 @@ export async function createMarkdownLink(url, title, cleaningMode) {
  * @returns {Promise<string>} Markdown list item with link
  */
 export async function createMarkdownListItem(url, title, cleaningMode) {
+  const processedUrl = await processUrl(url, cleaningMode);
+  const linkTitle = escapeMarkdownText(title || new URL(url).hostname);
+  return `- [${linkTitle}](${escapeMarkdownUrl(processedUrl)})`;
+}
+
+/**
+ * Create a link in one of the markup dialects of LINK_FORMATS
+ * @param {string} format - Link format ID (slack, jira, latex, ...)
+ * @param {string} url - URL to format
+ * @param {string} title - Link title (optional, defaults to hostname)
+ * @param {string} cleaningMode - URL cleaning mode (off, smart, aggressive)
+ * @returns {Promise<string>} Formatted link
+ */
+export async function createFormattedLink(format, url, title, cleaningMode) {
+  const processedUrl = await processUrl(url, cleaningMode);
+  const linkTitle = title || new URL(url).hostname;
+  return LINK_FORMATS[format].link(processedUrl, linkTitle);
+}
+
+/**
+ * Create HTML link format
+ * @param {string} url - URL to format
+ * @param {string} title - Link title (optional, defaults to hostname)
+ * @param {string} cleaningMode - URL cleaning mode (off, smart, aggressive)
+ * @returns {Promise<string>} HTML anchor element
+ */
+export async function createHtmlLink(url, title, cleaningMode) {
   const processedUrl = await processUrl(url, cleaningMode);
   const linkTitle = title || new URL(url).hostname;
-  return `- [${linkTitle}](${processedUrl})`;
+  return `<a href="${escapeHtml(processedUrl)}">${escapeHtml(linkTitle)}</a>`;
+}
+
+const HTML_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+};
+
+/**
+ * Decode HTML character references
+ * @param {string} text - Text with entities
+ * @returns {string} Decoded text (unknown named entities are kept)
+ */
+function decodeHtmlEntities(text) {
+  return text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === "#") {
+      const value =
+        code[1].toLowerCase() === "x"
+          ? parseInt(code.slice(2), 16)
+          : parseInt(code.slice(1), 10);
+      return value <= 0x10ffff ? String.fromCodePoint(value) : entity;
+    }
+    return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Convert an HTML snippet to plain text for the text/plain clipboard entry
+ * Links keep their target as "text (url)", line breaks and block elements
+ * become new lines. Runs without a DOM so the background can use it.
+ * @param {string} html - HTML snippet
+ * @returns {string} Plain text
+ */
+export function htmlToPlainText(html) {
+  const text = html
+    .replace(/\s+/g, " ")
+    .replace(/<(script|style)\b[^>]*>.*?<\/\1>/gi, "")
+    .replace(
+      /<a\b[^>]*?\bhref\s*=\s*(?:"([^"]*)"|'([^']*)')[^>]*>(.*?)<\/a>/gi,
+      (match, doubleQuoted, singleQuoted, content) => {
+        const href = doubleQuoted ?? singleQuoted;
+        const label = content.replace(/<[^>]*>/g, "").trim();
+        return !label || label === href ? href : `${label} (${href})`;
+      },
+    )
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(p|div|li|tr|h[1-6]|ul|ol|table|blockquote|pre)>/gi, "\n")
+    .replace(/<[^>]*>/g, "");
+
+  return decodeHtmlEntities(text)
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .join("\n");
 }
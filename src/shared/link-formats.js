@@ -0,0 +1,96 @@
+// Link syntaxes for markup dialects other than Markdown and HTML
+
+/**
+ * Percent-encode characters that would end a link target early
+ * @param {string} url - URL
+ * @param {RegExp} pattern - Characters to encode (global)
+ * @returns {string} URL with the matched characters percent-encoded
+ */
+function encodeUrlChars(url, pattern) {
+  return url.replace(
+    pattern,
+    (char) => "%" + char.charCodeAt(0).toString(16).toUpperCase().padStart(2, "0"),
+  );
+}
+
+const LATEX_ESCAPES = {
+  "\\": "\\textbackslash{}",
+  "{": "\\{",
+  "}": "\\}",
+  $: "\\$",
+  "&": "\\&",
+  "#": "\\#",
+  "^": "\\^{}",
+  _: "\\_",
+  "%": "\\%",
+  "~": "\\textasciitilde{}",
+};
+
+/**
+ * Link formats keyed by format ID (also used as silentCopyFormat value).
+ * `link(url, title)` returns one link with both parts escaped for the dialect.
+ */
+export const LINK_FORMATS = {
+  slack: {
+    name: "Slack",
+    // mrkdwn: <url|title>, with &, < and > as HTML entities
+    link: (url, title) => {
+      const escape = (text) =>
+        text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+      return `<${escape(encodeUrlChars(url, /[\s|]/g))}|${escape(title)}>`;
+    },
+  },
+  jira: {
+    name: "Jira",
+    link: (url, title) =>
+      `[${title.replace(/[[\]|\\]/g, "\\$&")}|${encodeUrlChars(url, /[\s|\]]/g)}]`,
+  },
+  mediawiki: {
+    name: "MediaWiki",
+    // External link: [url title]; "]" would end the link text
+    link: (url, title) =>
+      `[${encodeUrlChars(url, /[\s[\]]/g)} ${title.replace(/]/g, "&#93;")}]`,
+  },
+  bbcode: {
+    name: "BBCode",
+    // BBCode has no escape syntax; only the target can be made safe
+    link: (url, title) => `[url=${encodeUrlChars(url, /[\s[\]]/g)}]${title}[/url]`,
+  },
+  asciidoc: {
+    name: "AsciiDoc",
+    link: (url, title) =>
+      `${encodeUrlChars(url, /[\s[\]]/g)}[${title.replace(/]/g, "\\]")}]`,
+  },
+  rst: {
+    name: "reStructuredText",
+    // Anonymous hyperlink (__) so repeated titles don't clash
+    link: (url, title) =>
+      `\`${title.replace(/[\\`<]/g, "\\$&")} <${encodeUrlChars(url, /[\s<>`]/g)}>\`__`,
+  },
+  org: {
+    name: "Org-mode",
+    // Descriptions end at the first "]", so brackets become braces
+    link: (url, title) => {
+      const text = title.replace(/\[/g, "{").replace(/]/g, "}");
+      return `[[${encodeUrlChars(url, /[\s[\]]/g)}][${text}]]`;
+    },
+  },
+  latex: {
+    name: "LaTeX",
+    // hyperref: "%" and "#" must be escaped in the target too
+    link: (url, title) => {
+      const target = encodeUrlChars(url, /[\s\\{}]/g).replace(/[%#]/g, "\\$&");
+      const text = title.replace(/[\\{}$&#^_%~]/g, (char) => LATEX_ESCAPES[char]);
+      return `\\href{${target}}{${text}}`;
+    },
+  },
+};
+
+/**
+ * Check whether a format ID is one of the link formats
+ * @param {string} format - Format ID
+ * @returns {boolean}
+ */
+export function isLinkFormat(format) {
+  return Object.prototype.hasOwnProperty.call(LINK_FORMATS, format);
+}
@@ -18,6 +18,7 @@ class SettingsManager {
       notificationType: "page", // 'off', 'chrome', 'page'
       shortUrlService: "auto",
       removeParams: false, // 向后兼容
+      templateSortOrder: "manual", // 'manual', 'usage', 'recent'
     };
 
     // 监听跨上下文的存储变更
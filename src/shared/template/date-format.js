@@ -0,0 +1,229 @@
+// Date/time formatting for template time fields
+
+// Locale-aware styles accepted instead of a token pattern, e.g. {{date:long}}
+export const DATE_STYLES = ["full", "long", "medium", "short"];
+
+// Format tokens, longest first so "YYYY" wins over "YY"
+const FORMAT_TOKEN_PATTERN =
+  /\[([^\]]*)\]|GGGG|YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd|HH|H|hh|h|mm|m|ss|s|SSS|A|a|ZZ|Z|WW|W|X|x/g;
+
+// Trailing options inside the field argument, e.g. "HH:mm tz=UTC"
+const OPTION_PATTERN = /(?:^|\s+)(tz|locale)=(\S+)/g;
+
+/**
+ * Split a time field argument into format and options
+ * @param {string|null} arg - Field argument, e.g. "YYYY-MM-DD HH:mm tz=UTC"
+ * @returns {{format: string, timeZone: string|null, locale: string|null}}
+ */
+export function parseDateArgument(arg) {
+  const options = { timeZone: null, locale: null };
+  const format = (arg || "")
+    .replace(OPTION_PATTERN, (_, key, value) => {
+      options[key === "tz" ? "timeZone" : "locale"] = value;
+      return "";
+    })
+    .trim();
+
+  return { format, ...options };
+}
+
+/**
+ * Validate a time zone name
+ * @param {string} timeZone - IANA name such as "UTC" or "Asia/Tokyo"
+ * @returns {boolean} Whether the runtime recognizes it
+ */
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get calendar parts of a date in a time zone
+ * @param {Date} date - Date to split
+ * @param {string|null} timeZone - IANA time zone, null for local time
+ * @returns {object} year, month (1-12), day, hour, minute, second,
+ *   millisecond, weekday (0 = Sunday) and offset (minutes east of UTC)
+ */
+function getDateParts(date, timeZone) {
+  if (!timeZone) {
+    return {
+      year: date.getFullYear(),
+      month: date.getMonth() + 1,
+      day: date.getDate(),
+      hour: date.getHours(),
+      minute: date.getMinutes(),
+      second: date.getSeconds(),
+      millisecond: date.getMilliseconds(),
+      weekday: date.getDay(),
+      offset: -date.getTimezoneOffset(),
+    };
+  }
+
+  const parts = {};
+  new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+    second: "numeric",
+  })
+    .formatToParts(date)
+    .forEach(({ type, value }) => {
+      parts[type] = parseInt(value, 10);
+    });
+
+  const hour = parts.hour % 24;
+  const millisecond = date.getUTCMilliseconds();
+  const asUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    hour,
+    parts.minute,
+    parts.second,
+    millisecond,
+  );
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour,
+    minute: parts.minute,
+    second: parts.second,
+    millisecond,
+    weekday: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay(),
+    offset: Math.round((asUtc - date.getTime()) / 60000),
+  };
+}
+
+/**
+ * Get ISO 8601 week number and week-numbering year
+ * @param {number} year - Calendar year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {{week: number, weekYear: number}}
+ */
+export function getIsoWeek(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  // Move to the Thursday of the same week, which decides the week-year
+  date.setUTCDate(date.getUTCDate() + 4 - (date.getUTCDay() || 7));
+  const weekYear = date.getUTCFullYear();
+  const dayOfYear = (date - Date.UTC(weekYear, 0, 1)) / 86400000 + 1;
+  return { week: Math.ceil(dayOfYear / 7), weekYear };
+}
+
+/**
+ * Format a UTC offset
+ * @param {number} offset - Minutes east of UTC
+ * @param {string} separator - Separator between hours and minutes
+ * @returns {string} e.g. "+08:00"
+ */
+function formatOffset(offset, separator) {
+  const sign = offset < 0 ? "-" : "+";
+  const absolute = Math.abs(offset);
+  return (
+    sign +
+    String(Math.floor(absolute / 60)).padStart(2, "0") +
+    separator +
+    String(absolute % 60).padStart(2, "0")
+  );
+}
+
+/**
+ * Get a localized month or weekday name
+ * @param {string} locale - BCP 47 locale
+ * @param {object} options - Intl options, e.g. { month: "long" }
+ * @param {number} utcTime - Any UTC timestamp falling on the wanted month/day
+ * @returns {string} Localized name
+ */
+function getLocalizedName(locale, options, utcTime) {
+  return new Intl.DateTimeFormat(locale, { ...options, timeZone: "UTC" }).format(
+    utcTime,
+  );
+}
+
+/**
+ * Format a date with a token pattern or a locale-aware style
+ *
+ * Tokens: YYYY YY MMMM MMM MM M DD D dddd ddd HH H hh h mm m ss s SSS A a
+ * Z ZZ W WW (ISO week) GGGG (ISO week-year) X (unix seconds) x (unix ms).
+ * Text inside [brackets] is kept literally.
+ *
+ * @param {Date} date - Date to format
+ * @param {string} format - Token pattern or one of DATE_STYLES
+ * @param {object} options - Formatting options
+ * @param {string|null} options.timeZone - IANA time zone, null for local time
+ * @param {string} options.locale - BCP 47 locale for names and styles
+ * @param {string} options.kind - 'date', 'time' or 'datetime' (used by styles)
+ * @returns {string} Formatted date
+ */
+export function formatDate(date, format, options = {}) {
+  const { timeZone = null, locale = "en", kind = "datetime" } = options;
+
+  if (DATE_STYLES.includes(format)) {
+    const styleOptions = {};
+    if (kind !== "time") {
+      styleOptions.dateStyle = format;
+    }
+    if (kind !== "date") {
+      styleOptions.timeStyle = format;
+    }
+    return new Intl.DateTimeFormat(locale, {
+      ...styleOptions,
+      ...(timeZone ? { timeZone } : {}),
+    }).format(date);
+  }
+
+  const parts = getDateParts(date, timeZone);
+  const pad = (value, length = 2) => String(value).padStart(length, "0");
+  const hour12 = parts.hour % 12 || 12;
+  const monthTime = Date.UTC(2000, parts.month - 1, 1);
+  // 2000-01-02 was a Sunday, so adding the weekday lands on the right day
+  const weekdayTime = Date.UTC(2000, 0, 2 + parts.weekday);
+  let isoWeek = null;
+  const getWeek = () =>
+    isoWeek || (isoWeek = getIsoWeek(parts.year, parts.month, parts.day));
+
+  const tokens = {
+    GGGG: () => String(getWeek().weekYear),
+    YYYY: () => String(parts.year),
+    YY: () => pad(parts.year % 100),
+    MMMM: () => getLocalizedName(locale, { month: "long" }, monthTime),
+    MMM: () => getLocalizedName(locale, { month: "short" }, monthTime),
+    MM: () => pad(parts.month),
+    M: () => String(parts.month),
+    DD: () => pad(parts.day),
+    D: () => String(parts.day),
+    dddd: () => getLocalizedName(locale, { weekday: "long" }, weekdayTime),
+    ddd: () => getLocalizedName(locale, { weekday: "short" }, weekdayTime),
+    HH: () => pad(parts.hour),
+    H: () => String(parts.hour),
+    hh: () => pad(hour12),
+    h: () => String(hour12),
+    mm: () => pad(parts.minute),
+    m: () => String(parts.minute),
+    ss: () => pad(parts.second),
+    s: () => String(parts.second),
+    SSS: () => pad(parts.millisecond, 3),
+    A: () => (parts.hour < 12 ? "AM" : "PM"),
+    a: () => (parts.hour < 12 ? "am" : "pm"),
+    Z: () => formatOffset(parts.offset, ":"),
+    ZZ: () => formatOffset(parts.offset, ""),
+    WW: () => pad(getWeek().week),
+    W: () => String(getWeek().week),
+    X: () => String(Math.floor(date.getTime() / 1000)),
+    x: () => String(date.getTime()),
+  };
+
+  return format.replace(FORMAT_TOKEN_PATTERN, (match, literal) =>
+    literal !== undefined ? literal : tokens[match](),
+  );
+}
@@ -0,0 +1,57 @@
+// Line diff for comparing template versions
+
+/**
+ * Diff two texts line by line (longest common subsequence)
+ * @param {string} oldText - Original text
+ * @param {string} newText - Changed text
+ * @returns {Array<{type: "same"|"removed"|"added", text: string}>} Lines in
+ *   display order; removed lines come before the lines that replace them
+ */
+export function diffLines(oldText, newText) {
+  const oldLines = oldText.split("\n");
+  const newLines = newText.split("\n");
+
+  // lengths[i][j]: LCS length of oldLines[i..] and newLines[j..]
+  const lengths = Array.from({ length: oldLines.length + 1 }, () =>
+    new Array(newLines.length + 1).fill(0),
+  );
+  for (let i = oldLines.length - 1; i >= 0; i--) {
+    for (let j = newLines.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        oldLines[i] === newLines[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < oldLines.length || j < newLines.length) {
+    if (i < oldLines.length && j < newLines.length && oldLines[i] === newLines[j]) {
+      result.push({ type: "same", text: oldLines[i] });
+      i++;
+      j++;
+    } else if (
+      i < oldLines.length &&
+      (j === newLines.length || lengths[i + 1][j] >= lengths[i][j + 1])
+    ) {
+      result.push({ type: "removed", text: oldLines[i] });
+      i++;
+    } else {
+      result.push({ type: "added", text: newLines[j] });
+      j++;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Check whether a diff contains any change
+ * @param {Array} diff - Result of diffLines
+ * @returns {boolean}
+ */
+export function hasChanges(diff) {
+  return diff.some((line) => line.type !== "same");
+}
@@ -1,7 +1,101 @@
 // Template engine for variable replacement
 
 import { processUrl } from "../url/url-processor.js";
+import { parseHostname } from "../url/public-suffix.js";
 import { TEMPLATE_FIELDS } from "./fields.js";
+import {
+  TEMPLATE_FILTERS,
+  extractMatch,
+  validatePattern,
+  validateGroup,
+} from "./filters.js";
+import {
+  formatDate,
+  parseDateArgument,
+  isValidTimeZone,
+} from "./date-format.js";
+import { getOutputLanguage } from "./escapers.js";
+import { suggestFieldName } from "./suggestions.js";
+import settingsManager from "../settings-manager.js";
+import {
+  splitTopLevel,
+  unquote,
+  tokenize,
+  parseExpression,
+  parseTemplate,
+  classifyTag,
+  TemplateSyntaxError,
+} from "./parser.js";
+
+/**
+ * Validate the argument of a time field
+ * @param {string} arg - Field argument
+ * @returns {string|null} Error message or null
+ */
+function validateDateArgument(arg) {
+  const { timeZone, locale } = parseDateArgument(arg);
+
+  if (timeZone && !isValidTimeZone(timeZone)) {
+    return `unknown time zone ${timeZone}`;
+  }
+
+  if (locale) {
+    try {
+      Intl.getCanonicalLocales(locale);
+    } catch {
+      return `invalid locale ${locale}`;
+    }
+  }
+
+  return null;
+}
+
+// Names accepted for user-defined variables ({{var:name}})
+export const VARIABLE_NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9_-]*$/;
+
+// URL sources for URL component fields
+const URL_SOURCES = ["cleaned", "original"];
+
+/**
+ * Split a URL component field argument into value and source option
+ * @param {string|null} arg - Field argument, e.g. "id source=original"
+ * @returns {{value: string, source: string}}
+ */
+function parseUrlFieldArgument(arg) {
+  let source = "cleaned";
+  const value = (arg || "")
+    .replace(/(?:^|\s+)source=(\S*)/, (_, name) => {
+      source = name;
+      return "";
+    })
+    .trim();
+
+  return { value, source };
+}
+
+/**
+ * Split an extract field argument into source field, pattern and group
+ * @param {string|null} arg - Field argument, e.g. "title:/([A-Z]+-\d+)/"
+ * @returns {{source: string, pattern: string, group: string, parts: number}}
+ */
+function parseExtractArgument(arg) {
+  const parts = splitTopLevel(arg || "", ":").map(unquote);
+  const [source = "", pattern = "", group = ""] = parts;
+  return { source, pattern, group, parts: parts.length };
+}
+
+/**
+ * Decode a percent-encoded URL component, keeping malformed input as is
+ * @param {string} component - URL component
+ * @returns {string} Decoded component
+ */
+function safeDecode(component) {
+  try {
+    return decodeURIComponent(component);
+  } catch {
+    return component;
+  }
+}
 
 /**
  * Template engine - handles template variable replacement
@@ -9,9 +103,39 @@ import { TEMPLATE_FIELDS } from "./fields.js";
 export class TemplateEngine {
   constructor() {
     this.fieldProcessors = new Map();
+    // Fields that accept an argument ({{field:arg}}) register a validator
+    // returning an error message or null
+    this.fieldArgValidators = new Map();
+    // Fields that cannot be used without an argument
+    this.requiredArgFields = new Set();
+    // Fields that read other fields register a function returning their
+    // names from the argument, so callers can load the data they need
+    this.fieldDependencies = new Map();
+    // Resolves {{> template:Name}} partials, set by the template manager
+    this.partialResolver = null;
+    // Resolves {{var:name}} constants, set by the template manager
+    this.variableResolver = null;
     this.initializeFieldProcessors();
   }
 
+  /**
+   * Set the resolver used for {{var:name}} variables
+   * @param {Function|null} resolver - Async function returning an object
+   *   mapping variable names to values
+   */
+  setVariableResolver(resolver) {
+    this.variableResolver = resolver;
+  }
+
+  /**
+   * Set the resolver used for {{> template:Name}} partials
+   * @param {Function|null} resolver - Async function receiving the template
+   *   name or ID and returning `{id, name, template}` or null
+   */
+  setPartialResolver(resolver) {
+    this.partialResolver = resolver;
+  }
+
   initializeFieldProcessors() {
     // Basic field processors (async)
     this.fieldProcessors.set(
@@ -35,94 +159,260 @@ export class TemplateEngine {
         return "";
       }
     });
-    this.fieldProcessors.set("domain", (context) => {
+    // Domain parts use the bundled Public Suffix List,
+    // e.g. news.bbc.co.uk -> subdomain "news", domain "bbc.co.uk", tld "co.uk"
+    this.registerDomainField("domain");
+    this.registerDomainField("subdomain");
+    this.registerDomainField("tld");
+    this.fieldProcessors.set("shortUrl", (context) => context.shortUrl || "");
+
+    // URL component field processors
+    // Computed from the cleaned URL unless `source=original` is given,
+    // e.g. {{query:source=original}} or {{param:id source=original}}
+    this.registerUrlField("path", (url) => url.pathname);
+    this.registerUrlField(
+      "pathSegment",
+      (url, index) => {
+        const segments = url.pathname.split("/").filter(Boolean);
+        const position = parseInt(index, 10);
+        // 1-based from the start, negative counts from the end
+        const segment =
+          segments[position > 0 ? position - 1 : segments.length + position];
+        return segment === undefined ? "" : safeDecode(segment);
+      },
+      (index) =>
+        /^-?[1-9]\d*$/.test(index)
+          ? null
+          : "segment index must be a non-zero integer",
+    );
+    this.registerUrlField("query", (url) => url.search.slice(1));
+    this.registerUrlField(
+      "param",
+      (url, name) => url.searchParams.get(name) ?? "",
+      (name) => (name ? null : "parameter name is required"),
+    );
+    this.registerUrlField("fragment", (url) => url.hash.slice(1));
+    this.registerUrlField("port", (url) => url.port);
+    this.registerUrlField("protocol", (url) => url.protocol.slice(0, -1));
+    this.registerUrlField("origin", (url) => url.origin);
+
+    // Page metadata field processors
+    this.fieldProcessors.set("author", (context) => context.author || "");
+    this.fieldProcessors.set(
+      "description",
+      (context) => context.description || "",
+    );
+
+    // User-defined variables - context.variables (name -> value) wins over
+    // the stored ones; unknown names keep the tag as is
+    this.fieldProcessors.set("var", async (context, name) => {
+      const variables =
+        context.variables ||
+        (this.variableResolver ? await this.variableResolver() : {});
+
+      if (!Object.hasOwn(variables, name)) {
+        throw new Error(`Unknown variable: ${name}`);
+      }
+      return variables[name];
+    });
+    this.requiredArgFields.add("var");
+    this.fieldArgValidators.set("var", (name) => {
+      if (!name) {
+        return "variable name is required";
+      }
+      return VARIABLE_NAME_PATTERN.test(name)
+        ? null
+        : `invalid variable name ${name}`;
+    });
+
+    // Regex extraction from another field, e.g. {{extract:title:/([A-Z]+-\d+)/}}
+    // or {{extract:path:/\/(\d+)$/:1}}; the first capture group is used by default
+    this.fieldProcessors.set("extract", async (context, arg) => {
+      const { source, pattern, group } = parseExtractArgument(arg);
+      const value = await this.resolveExpression(source, context);
+      if (value === undefined) {
+        throw new Error(`Unknown source field: ${source}`);
+      }
+      return extractMatch(value, pattern, group);
+    });
+    this.requiredArgFields.add("extract");
+    this.fieldArgValidators.set("extract", (arg) => {
+      const { source, pattern, group, parts } = parseExtractArgument(arg);
+      if (parts < 2 || parts > 3) {
+        return "expected {{extract:field:/pattern/}} with an optional group";
+      }
+      if (source === "extract" || !this.fieldProcessors.has(source)) {
+        return `unknown source field ${source}`;
+      }
+      return validatePattern(pattern) || validateGroup(group);
+    });
+    this.fieldDependencies.set("extract", (arg) => [
+      parseExtractArgument(arg).source,
+    ]);
+
+    // Batch loop field processors - values come from the batch context
+    ["index", "count", "windowId", "tabIndex"].forEach((name) => {
+      this.fieldProcessors.set(name, (context) =>
+        context[name] === undefined || context[name] === null
+          ? ""
+          : String(context[name]),
+      );
+    });
+
+    // Time field processors - get current time on each call
+    // Optional argument: token format and/or options, e.g. {{date:DD/MM/YYYY}},
+    // {{datetime:YYYY-MM-DD HH:mm tz=UTC}}, {{date:long locale=de}}
+    this.registerTimeField("date", "date", "YYYY-MM-DD");
+    this.registerTimeField("time", "time", "HH:mm:ss");
+    this.registerTimeField("datetime", "datetime", "YYYY-MM-DD HH:mm:ss");
+    this.registerTimeField("week", "date", "GGGG-[W]WW");
+
+    this.fieldProcessors.set("timestamp", (context, arg) => {
+      const now = new Date();
+      return arg === "ms"
+        ? now.getTime().toString()
+        : Math.floor(now.getTime() / 1000).toString();
+    });
+    this.fieldArgValidators.set("timestamp", (arg) =>
+      arg === "ms" ? null : 'only "ms" is supported',
+    );
+
+    this.fieldProcessors.set("iso", (context, arg) => {
+      const now = new Date();
+      if (!arg) {
+        return now.toISOString();
+      }
+      // With a time zone, output the local time of that zone with its offset
+      const { timeZone } = parseDateArgument(arg);
+      return formatDate(now, "YYYY-MM-DD[T]HH:mm:ss.SSSZ", { timeZone });
+    });
+    this.fieldArgValidators.set("iso", (arg) => {
+      const { format } = parseDateArgument(arg);
+      return format ? "only the tz= option is supported" : validateDateArgument(arg);
+    });
+  }
+
+  /**
+   * Register a field computed from the Public Suffix List split of the hostname
+   * @param {string} name - Field name, one of 'domain', 'subdomain' or 'tld'
+   */
+  registerDomainField(name) {
+    this.fieldProcessors.set(name, (context) => {
       try {
         if (!context.url) {
           return "";
         }
         const url = new URL(context.url);
-        // Extract pure domain (remove subdomains)
-        const hostname = url.hostname;
-        const parts = hostname.split(".");
+        return parseHostname(url.hostname)[name];
+      } catch {
+        console.debug(
+          `TemplateEngine: Invalid URL for ${name} field:`,
+          context.url,
+        );
+        return "";
+      }
+    });
+  }
 
-        // Handle special cases: localhost, IP addresses, etc.
-        if (parts.length <= 2 || /^\d+\.\d+\.\d+\.\d+$/.test(hostname)) {
-          return hostname;
-        }
+  /**
+   * Register a field computed from a part of the page URL
+   * @param {string} name - Field name
+   * @param {Function} extract - Receives (URL object, argument value) and
+   *   returns the field value
+   * @param {Function|null} validateValue - Validates a required argument
+   *   value; fields without it only accept the `source=` option
+   */
+  registerUrlField(name, extract, validateValue = null) {
+    this.fieldProcessors.set(name, async (context, arg) => {
+      const { value, source } = parseUrlFieldArgument(arg);
 
-        // Extract main domain (last two parts)
-        // e.g.: www.example.com -> example.com
-        //       blog.sub.example.com -> example.com
-        return parts.slice(-2).join(".");
+      try {
+        if (!context.url) {
+          return "";
+        }
+        const url = new URL(
+          source === "original"
+            ? context.url
+            : await processUrl(context.url, context.urlCleaning),
+        );
+        return extract(url, value);
       } catch {
         console.debug(
-          "TemplateEngine: Invalid URL for domain field:",
+          `TemplateEngine: Invalid URL for ${name} field:`,
           context.url,
         );
         return "";
       }
     });
-    this.fieldProcessors.set("shortUrl", (context) => context.shortUrl || "");
 
-    // Page metadata field processors
-    this.fieldProcessors.set("author", (context) => context.author || "");
-    this.fieldProcessors.set(
-      "description",
-      (context) => context.description || "",
-    );
+    if (validateValue) {
+      this.requiredArgFields.add(name);
+    }
+    this.fieldArgValidators.set(name, (arg) => {
+      const { value, source } = parseUrlFieldArgument(arg);
 
-    // Time field processors - fixed: get current time on each call
-    this.fieldProcessors.set("date", () => {
-      const now = new Date();
-      return (
-        now.getFullYear() +
-        "-" +
-        String(now.getMonth() + 1).padStart(2, "0") +
-        "-" +
-        String(now.getDate()).padStart(2, "0")
-      );
+      if (!URL_SOURCES.includes(source)) {
+        return `unknown source ${source} (use cleaned or original)`;
+      }
+      if (validateValue) {
+        return validateValue(value);
+      }
+      return value ? "only the source= option is supported" : null;
     });
+  }
 
-    this.fieldProcessors.set("time", () => {
+  /**
+   * Register a formattable time field
+   * @param {string} name - Field name
+   * @param {string} kind - 'date', 'time' or 'datetime' (for locale styles)
+   * @param {string} defaultFormat - Token format used without an argument
+   */
+  registerTimeField(name, kind, defaultFormat) {
+    this.fieldProcessors.set(name, async (context, arg) => {
       const now = new Date();
-      return now.toTimeString().split(" ")[0];
-    });
+      if (!arg) {
+        return formatDate(now, defaultFormat);
+      }
 
-    this.fieldProcessors.set("datetime", () => {
-      const now = new Date();
-      return (
-        now.getFullYear() +
-        "-" +
-        String(now.getMonth() + 1).padStart(2, "0") +
-        "-" +
-        String(now.getDate()).padStart(2, "0") +
-        " " +
-        String(now.getHours()).padStart(2, "0") +
-        ":" +
-        String(now.getMinutes()).padStart(2, "0") +
-        ":" +
-        String(now.getSeconds()).padStart(2, "0")
-      );
+      const { format, timeZone, locale } = parseDateArgument(arg);
+      return formatDate(now, format || defaultFormat, {
+        timeZone,
+        kind,
+        locale: locale || (await this.resolveLocale(context)),
+      });
     });
+    this.fieldArgValidators.set(name, validateDateArgument);
+  }
 
-    this.fieldProcessors.set("timestamp", () => {
-      const now = new Date();
-      return Math.floor(now.getTime() / 1000).toString();
-    });
+  /**
+   * Resolve the locale for localized output
+   * @param {object} context - Context object (may carry `locale`)
+   * @returns {Promise<string>} BCP 47 locale, e.g. "zh-CN"
+   */
+  async resolveLocale(context) {
+    if (context.locale) {
+      return context.locale;
+    }
 
-    this.fieldProcessors.set("iso", () => {
-      const now = new Date();
-      return now.toISOString();
-    });
+    try {
+      const language = await settingsManager.getSetting("language");
+      return (language || "en").replace("_", "-");
+    } catch (error) {
+      console.debug("TemplateEngine: Failed to resolve locale:", error);
+      return "en";
+    }
   }
 
   /**
    * Process template, replace all variables
    * @param {string} template - Template string
    * @param {object} context - Context object
+   * @param {object} options - Rendering options
+   * @param {string} options.outputLanguage - Escaping applied to field
+   *   values: 'plain' (default), 'markdown', 'html', 'json' or 'csv'
    * @returns {Promise<string>} Processed result
    */
-  async processTemplate(template, context) {
+  async processTemplate(template, context, options = {}) {
     if (!template) {
       return "";
     }
@@ -136,91 +426,358 @@ export class TemplateEngine {
     }
 
     try {
-      // Match {{fieldName}} pattern
-      const fieldPattern = /\{\{([^}]+)\}\}/g;
+      return await this.renderNodes(parseTemplate(template), context, {
+        partialStack: [],
+        language: getOutputLanguage(options.outputLanguage),
+      });
+    } catch (error) {
+      console.debug("TemplateEngine: Template processing failed:", error);
+      return template; // Fallback: return original template
+    }
+  }
 
-      // First find all fields to replace
-      const matches = [...template.matchAll(fieldPattern)];
-      let result = template;
+  /**
+   * Render parsed template nodes in order (supports async fields)
+   * @param {Array<object>} nodes - Nodes from parseTemplate
+   * @param {object} context - Context object
+   * @param {object} state - Render state: `partialStack` (IDs of partials
+   *   being rendered) and `language` (output language for escaping)
+   * @returns {Promise<string>} Rendered text
+   */
+  async renderNodes(nodes, context, state) {
+    let result = "";
 
-      // Process each field (supports async)
-      for (const match of matches) {
-        try {
-          const fieldName = match[1].trim();
-          const processor = this.fieldProcessors.get(fieldName);
-
-          if (processor) {
-            const value = await processor(context);
-            // Ensure string type is returned
-            const replacement = value !== null ? String(value) : "";
-            result = result.replace(match[0], replacement);
-          }
-        } catch (error) {
-          console.debug(
-            `TemplateEngine: Error processing field '${match[1]}':`,
-            error,
-          );
-          // Keep original on error
+    for (const node of nodes) {
+      if (node.type === "text") {
+        result += node.value;
+      } else if (node.type === "block") {
+        const branch = (await this.evaluateCondition(node, context))
+          ? node.children
+          : node.inverse;
+        if (branch) {
+          result += await this.renderNodes(branch, context, state);
         }
+      } else if (node.type === "partial") {
+        result += await this.renderPartial(node, context, state);
+      } else {
+        result += await this.processTag(node, context, state.language);
       }
+    }
+
+    return result;
+  }
 
-      return result;
+  /**
+   * Render a {{> template:Name}} partial with the current context
+   * @param {object} node - Partial node
+   * @param {object} context - Context object
+   * @param {object} state - Render state (see renderNodes)
+   * @returns {Promise<string>} Rendered partial (original tag if it is
+   *   missing, circular or fails)
+   */
+  async renderPartial(node, context, state) {
+    try {
+      const partial = this.partialResolver
+        ? await this.partialResolver(node.reference)
+        : null;
+
+      if (!partial) {
+        console.debug(`TemplateEngine: Partial not found: ${node.reference}`);
+        return node.raw;
+      }
+
+      if (state.partialStack.includes(partial.id)) {
+        console.debug(`TemplateEngine: Circular partial: ${node.reference}`);
+        return node.raw;
+      }
+
+      return await this.renderNodes(parseTemplate(partial.template), context, {
+        ...state,
+        partialStack: [...state.partialStack, partial.id],
+      });
     } catch (error) {
-      console.debug("TemplateEngine: Template processing failed:", error);
-      return template; // Fallback: return original template
+      console.debug(
+        `TemplateEngine: Error rendering partial '${node.reference}':`,
+        error,
+      );
+      return node.raw;
+    }
+  }
+
+  /**
+   * Evaluate the condition of an {{#if}} / {{#unless}} block
+   * A condition holds when its field resolves to non-blank text
+   * @param {object} node - Block node
+   * @param {object} context - Context object
+   * @returns {Promise<boolean>} Whether the main branch should render
+   */
+  async evaluateCondition(node, context) {
+    let truthy = false;
+
+    try {
+      const value = await this.resolveExpression(node.condition, context);
+      truthy = value !== undefined && value.trim() !== "";
+    } catch (error) {
+      console.debug(
+        `TemplateEngine: Error evaluating condition '${node.condition}':`,
+        error,
+      );
+    }
+
+    return node.helper === "unless" ? !truthy : truthy;
+  }
+
+  /**
+   * Resolve a field expression with its filters
+   * @param {string} expression - Expression such as `title|upper`
+   * @param {object} context - Context object
+   * @returns {Promise<string|undefined>} Value, or undefined for unknown fields
+   */
+  async resolveExpression(expression, context) {
+    const { name, arg, filters } = parseExpression(expression);
+    const processor = this.fieldProcessors.get(name);
+
+    if (!processor) {
+      return undefined;
+    }
+
+    const value = await processor(context, arg);
+    // Ensure string type is returned
+    return this.applyFilters(value !== null ? String(value) : "", filters);
+  }
+
+  /**
+   * Process a single {{field|filter}} tag
+   * @param {object} token - Tag token from the parser
+   * @param {object} context - Context object
+   * @param {object} language - Output language used to escape the value
+   *   (skipped when the filter chain already escapes, e.g. |raw)
+   * @returns {Promise<string>} Replacement text (original tag if unknown or failed)
+   */
+  async processTag(token, context, language = getOutputLanguage()) {
+    try {
+      const value = await this.resolveExpression(token.expression, context);
+      // Unknown fields are kept as plain text
+      if (value === undefined) {
+        return token.raw;
+      }
+
+      const { name, filters } = parseExpression(token.expression);
+      const escaped = filters.some(
+        (filter) => TEMPLATE_FILTERS[filter.name]?.escapes,
+      );
+      return escaped ? value : language.escape(value, name);
+    } catch (error) {
+      console.debug(
+        `TemplateEngine: Error processing field '${token.expression}':`,
+        error,
+      );
+      return token.raw; // Keep original on error
     }
   }
 
+  /**
+   * Run a value through a filter chain
+   * @param {string} value - Field value
+   * @param {Array<{name: string, args: string[]}>} filters - Parsed filters
+   * @returns {string} Filtered value
+   */
+  applyFilters(value, filters) {
+    return filters.reduce((current, { name, args }) => {
+      const filter = TEMPLATE_FILTERS[name];
+      if (!filter) {
+        throw new Error(`Unknown filter: ${name}`);
+      }
+      return String(filter.apply(current, ...args));
+    }, value);
+  }
+
+  /**
+   * Validate a filter chain
+   * @param {Array<{name: string, args: string[]}>} filters - Parsed filters
+   * @returns {string[]} Error messages
+   */
+  validateFilters(filters) {
+    const errors = [];
+
+    for (const { name, args } of filters) {
+      if (!name) {
+        errors.push("Empty filter name found");
+        continue;
+      }
+
+      const filter = TEMPLATE_FILTERS[name];
+      if (!filter) {
+        errors.push(`Unknown filter: ${name}`);
+        continue;
+      }
+
+      const { min, max } = filter.args;
+      if (args.length < min || args.length > max) {
+        const expected = min === max ? `${min}` : `${min}-${max}`;
+        errors.push(
+          `Filter "${name}" expects ${expected} argument(s), got ${args.length}`,
+        );
+        continue;
+      }
+
+      const argError = filter.validate?.(args);
+      if (argError) {
+        errors.push(`Filter "${name}": ${argError}`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate a single field expression
+   * @param {string} expression - Expression such as `title|upper`
+   * @param {string} raw - Original tag text for error messages
+   * @param {object} options - Validation options (see validateTemplate)
+   * @returns {{errors: string[], warnings: string[], field: string|null, suggestion: string|null}}
+   *   Errors, warnings (unknown fields), the known field name and, for
+   *   misspelled fields, the closest known name
+   */
+  validateExpression(expression, raw, options = {}) {
+    const { name: fieldName, arg, filters } = parseExpression(expression);
+
+    // Check if field name is empty
+    if (!fieldName) {
+      return {
+        errors: [`Empty field name found: ${raw}`],
+        warnings: [],
+        field: null,
+        suggestion: null,
+      };
+    }
+
+    // Check if field name contains invalid characters
+    if (!/^[a-zA-Z][a-zA-Z0-9_]*$/.test(fieldName)) {
+      return {
+        errors: [
+          `Invalid field name: ${fieldName} (only letters, numbers, and underscores allowed)`,
+        ],
+        warnings: [],
+        field: null,
+        suggestion: null,
+      };
+    }
+
+    // Only record known fields, unknown fields will be treated as plain text
+    const known = this.fieldProcessors.has(fieldName);
+    const errors = [];
+
+    if (known && arg === null && this.requiredArgFields.has(fieldName)) {
+      errors.push(`Field "${fieldName}": argument is required`);
+    }
+
+    if (known && arg !== null) {
+      const validateArg = this.fieldArgValidators.get(fieldName);
+      const argError = validateArg
+        ? validateArg(arg)
+        : "does not accept arguments";
+      if (argError) {
+        errors.push(`Field "${fieldName}": ${argError}`);
+      } else if (
+        fieldName === "var" &&
+        options.variables &&
+        !options.variables.includes(arg)
+      ) {
+        errors.push(`Unknown variable: ${arg}`);
+      }
+    }
+
+    errors.push(...this.validateFilters(filters));
+
+    // Unknown fields stay valid (they are output as text) but are likely typos
+    const warnings = [];
+    let suggestion = null;
+    if (!known) {
+      suggestion = suggestFieldName(fieldName, [...this.fieldProcessors.keys()]);
+      warnings.push(
+        suggestion
+          ? `Unknown field: ${fieldName} (output as text). Did you mean "${suggestion}"?`
+          : `Unknown field: ${fieldName} (output as text)`,
+      );
+    }
+
+    return { errors, warnings, field: known ? fieldName : null, suggestion };
+  }
+
   /**
    * Validate template syntax
    * @param {string} template - Template string
+   * @param {object} options - Validation options
+   * @param {Function} options.resolvePartial - Sync lookup receiving a
+   *   template name or ID and returning `{id, name, template}` or null;
+   *   without it partials are only checked for syntax
+   * @param {object} options.self - `{id, name}` of the template being
+   *   validated, so partials including it are reported as circular
+   * @param {string[]} options.variables - Defined variable names; when
+   *   given, {{var:name}} with other names is reported
    * @returns {object} Validation result
    */
-  validateTemplate(template) {
+  validateTemplate(template, options = {}) {
     if (!template) {
-      return { valid: false, errors: ["Template is empty"], fields: [] };
+      return {
+        valid: false,
+        errors: ["Template is empty"],
+        warnings: [],
+        fields: [],
+      };
     }
 
     if (typeof template !== "string") {
       return {
         valid: false,
         errors: ["Template must be a string"],
+        warnings: [],
         fields: [],
       };
     }
 
     try {
-      const fieldPattern = /\{\{([^}]+)\}\}/g;
-      const matches = [...template.matchAll(fieldPattern)];
       const errors = [];
+      const warnings = [];
       const fields = [];
 
-      for (const match of matches) {
-        const fieldName = match[1].trim();
-
-        // Check if field name is empty
-        if (!fieldName) {
-          errors.push("Empty field name found: {{}}");
-          continue;
+      // Check block structure (balanced {{#if}} / {{/if}} etc.)
+      try {
+        parseTemplate(template);
+      } catch (error) {
+        if (!(error instanceof TemplateSyntaxError)) {
+          throw error;
         }
+        errors.push(error.message);
+      }
 
-        // Check if field name contains invalid characters
-        if (!/^[a-zA-Z][a-zA-Z0-9_]*$/.test(fieldName)) {
-          errors.push(
-            `Invalid field name: ${fieldName} (only letters, numbers, and underscores allowed)`,
-          );
-          continue;
+      for (const expression of this.getTagExpressions(template)) {
+        const result = this.validateExpression(
+          expression.expression,
+          expression.raw,
+          options,
+        );
+        errors.push(...result.errors);
+        warnings.push(...result.warnings);
+        if (result.field) {
+          fields.push(result.field);
         }
+      }
 
-        // Only record known fields, unknown fields will be treated as plain text
-        if (this.fieldProcessors.has(fieldName)) {
-          fields.push(fieldName);
-        }
+      if (options.resolvePartial) {
+        const stack = options.self ? [options.self] : [];
+        errors.push(
+          ...new Set(
+            this.validatePartials(template, options.resolvePartial, stack),
+          ),
+        );
       }
 
       return {
         valid: errors.length === 0,
         errors: errors,
+        warnings: [...new Set(warnings)],
         fields: [...new Set(fields)], // deduplicate
       };
     } catch (error) {
@@ -228,23 +785,215 @@ export class TemplateEngine {
       return {
         valid: false,
         errors: ["Template validation failed due to internal error"],
+        warnings: [],
         fields: [],
       };
     }
   }
 
   /**
-   * Get fields used in template
+   * Find problems in a template together with their position, for showing
+   * them inline while editing. Unknown fields are output as text, so they
+   * are warnings rather than errors.
+   * @param {string} template - Template string
+   * @param {object} options - Validation options (see validateTemplate)
+   * @returns {Array<{start: number|null, end: number|null, raw: string, severity: string, message: string, replacement?: string}>}
+   *   Problems in template order; `severity` is "error" or "warning", and
+   *   problems not tied to a tag (unbalanced blocks, partial cycles) have
+   *   no position. Misspelled fields carry the corrected tag as `replacement`.
+   */
+  lintTemplate(template, options = {}) {
+    const problems = [];
+    const positioned = new Set();
+    let offset = 0;
+
+    for (const token of tokenize(template || "")) {
+      if (token.type === "text") {
+        offset += token.value.length;
+        continue;
+      }
+
+      const start = offset;
+      const end = offset + token.raw.length;
+      offset = end;
+      const add = (severity, message, extra = {}) => {
+        problems.push({ start, end, raw: token.raw, severity, message, ...extra });
+        positioned.add(message);
+      };
+
+      const tag = classifyTag(token.expression);
+      if (tag.kind === "partial") {
+        if (tag.reference && options.resolvePartial && !options.resolvePartial(tag.reference)) {
+          add("error", `Unknown partial: ${token.raw}`);
+        }
+        continue;
+      }
+
+      const expression =
+        tag.kind === "field" ? token.expression : tag.kind === "open" ? tag.condition : null;
+      if (!expression) {
+        continue;
+      }
+
+      const result = this.validateExpression(expression, token.raw, options);
+      result.errors.forEach((message) => add("error", message));
+      result.warnings.forEach((message) =>
+        add(
+          "warning",
+          message,
+          result.suggestion
+            ? {
+                replacement: token.raw.replace(
+                  parseExpression(expression).name,
+                  result.suggestion,
+                ),
+              }
+            : {},
+        ),
+      );
+    }
+
+    // Template-level errors reported by validateTemplate without a tag
+    for (const message of this.validateTemplate(template, options).errors) {
+      if (!positioned.has(message)) {
+        problems.push({ start: null, end: null, raw: "", severity: "error", message });
+      }
+    }
+
+    return problems;
+  }
+
+  /**
+   * Check that partials exist and do not include each other in a cycle
+   * @param {string} template - Template string
+   * @param {Function} resolvePartial - Sync partial lookup
+   * @param {Array<{id: string, name: string}>} stack - Templates on the
+   *   current include path
+   * @returns {string[]} Error messages
+   */
+  validatePartials(template, resolvePartial, stack) {
+    const errors = [];
+
+    for (const { reference, raw } of this.getPartialReferences(template)) {
+      const partial = resolvePartial(reference);
+      if (!partial) {
+        errors.push(`Unknown partial: ${raw}`);
+        continue;
+      }
+
+      const path = [...stack, partial];
+      if (stack.some((entry) => entry.id === partial.id)) {
+        errors.push(
+          `Circular partial reference: ${path.map((entry) => entry.name).join(" → ")}`,
+        );
+        continue;
+      }
+
+      errors.push(
+        ...this.validatePartials(partial.template, resolvePartial, path),
+      );
+    }
+
+    return errors;
+  }
+
+  /**
+   * Collect {{> template:Name}} references
+   * @param {string} template - Template string
+   * @returns {Array<{reference: string, raw: string}>} References in order
+   */
+  getPartialReferences(template) {
+    const references = [];
+
+    for (const token of tokenize(template || "")) {
+      if (token.type !== "tag") {
+        continue;
+      }
+
+      const tag = classifyTag(token.expression);
+      if (tag.kind === "partial" && tag.reference) {
+        references.push({ reference: tag.reference, raw: token.raw });
+      }
+    }
+
+    return references;
+  }
+
+  /**
+   * Collect field expressions from tags and block conditions
+   * @param {string} template - Template string
+   * @returns {Array<{expression: string, raw: string}>} Expressions in order
+   */
+  getTagExpressions(template) {
+    const expressions = [];
+
+    for (const token of tokenize(template || "")) {
+      if (token.type !== "tag") {
+        continue;
+      }
+
+      const tag = classifyTag(token.expression);
+      if (tag.kind === "field") {
+        expressions.push({ expression: token.expression, raw: token.raw });
+      } else if (tag.kind === "open" && tag.condition) {
+        expressions.push({ expression: tag.condition, raw: token.raw });
+      }
+    }
+
+    return expressions;
+  }
+
+  /**
+   * Get fields used in template, including block conditions and fields read
+   * by other fields such as {{extract}} (filters are stripped)
    * @param {string} template - Template string
    * @returns {string[]} Field names
    */
   getTemplateFields(template) {
-    const fieldPattern = /\{\{([^}]+)\}\}/g;
     const fields = new Set();
-    let match;
 
-    while ((match = fieldPattern.exec(template)) !== null) {
-      fields.add(match[1].trim());
+    for (const { expression } of this.getTagExpressions(template)) {
+      const { name, arg } = parseExpression(expression);
+      fields.add(name);
+      this.fieldDependencies
+        .get(name)?.(arg)
+        .forEach((dependency) => fields.add(dependency));
+    }
+
+    return Array.from(fields);
+  }
+
+  /**
+   * Get fields used in template and, through the partial resolver, in the
+   * partials it includes
+   * @param {string} template - Template string
+   * @returns {Promise<string[]>} Field names
+   */
+  async collectTemplateFields(template) {
+    const fields = new Set();
+    const visited = new Set();
+    const pending = [template];
+
+    while (pending.length > 0) {
+      const current = pending.pop();
+      this.getTemplateFields(current).forEach((field) => fields.add(field));
+
+      for (const { reference } of this.getPartialReferences(current)) {
+        try {
+          const partial = this.partialResolver
+            ? await this.partialResolver(reference)
+            : null;
+          if (partial && !visited.has(partial.id)) {
+            visited.add(partial.id);
+            pending.push(partial.template);
+          }
+        } catch (error) {
+          console.debug(
+            `TemplateEngine: Failed to resolve partial '${reference}':`,
+            error,
+          );
+        }
+      }
     }
 
     return Array.from(fields);
@@ -254,5 +1003,5 @@ export class TemplateEngine {
 // Global template engine instance
 export const templateEngine = new TemplateEngine();
 
-// Re-export TEMPLATE_FIELDS for convenience
-export { TEMPLATE_FIELDS };
+// Re-export field and filter definitions for convenience
+export { TEMPLATE_FIELDS, TEMPLATE_FILTERS };
@@ -0,0 +1,88 @@
+// Output languages: automatic escaping of field values per template
+
+// Fields holding a full URL; Markdown keeps them usable as link targets
+const URL_FIELDS = ["url", "originalUrl", "shortUrl", "origin"];
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+/**
+ * Escape HTML special characters
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
+
+/**
+ * Escape text for Markdown inline content (link text, table cells)
+ * @param {string} text - Raw text
+ * @returns {string} Text with Markdown punctuation backslash-escaped
+ */
+export function escapeMarkdownText(text) {
+  return text.replace(/[\\`*_[\]<>|]/g, "\\$&");
+}
+
+/**
+ * Escape a URL for use as a Markdown link destination
+ * @param {string} url - Raw URL
+ * @returns {string} URL with spaces, parentheses and angle brackets encoded
+ */
+export function escapeMarkdownUrl(url) {
+  return url.replace(
+    /[\s()<>]/g,
+    (char) => "%" + char.charCodeAt(0).toString(16).toUpperCase().padStart(2, "0"),
+  );
+}
+
+/**
+ * Output languages for custom templates. `escape` receives the final field
+ * value and the field name and returns the text inserted into the output.
+ */
+export const OUTPUT_LANGUAGES = {
+  plain: {
+    name: "Plain text",
+    escape: (value) => value,
+  },
+  markdown: {
+    name: "Markdown",
+    escape: (value, field) =>
+      URL_FIELDS.includes(field)
+        ? escapeMarkdownUrl(value)
+        : escapeMarkdownText(value),
+  },
+  html: {
+    name: "HTML",
+    escape: escapeHtml,
+  },
+  json: {
+    name: "JSON",
+    // Inside a JSON string: the template supplies the surrounding quotes
+    escape: (value) => JSON.stringify(value).slice(1, -1),
+  },
+  csv: {
+    name: "CSV",
+    // RFC 4180: quote values containing separators, quotes or line breaks
+    escape: (value) =>
+      /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value,
+  },
+};
+
+export const DEFAULT_OUTPUT_LANGUAGE = "plain";
+
+/**
+ * Get an output language, falling back to plain text
+ * @param {string|undefined} language - Language key
+ * @returns {object} Output language definition
+ */
+export function getOutputLanguage(language) {
+  return (
+    OUTPUT_LANGUAGES[language] || OUTPUT_LANGUAGES[DEFAULT_OUTPUT_LANGUAGE]
+  );
+}
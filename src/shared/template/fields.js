@@ -28,8 +28,20 @@ export const TEMPLATE_FIELDS = {
   },
   domain: {
     name: "Domain",
-    description: "Pure domain (without subdomains)",
-    example: "example.com",
+    description: "Registrable domain (Public Suffix List aware)",
+    example: "bbc.co.uk",
+    category: "basic",
+  },
+  subdomain: {
+    name: "Subdomain",
+    description: "Hostname part before the registrable domain",
+    example: "news",
+    category: "basic",
+  },
+  tld: {
+    name: "Public Suffix",
+    description: "Public suffix of the hostname (e.g. co.uk, github.io)",
+    example: "co.uk",
     category: "basic",
   },
   shortUrl: {
@@ -39,6 +51,57 @@ export const TEMPLATE_FIELDS = {
     category: "basic",
   },
 
+  // URL component fields (from the cleaned URL, add source=original for the
+  // original one, e.g. {{param:id source=original}})
+  path: {
+    name: "Path",
+    description: "URL path",
+    example: "/rokcso/arclet-copier/pull/42",
+    category: "url",
+  },
+  pathSegment: {
+    name: "Path Segment",
+    description: "Nth path segment, negative counts from the end ({{pathSegment:4}})",
+    example: "42",
+    category: "url",
+  },
+  query: {
+    name: "Query",
+    description: "Query string without the leading ?",
+    example: "id=42&tab=files",
+    category: "url",
+  },
+  param: {
+    name: "Query Parameter",
+    description: "Value of a query parameter ({{param:id}})",
+    example: "42",
+    category: "url",
+  },
+  fragment: {
+    name: "Fragment",
+    description: "Fragment without the leading #",
+    example: "section-2",
+    category: "url",
+  },
+  port: {
+    name: "Port",
+    description: "Explicit port (empty for the default port)",
+    example: "8080",
+    category: "url",
+  },
+  protocol: {
+    name: "Protocol",
+    description: "URL scheme without the colon",
+    example: "https",
+    category: "url",
+  },
+  origin: {
+    name: "Origin",
+    description: "Protocol, hostname and port",
+    example: "https://example.com",
+    category: "url",
+  },
+
   // Page metadata fields
   author: {
     name: "Author",
@@ -53,35 +116,84 @@ export const TEMPLATE_FIELDS = {
     category: "metadata",
   },
 
-  // Time fields
+  // Time fields (accept a format, e.g. {{date:DD/MM/YYYY}} or {{date:long tz=UTC}})
   date: {
     name: "Date",
-    description: "Current date (local timezone)",
+    description: "Current date (local timezone), custom format supported",
     example: "2024-01-15",
     category: "time",
   },
   time: {
     name: "Time",
-    description: "Current time (local timezone)",
+    description: "Current time (local timezone), custom format supported",
     example: "14:30:25",
     category: "time",
   },
   datetime: {
     name: "Date Time",
-    description: "Full date time (local timezone)",
+    description: "Full date time (local timezone), custom format supported",
     example: "2024-01-15 14:30:25",
     category: "time",
   },
+  week: {
+    name: "Week",
+    description: "ISO week of the year (local timezone)",
+    example: "2024-W03",
+    category: "time",
+  },
   timestamp: {
     name: "Timestamp",
-    description: "Unix timestamp (global)",
+    description: "Unix timestamp in seconds ({{timestamp:ms}} for milliseconds)",
     example: "1705315825",
     category: "time",
   },
   iso: {
     name: "ISO Time",
-    description: "ISO format time (UTC timezone)",
+    description: "ISO format time (UTC timezone, or {{iso:tz=Asia/Tokyo}})",
     example: "2024-01-15T14:30:25.000Z",
     category: "time",
   },
+
+  // Regex extraction
+  extract: {
+    name: "Extract",
+    description:
+      "First regex match from another field, e.g. {{extract:title:/([A-Z]+-\\d+)/}}",
+    example: "ABC-123",
+    category: "custom",
+  },
+
+  // User-defined variables (managed in the options page)
+  var: {
+    name: "Variable",
+    description: "User-defined constant, e.g. {{var:project}}",
+    example: "ACME",
+    category: "custom",
+  },
+
+  // Batch loop fields (set when copying multiple tabs, empty otherwise)
+  index: {
+    name: "Index",
+    description: "Position of the item in the batch output (1-based)",
+    example: "1",
+    category: "batch",
+  },
+  count: {
+    name: "Count",
+    description: "Number of items in the batch output",
+    example: "5",
+    category: "batch",
+  },
+  windowId: {
+    name: "Window ID",
+    description: "Browser window ID of the tab",
+    example: "1024",
+    category: "batch",
+  },
+  tabIndex: {
+    name: "Tab Index",
+    description: "Position of the tab in its window (1-based)",
+    example: "3",
+    category: "batch",
+  },
 };
@@ -0,0 +1,228 @@
+// Template filter definitions for the {{field|filter:arg}} pipeline
+
+import { compileSafeRegExp, MAX_REGEX_INPUT_LENGTH } from "./regex-safety.js";
+import { escapeHtml } from "./escapers.js";
+
+/**
+ * Validate a non-negative integer argument
+ * @param {string} value - Argument value
+ * @param {string} label - Argument label for the error message
+ * @returns {string|null} Error message or null
+ */
+function validateInteger(value, label) {
+  return /^\d+$/.test(value) ? null : `${label} must be a non-negative integer`;
+}
+
+/**
+ * Validate a regex pattern argument
+ * @param {string} pattern - Pattern argument
+ * @returns {string|null} Error message or null
+ */
+export function validatePattern(pattern) {
+  try {
+    compileSafeRegExp(pattern);
+    return null;
+  } catch (error) {
+    return `Invalid regular expression ${pattern}: ${error.message}`;
+  }
+}
+
+/**
+ * Validate the group argument of an extraction
+ * @param {string|undefined} group - Group number or name
+ * @returns {string|null} Error message or null
+ */
+export function validateGroup(group) {
+  return group === undefined || group === "" || /^(\d+|[A-Za-z_]\w*)$/.test(group)
+    ? null
+    : "Group must be a number or a group name";
+}
+
+/**
+ * Extract the first regex match from a value
+ * Returns the requested group, else the first capture group when the
+ * pattern has one, else the whole match; empty when nothing matches.
+ * @param {string} value - Text to search
+ * @param {string} pattern - Regex literal or plain pattern string
+ * @param {string} group - Optional group number or name
+ * @returns {string} Extracted text
+ */
+export function extractMatch(value, pattern, group = "") {
+  const regex = compileSafeRegExp(pattern, "");
+  // Only the first match is used, so global/sticky flags are irrelevant
+  regex.lastIndex = 0;
+  const match = regex.exec(value.slice(0, MAX_REGEX_INPUT_LENGTH));
+
+  if (!match) {
+    return "";
+  }
+  if (group === "") {
+    return match[match.length > 1 ? 1 : 0] ?? "";
+  }
+  return (/^\d+$/.test(group) ? match[group] : match.groups?.[group]) ?? "";
+}
+
+/**
+ * Replace regex matches in a value
+ * Like extraction, the pattern only runs on the first
+ * MAX_REGEX_INPUT_LENGTH characters; longer text is kept unchanged after
+ * that point.
+ * @param {string} value - Text to change
+ * @param {string} pattern - Regex literal or plain pattern string
+ * @param {string} replacement - Replacement text ($1 refers to groups)
+ * @returns {string} Changed text
+ */
+function replaceMatches(value, pattern, replacement = "") {
+  const regex = compileSafeRegExp(pattern);
+  return (
+    value.slice(0, MAX_REGEX_INPUT_LENGTH).replace(regex, replacement) +
+    value.slice(MAX_REGEX_INPUT_LENGTH)
+  );
+}
+
+/**
+ * Built-in filters. `apply` receives the current string value followed by
+ * the filter arguments; `validate` receives the argument list and returns an
+ * error message or null. Filters marked `escapes` produce final output, so
+ * the template's output language does not escape their result again.
+ */
+export const TEMPLATE_FILTERS = {
+  truncate: {
+    name: "Truncate",
+    description: "Limit to N characters, ending with a suffix (default …)",
+    example: "{{title|truncate:60}}",
+    args: { min: 1, max: 2 },
+    validate: ([length]) => validateInteger(length, "Length"),
+    apply: (value, length, suffix = "…") => {
+      const chars = Array.from(value);
+      const limit = parseInt(length, 10);
+      if (chars.length <= limit) {
+        return value;
+      }
+      const suffixLength = Array.from(suffix).length;
+      return chars.slice(0, Math.max(0, limit - suffixLength)).join("") + suffix;
+    },
+  },
+  upper: {
+    name: "Uppercase",
+    description: "Convert to upper case",
+    example: "{{title|upper}}",
+    args: { min: 0, max: 0 },
+    apply: (value) => value.toUpperCase(),
+  },
+  lower: {
+    name: "Lowercase",
+    description: "Convert to lower case",
+    example: "{{title|lower}}",
+    args: { min: 0, max: 0 },
+    apply: (value) => value.toLowerCase(),
+  },
+  titlecase: {
+    name: "Title Case",
+    description: "Capitalize the first letter of every word",
+    example: "{{title|titlecase}}",
+    args: { min: 0, max: 0 },
+    apply: (value) =>
+      value.replace(/(^|\s)(\p{Ll})/gu, (_, space, letter) =>
+        space + letter.toUpperCase(),
+      ),
+  },
+  trim: {
+    name: "Trim",
+    description: "Remove leading and trailing whitespace",
+    example: "{{description|trim}}",
+    args: { min: 0, max: 0 },
+    apply: (value) => value.trim(),
+  },
+  replace: {
+    name: "Replace",
+    description: "Replace every occurrence of a text",
+    example: '{{title|replace:" - ":" | "}}',
+    args: { min: 1, max: 2 },
+    apply: (value, search, replacement = "") =>
+      search ? value.split(search).join(replacement) : value,
+  },
+  regexReplace: {
+    name: "Regex Replace",
+    description: "Replace matches of a regular expression ($1 refers to groups)",
+    example: "{{title|regexReplace:/\\s+/g:-}}",
+    args: { min: 1, max: 2 },
+    validate: ([pattern]) => validatePattern(pattern),
+    apply: (value, pattern, replacement = "") =>
+      replaceMatches(value, pattern, replacement),
+  },
+  extract: {
+    name: "Extract",
+    description:
+      "Keep the first regex match (first capture group, or the given group)",
+    example: "{{title|extract:/([A-Z]+-\\d+)/}}",
+    args: { min: 1, max: 2 },
+    validate: ([pattern, group]) => validatePattern(pattern) || validateGroup(group),
+    apply: (value, pattern, group = "") => extractMatch(value, pattern, group),
+  },
+  urlencode: {
+    name: "URL Encode",
+    description: "Percent-encode for use in a URL component",
+    example: "{{title|urlencode}}",
+    args: { min: 0, max: 0 },
+    escapes: true,
+    apply: (value) => encodeURIComponent(value),
+  },
+  urldecode: {
+    name: "URL Decode",
+    description: "Decode percent-encoded text",
+    example: "{{originalUrl|urldecode}}",
+    args: { min: 0, max: 0 },
+    apply: (value) => {
+      try {
+        return decodeURIComponent(value);
+      } catch {
+        return value; // Malformed sequences are left untouched
+      }
+    },
+  },
+  slugify: {
+    name: "Slugify",
+    description: "Lower-case, dash-separated text without accents",
+    example: "{{title|slugify}}",
+    args: { min: 0, max: 0 },
+    apply: (value) =>
+      value
+        .normalize("NFKD")
+        .replace(/\p{M}+/gu, "")
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, "-")
+        .replace(/^-+|-+$/g, ""),
+  },
+  default: {
+    name: "Default",
+    description: "Use a fallback when the value is empty",
+    example: '{{author|default:"Unknown"}}',
+    args: { min: 1, max: 1 },
+    apply: (value, fallback) => (value.trim() === "" ? fallback : value),
+  },
+  jsonEscape: {
+    name: "JSON Escape",
+    description: "Escape for use inside a JSON string",
+    example: '"{{title|jsonEscape}}"',
+    args: { min: 0, max: 0 },
+    escapes: true,
+    apply: (value) => JSON.stringify(value).slice(1, -1),
+  },
+  htmlEscape: {
+    name: "HTML Escape",
+    description: "Escape HTML special characters",
+    example: "<b>{{title|htmlEscape}}</b>",
+    args: { min: 0, max: 0 },
+    escapes: true,
+    apply: escapeHtml,
+  },
+  raw: {
+    name: "Raw",
+    description: "Insert the value without the template's output escaping",
+    example: "{{description|raw}}",
+    args: { min: 0, max: 0 },
+    escapes: true,
+    apply: (value) => value,
+  },
+};
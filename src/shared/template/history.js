@@ -0,0 +1,138 @@
+// Template revision history
+//
+// When a template is overwritten, the version it replaces is kept in
+// storage.local on this device, so a bad edit can be undone. History is not
+// synced; it would quickly use up the sync quota.
+
+import { getTemplateSnapshot } from "./manager.js";
+
+// Item: {[templateId]: Array<revision>}, newest first
+const HISTORY_KEY = "templateHistory";
+
+// Revisions kept per template
+export const MAX_TEMPLATE_REVISIONS = 20;
+
+// Template properties a revision restores
+const REVISION_FIELDS = [
+  "name",
+  "icon",
+  "template",
+  "batch",
+  "outputLanguage",
+  "richText",
+];
+
+/**
+ * Pick the restorable properties of a template
+ * @param {object} template - Template or revision
+ * @returns {object} Properties listed in REVISION_FIELDS
+ */
+function pickRevisionFields(template) {
+  return Object.fromEntries(
+    REVISION_FIELDS.map((field) => [field, template[field] ?? null]),
+  );
+}
+
+/**
+ * Describe a revision as text for diffing
+ * @param {object} revision - Revision or template
+ * @returns {string} Name line followed by getTemplateSnapshot
+ */
+export function getRevisionText(revision) {
+  return `# name: ${revision.icon || ""} ${revision.name || ""}\n${getTemplateSnapshot(revision)}`;
+}
+
+/**
+ * Read the history of all templates
+ * @returns {Promise<object>} Map of template ID to revisions
+ */
+async function readHistory() {
+  const result = await chrome.storage.local.get([HISTORY_KEY]);
+  return result[HISTORY_KEY] || {};
+}
+
+/**
+ * Get the earlier versions of a template
+ * @param {string} templateId - Template ID
+ * @returns {Promise<Array<object>>} Revisions, newest first; each has the
+ *   template properties and `savedAt`, when that version was saved
+ */
+export async function getTemplateHistory(templateId) {
+  try {
+    return (await readHistory())[templateId] || [];
+  } catch (error) {
+    console.debug("Failed to load template history:", error);
+    return [];
+  }
+}
+
+/**
+ * Keep the versions replaced by a save
+ * Call after the new templates were saved. Templates whose output, name or
+ * icon did not change get no revision. Never throws.
+ * @param {Array} previous - Templates before the save
+ * @param {Array} current - Templates after the save
+ * @returns {Promise<void>}
+ */
+export async function recordTemplateRevisions(previous, current) {
+  try {
+    const currentById = new Map(current.map((template) => [template.id, template]));
+    const history = await readHistory();
+    let changed = false;
+
+    for (const template of previous) {
+      const next = currentById.get(template.id);
+      if (!next || getRevisionText(next) === getRevisionText(template)) {
+        continue;
+      }
+
+      const revision = {
+        ...pickRevisionFields(template),
+        savedAt: template.updatedAt || template.createdAt || new Date().toISOString(),
+      };
+      history[template.id] = [revision, ...(history[template.id] || [])].slice(
+        0,
+        MAX_TEMPLATE_REVISIONS,
+      );
+      changed = true;
+    }
+
+    if (changed) {
+      await chrome.storage.local.set({ [HISTORY_KEY]: history });
+    }
+  } catch (error) {
+    console.debug("Failed to record template history:", error);
+  }
+}
+
+/**
+ * Drop the history of a deleted template
+ * @param {string} templateId - Template ID
+ * @returns {Promise<void>}
+ */
+export async function forgetTemplateHistory(templateId) {
+  try {
+    const history = await readHistory();
+    if (history[templateId]) {
+      delete history[templateId];
+      await chrome.storage.local.set({ [HISTORY_KEY]: history });
+    }
+  } catch (error) {
+    console.debug("Failed to remove template history:", error);
+  }
+}
+
+/**
+ * Restore a revision into a template
+ * @param {object} template - Current template
+ * @param {object} revision - Revision from getTemplateHistory
+ * @returns {object} Template with the revision's content, keeping its ID,
+ *   usage statistics and preset link
+ */
+export function applyTemplateRevision(template, revision) {
+  return {
+    ...template,
+    ...pickRevisionFields(revision),
+    updatedAt: new Date().toISOString(),
+  };
+}
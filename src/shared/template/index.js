@@ -1,10 +1,39 @@
 // Template module exports
 
 export { TEMPLATE_FIELDS } from "./fields.js";
-export { TemplateEngine, templateEngine } from "./engine.js";
+export { TEMPLATE_FILTERS } from "./filters.js";
+export {
+  OUTPUT_LANGUAGES,
+  DEFAULT_OUTPUT_LANGUAGE,
+} from "./escapers.js";
+export {
+  TemplateEngine,
+  templateEngine,
+  VARIABLE_NAME_PATTERN,
+} from "./engine.js";
 export {
   getCustomTemplates,
+  readCustomTemplates,
   saveCustomTemplates,
+  getTemplateStorageArea,
+  setTemplateStorageArea,
+  getTemplateStorageUsage,
+  splitIntoShards,
+  TemplateStorageError,
+  TEMPLATE_STORAGE_AREAS,
+} from "./storage.js";
+export {
+  getTemplateUsage,
+  recordTemplateUsage,
+  forgetTemplateUsage,
+  applyTemplateUsage,
+  sortTemplates,
+  TEMPLATE_SORT_ORDERS,
+} from "./usage.js";
+export {
+  getTemplateVariables,
+  saveTemplateVariables,
+  toVariableMap,
   getAllTemplates,
   generateTemplateId,
   createTemplate,
@@ -12,5 +41,38 @@ export {
   loadTemplatesIntoSelect,
   validateAndFixSelector,
   findTemplateById,
+  findTemplateByReference,
   processTemplateWithFallback,
+  processBatchTemplate,
+  normalizeBatchParts,
+  DEFAULT_BATCH_SEPARATOR,
+  getTemplateSnapshot,
+  createPresetTemplate,
+  updateFromPreset,
+  getPresetStatus,
 } from "./manager.js";
+export {
+  getTemplateHistory,
+  recordTemplateRevisions,
+  forgetTemplateHistory,
+  applyTemplateRevision,
+  getRevisionText,
+  MAX_TEMPLATE_REVISIONS,
+} from "./history.js";
+export { PRESET_TEMPLATES, findPreset } from "./presets.js";
+export { diffLines, hasChanges } from "./diff.js";
+export {
+  editDistance,
+  suggestFieldName,
+  getCompletionContext,
+  getFieldCompletions,
+  highlightTemplate,
+} from "./suggestions.js";
+export {
+  TEMPLATE_EXPORT_FORMAT,
+  TEMPLATE_EXPORT_VERSION,
+  IMPORT_CONFLICT_STRATEGIES,
+  createTemplateExport,
+  parseTemplateImport,
+  mergeImportedTemplates,
+} from "./transfer.js";
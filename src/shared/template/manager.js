@@ -1,45 +1,64 @@
 // Template management utilities
 
 import { templateEngine } from "./engine.js";
+import { OUTPUT_LANGUAGES, DEFAULT_OUTPUT_LANGUAGE } from "./escapers.js";
+import { findPreset } from "./presets.js";
+import { getCustomTemplates } from "./storage.js";
+import { getTemplateUsage, applyTemplateUsage, sortTemplates } from "./usage.js";
 import { processUrl } from "../url/url-processor.js";
 
 /**
- * Get custom templates
- * @returns {Promise<Array>} Custom templates
+ * Get user-defined template variables
+ * @returns {Promise<Array<{name: string, value: string}>>} Variables in display order
  */
-export async function getCustomTemplates() {
+export async function getTemplateVariables() {
   try {
-    const result = await chrome.storage.sync.get(["customTemplates"]);
-    return result.customTemplates || [];
+    const result = await chrome.storage.sync.get(["templateVariables"]);
+    return result.templateVariables || [];
   } catch (error) {
-    console.debug("Failed to load custom templates:", error);
+    console.debug("Failed to load template variables:", error);
     return [];
   }
 }
 
 /**
- * Save custom templates
- * @param {Array} templates - Templates array
+ * Save user-defined template variables
+ * @param {Array<{name: string, value: string}>} variables - Variables array
  * @returns {Promise<boolean>} Whether save succeeded
  */
-export async function saveCustomTemplates(templates) {
+export async function saveTemplateVariables(variables) {
   try {
-    await chrome.storage.sync.set({ customTemplates: templates });
+    await chrome.storage.sync.set({ templateVariables: variables });
     return true;
   } catch (error) {
-    console.debug("Failed to save custom templates:", error);
+    console.debug("Failed to save template variables:", error);
     return false;
   }
 }
 
+/**
+ * Convert a variables array to a name -> value map
+ * @param {Array<{name: string, value: string}>} variables - Variables array
+ * @returns {object} Map used as `context.variables`
+ */
+export function toVariableMap(variables) {
+  return Object.fromEntries(
+    variables.map(({ name, value }) => [name, value ?? ""]),
+  );
+}
+
 /**
  * Get all templates
- * @returns {Promise<Array>} All templates
+ * @returns {Promise<Array>} All templates in stored (manual) order, with
+ *   usage statistics of this device
  */
 export async function getAllTemplates() {
-  const customTemplates = await getCustomTemplates();
+  const [customTemplates, usage] = await Promise.all([
+    getCustomTemplates(),
+    getTemplateUsage(),
+  ]);
   // Only return user-defined templates
-  return customTemplates;
+  return applyTemplateUsage(customTemplates, usage);
 }
 
 /**
@@ -50,19 +69,52 @@ export function generateTemplateId() {
   return "custom_" + Date.now() + "_" + Math.random().toString(36).substr(2, 9);
 }
 
+// Separator between items when a template has no batch separator
+export const DEFAULT_BATCH_SEPARATOR = "\n";
+
+/**
+ * Normalize batch output parts of a template
+ * @param {object|null} batch - Raw parts ({header, separator, footer})
+ * @returns {object|null} Parts with string values, or null when all parts
+ *   are default (no header/footer, default separator)
+ */
+export function normalizeBatchParts(batch) {
+  const header = batch?.header || "";
+  const separator = batch?.separator ?? DEFAULT_BATCH_SEPARATOR;
+  const footer = batch?.footer || "";
+
+  if (!header && !footer && separator === DEFAULT_BATCH_SEPARATOR) {
+    return null;
+  }
+
+  return { header, separator, footer };
+}
+
 /**
  * Create template object
  * @param {string} name - Template name
  * @param {string} template - Template string
  * @param {string} icon - Template icon
+ * @param {object} options - Optional template settings
+ * @param {object|null} options.batch - Batch output parts
+ *   ({header, separator, footer}) used when copying multiple tabs
+ * @param {string} options.outputLanguage - Escaping for field values
+ *   (key of OUTPUT_LANGUAGES, plain by default)
+ * @param {boolean} options.richText - Copy the output as HTML (text/html)
+ *   with a plain text fallback
  * @returns {object} Template object
  */
-export function createTemplate(name, template, icon = "📝") {
+export function createTemplate(name, template, icon = "📝", options = {}) {
   return {
     id: generateTemplateId(),
     name: name.trim(),
     template: template.trim(),
     icon: icon,
+    batch: normalizeBatchParts(options.batch),
+    outputLanguage: OUTPUT_LANGUAGES[options.outputLanguage]
+      ? options.outputLanguage
+      : DEFAULT_OUTPUT_LANGUAGE,
+    richText: Boolean(options.richText),
     isPreset: false,
     createdAt: new Date().toISOString(),
     lastUsed: null,
@@ -71,6 +123,116 @@ export function createTemplate(name, template, icon = "📝") {
   };
 }
 
+/**
+ * Describe the parts of a template that define its output as text
+ * Used to compare a template with a preset; name and icon are left out so
+ * renaming an installed preset does not count as editing it.
+ * @param {object} template - Template or preset
+ * @returns {string} Template content followed by "# key: value" settings
+ */
+export function getTemplateSnapshot(template) {
+  const lines = [template.template];
+  const batch = normalizeBatchParts(template.batch);
+
+  if (batch) {
+    lines.push(
+      `# batch header: ${JSON.stringify(batch.header)}`,
+      `# batch separator: ${JSON.stringify(batch.separator)}`,
+      `# batch footer: ${JSON.stringify(batch.footer)}`,
+    );
+  }
+  lines.push(`# output: ${template.outputLanguage || DEFAULT_OUTPUT_LANGUAGE}`);
+  if (template.richText) {
+    lines.push("# rich text: on");
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Hash a string (32-bit FNV-1a)
+ * @param {string} text - Text to hash
+ * @returns {string} Hash in hex
+ */
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+/**
+ * Take over a preset's content into a template
+ * @param {object} template - Template to fill
+ * @param {object} preset - Preset definition
+ * @returns {object} Template with the preset content, version and hash
+ */
+function applyPreset(template, preset) {
+  return {
+    ...template,
+    template: preset.template,
+    batch: normalizeBatchParts(preset.batch),
+    outputLanguage: preset.outputLanguage || DEFAULT_OUTPUT_LANGUAGE,
+    richText: Boolean(preset.richText),
+    isPreset: true,
+    presetId: preset.presetId,
+    presetVersion: preset.version,
+    // Content hash at install time, to tell edited copies apart
+    presetHash: hashText(getTemplateSnapshot(preset)),
+  };
+}
+
+/**
+ * Create a template from a gallery preset
+ * @param {object} preset - Preset definition (see presets.js)
+ * @returns {object} Template object marked isPreset
+ */
+export function createPresetTemplate(preset) {
+  return applyPreset(
+    {
+      ...createTemplate(preset.name, preset.template, preset.icon),
+      description: preset.description,
+    },
+    preset,
+  );
+}
+
+/**
+ * Update an installed preset to the shipped version of its preset
+ * Name, icon, ID and usage statistics are kept.
+ * @param {object} template - Installed preset template
+ * @returns {object} Updated template (unchanged if the preset is unknown)
+ */
+export function updateFromPreset(template) {
+  const preset = findPreset(template.presetId);
+  return preset ? applyPreset(template, preset) : template;
+}
+
+/**
+ * Get the installation state of a preset
+ * @param {object} preset - Preset definition
+ * @param {Array} templates - User templates
+ * @returns {{template: object|null, modified: boolean, updateAvailable: boolean}}
+ *   `modified` when the installed copy was edited, `updateAvailable` when a
+ *   newer preset version shipped
+ */
+export function getPresetStatus(preset, templates) {
+  const template =
+    templates.find((t) => t.isPreset && t.presetId === preset.presetId) || null;
+
+  if (!template) {
+    return { template: null, modified: false, updateAvailable: false };
+  }
+
+  return {
+    template,
+    modified: hashText(getTemplateSnapshot(template)) !== template.presetHash,
+    updateAvailable: (template.presetVersion || 0) < preset.version,
+  };
+}
+
 /**
  * Template change notifier
  */
@@ -80,7 +242,7 @@ export class TemplateChangeNotifier {
       // Send message to all extension pages
       await chrome.runtime.sendMessage({
         type: "TEMPLATE_CHANGED",
-        changeType, // 'created', 'updated', 'deleted'
+        changeType, // 'created', 'updated', 'deleted', 'reordered'
         templateId,
         timestamp: Date.now(),
       });
@@ -98,6 +260,10 @@ export class TemplateChangeNotifier {
  * Generic template loading function - solves code duplication
  * @param {HTMLSelectElement} selectElement - Select element
  * @param {object} options - Options
+ * @param {boolean} options.includeIcons - Prefix names with template icons
+ * @param {boolean} options.clearExisting - Remove previously added templates
+ * @param {string} options.sortOrder - One of TEMPLATE_SORT_ORDERS
+ * @param {Function|null} options.onError - Called when loading fails
  * @returns {Promise<void>}
  */
 export async function loadTemplatesIntoSelect(selectElement, options = {}) {
@@ -106,10 +272,15 @@ export async function loadTemplatesIntoSelect(selectElement, options = {}) {
     return;
   }
 
-  const { includeIcons = true, clearExisting = true, onError = null } = options;
+  const {
+    includeIcons = true,
+    clearExisting = true,
+    sortOrder = "manual",
+    onError = null,
+  } = options;
 
   try {
-    const customTemplates = await getAllTemplates();
+    const customTemplates = sortTemplates(await getAllTemplates(), sortOrder);
 
     if (clearExisting) {
       // Clear previously added custom template options
@@ -262,6 +433,38 @@ export async function findTemplateById(templateId) {
   }
 }
 
+/**
+ * Find a template by ID or name, as used by {{> template:Name}} partials
+ * IDs win over names; names match exactly first, then case-insensitively.
+ * @param {Array} templates - Templates to search
+ * @param {string} reference - Template ID or name
+ * @returns {object|null} Template object or null
+ */
+export function findTemplateByReference(templates, reference) {
+  const wanted = (reference || "").trim();
+  if (!wanted) {
+    return null;
+  }
+
+  return (
+    templates.find((t) => t.id === wanted) ||
+    templates.find((t) => t.name === wanted) ||
+    templates.find((t) => t.name?.toLowerCase() === wanted.toLowerCase()) ||
+    null
+  );
+}
+
+// Partials always resolve against the stored templates, so editing a
+// partial updates every template that includes it
+templateEngine.setPartialResolver(async (reference) =>
+  findTemplateByReference(await getAllTemplates(), reference),
+);
+
+// Variables are read at render time, so changing a value updates all outputs
+templateEngine.setVariableResolver(async () =>
+  toVariableMap(await getTemplateVariables()),
+);
+
 /**
  * Standardized template processing with error handling
  * @param {string} templateId - Template ID
@@ -293,7 +496,12 @@ export async function processTemplateWithFallback(
     }
 
     // If template contains shortUrl field, ensure context has shortUrl
-    if (template.template.includes("{{shortUrl}}") && !context.shortUrl) {
+    if (
+      (await templateEngine.collectTemplateFields(template.template)).includes(
+        "shortUrl",
+      ) &&
+      !context.shortUrl
+    ) {
       console.debug(
         "Template requires shortUrl but context does not provide it",
       );
@@ -306,6 +514,7 @@ export async function processTemplateWithFallback(
     const result = await templateEngine.processTemplate(
       template.template,
       context,
+      { outputLanguage: template.outputLanguage },
     );
 
     return {
@@ -329,3 +538,45 @@ export async function processTemplateWithFallback(
     };
   }
 }
+
+/**
+ * Process a template for several tabs as one document
+ * The template renders once per item; the optional header, separator and
+ * footer parts render once with batch-wide fields ({{count}}, {{windowId}}
+ * when all items share a window, time fields).
+ * @param {object} template - Template object
+ * @param {Array<object>} contexts - One context per item, in output order
+ * @returns {Promise<string>} Processed document
+ */
+export async function processBatchTemplate(template, contexts) {
+  const count = contexts.length;
+  const windowIds = new Set(contexts.map((context) => context.windowId));
+  const batchContext = {
+    count,
+    windowId: windowIds.size === 1 ? contexts[0]?.windowId : undefined,
+    urlCleaning: contexts[0]?.urlCleaning,
+  };
+  const { header, separator, footer } = template.batch || {};
+  const options = { outputLanguage: template.outputLanguage };
+
+  const renderPart = (part) =>
+    part ? templateEngine.processTemplate(part, batchContext, options) : "";
+
+  const items = await Promise.all(
+    contexts.map((context, index) =>
+      templateEngine.processTemplate(
+        template.template,
+        { ...context, index: index + 1, count },
+        options,
+      ),
+    ),
+  );
+
+  const [headerText, separatorText, footerText] = await Promise.all([
+    renderPart(header),
+    renderPart(separator ?? DEFAULT_BATCH_SEPARATOR),
+    renderPart(footer),
+  ]);
+
+  return headerText + items.join(separatorText) + footerText;
+}
@@ -0,0 +1,315 @@
+// Template syntax parsing utilities
+
+// Characters that open a quoted string or regex literal
+const LITERAL_DELIMITERS = ['"', "'", "/"];
+
+// Literals only open right after one of these separators, so "DD/MM/YYYY"
+// or an apostrophe inside plain text is never mistaken for one
+const SEGMENT_SEPARATORS = [":", "|"];
+
+/**
+ * Create a character scanner that tracks quoted strings and regex literals
+ * @returns {Function} Called with each character in order, returns true when
+ *   the character sits outside any literal
+ */
+function createScanner() {
+  let literal = null;
+  let escaped = false;
+  let previous = null;
+
+  return (char) => {
+    if (literal) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === "\\") {
+        escaped = true;
+      } else if (char === literal) {
+        literal = null;
+        previous = char;
+      }
+      return false;
+    }
+
+    if (
+      LITERAL_DELIMITERS.includes(char) &&
+      SEGMENT_SEPARATORS.includes(previous)
+    ) {
+      literal = char;
+      return false;
+    }
+
+    if (!/\s/.test(char)) {
+      previous = char;
+    }
+    return true;
+  };
+}
+
+/**
+ * Split a string on a separator, ignoring separators inside literals
+ * @param {string} input - String to split
+ * @param {string} separator - Single separator character
+ * @returns {string[]} Parts (untrimmed)
+ */
+export function splitTopLevel(input, separator) {
+  const isTopLevel = createScanner();
+  const parts = [];
+  let current = "";
+
+  for (const char of input) {
+    if (isTopLevel(char) && char === separator) {
+      parts.push(current);
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+
+  parts.push(current);
+  return parts;
+}
+
+/**
+ * Find the closing "}}" of a tag, skipping braces inside literals
+ * @param {string} template - Template string
+ * @param {number} from - Index right after the opening "{{"
+ * @returns {number} Index of the closing braces, or -1
+ */
+function findTagEnd(template, from) {
+  const isTopLevel = createScanner();
+
+  for (let i = from; i < template.length - 1; i++) {
+    if (isTopLevel(template[i]) && template[i] === "}" && template[i + 1] === "}") {
+      return i;
+    }
+  }
+
+  // Unterminated literal: fall back to the first closing braces
+  return template.indexOf("}}", from);
+}
+
+/**
+ * Split template into text and tag tokens
+ * @param {string} template - Template string
+ * @returns {Array<{type: string, value?: string, raw?: string, expression?: string}>}
+ *   Text tokens carry `value`, tag tokens carry `raw` ("{{...}}") and `expression`
+ */
+export function tokenize(template) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < template.length) {
+    const start = template.indexOf("{{", index);
+    if (start === -1) {
+      break;
+    }
+
+    const end = findTagEnd(template, start + 2);
+    if (end === -1) {
+      break;
+    }
+
+    if (start > index) {
+      tokens.push({ type: "text", value: template.slice(index, start) });
+    }
+
+    tokens.push({
+      type: "tag",
+      raw: template.slice(start, end + 2),
+      expression: template.slice(start + 2, end),
+    });
+    index = end + 2;
+  }
+
+  if (index < template.length) {
+    tokens.push({ type: "text", value: template.slice(index) });
+  }
+
+  return tokens;
+}
+
+/**
+ * Remove surrounding quotes from an argument
+ * @param {string} arg - Raw argument
+ * @returns {string} Unquoted argument (bare arguments are trimmed)
+ */
+export function unquote(arg) {
+  const trimmed = arg.trim();
+  const quote = trimmed[0];
+
+  if (
+    (quote === '"' || quote === "'") &&
+    trimmed.length >= 2 &&
+    trimmed.endsWith(quote)
+  ) {
+    return trimmed.slice(1, -1).split(`\\${quote}`).join(quote);
+  }
+
+  return trimmed;
+}
+
+/**
+ * Parse a tag expression such as `title|truncate:60|upper` or `date:DD/MM/YYYY`
+ * Everything after the first ":" of the field part is the field argument.
+ * @param {string} expression - Expression between the braces
+ * @returns {{name: string, arg: string|null, filters: Array<{name: string, args: string[]}>}}
+ */
+export function parseExpression(expression) {
+  const [fieldPart, ...filterParts] = splitTopLevel(expression, "|");
+  const field = fieldPart.trim();
+  const colon = field.indexOf(":");
+
+  return {
+    name: colon === -1 ? field : field.slice(0, colon).trim(),
+    arg: colon === -1 ? null : unquote(field.slice(colon + 1)),
+    filters: filterParts.map((part) => {
+      const [name, ...args] = splitTopLevel(part, ":");
+      return { name: name.trim(), args: args.map(unquote) };
+    }),
+  };
+}
+
+/**
+ * Convert a pattern argument to a RegExp
+ * Accepts regex literals (`/\s+/gi`) or plain pattern strings
+ * @param {string} pattern - Pattern argument
+ * @param {string} defaultFlags - Flags used for plain pattern strings
+ * @returns {RegExp} Compiled expression (throws on invalid syntax)
+ */
+export function toRegExp(pattern, defaultFlags = "g") {
+  const literal = /^\/(.*)\/([a-z]*)$/s.exec(pattern);
+  if (literal) {
+    return new RegExp(literal[1], literal[2]);
+  }
+  return new RegExp(pattern, defaultFlags);
+}
+
+// Block helpers supported by {{#name condition}}...{{/name}}
+export const BLOCK_HELPERS = ["if", "unless"];
+
+/**
+ * Error thrown for malformed template structure (e.g. unbalanced blocks)
+ */
+export class TemplateSyntaxError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TemplateSyntaxError";
+  }
+}
+
+/**
+ * Classify a tag expression
+ * @param {string} expression - Expression between the braces
+ * @returns {{kind: string, helper?: string, condition?: string, reference?: string|null}}
+ *   kind is one of 'open', 'close', 'else', 'partial' or 'field'; partials
+ *   ({{> template:Name}}) carry the template name or ID as `reference`
+ */
+export function classifyTag(expression) {
+  const trimmed = expression.trim();
+
+  if (trimmed.startsWith(">")) {
+    const match = /^>\s*template:([\s\S]+)$/.exec(trimmed);
+    const reference = match ? unquote(match[1]) : "";
+    return { kind: "partial", reference: reference || null };
+  }
+
+  if (trimmed.startsWith("#")) {
+    const [, helper = "", condition = ""] =
+      /^#(\S*)\s*([\s\S]*)$/.exec(trimmed);
+    return { kind: "open", helper, condition: condition.trim() };
+  }
+
+  if (trimmed.startsWith("/")) {
+    return { kind: "close", helper: trimmed.slice(1).trim() };
+  }
+
+  if (trimmed === "else") {
+    return { kind: "else" };
+  }
+
+  return { kind: "field" };
+}
+
+/**
+ * Parse template into a node tree with nested blocks
+ * @param {string} template - Template string
+ * @returns {Array<object>} Nodes: text tokens, tag tokens,
+ *   `{type: 'block', helper, condition, raw, children, inverse}` and
+ *   `{type: 'partial', reference, raw}`
+ * @throws {TemplateSyntaxError} When blocks are unknown or unbalanced,
+ *   or a partial has no template reference
+ */
+export function parseTemplate(template) {
+  const root = { children: [] };
+  const stack = [root];
+  let current = root.children;
+
+  for (const token of tokenize(template)) {
+    if (token.type === "text") {
+      current.push(token);
+      continue;
+    }
+
+    const tag = classifyTag(token.expression);
+    const block = stack[stack.length - 1];
+
+    if (tag.kind === "open") {
+      if (!BLOCK_HELPERS.includes(tag.helper)) {
+        throw new TemplateSyntaxError(`Unknown block helper: ${token.raw}`);
+      }
+      if (!tag.condition) {
+        throw new TemplateSyntaxError(`Missing condition in ${token.raw}`);
+      }
+
+      const node = {
+        type: "block",
+        helper: tag.helper,
+        condition: tag.condition,
+        raw: token.raw,
+        children: [],
+        inverse: null,
+      };
+      current.push(node);
+      stack.push(node);
+      current = node.children;
+    } else if (tag.kind === "else") {
+      if (block === root) {
+        throw new TemplateSyntaxError("Unexpected {{else}} outside a block");
+      }
+      if (block.inverse) {
+        throw new TemplateSyntaxError(`Duplicate {{else}} in ${block.raw}`);
+      }
+      block.inverse = [];
+      current = block.inverse;
+    } else if (tag.kind === "close") {
+      if (block === root) {
+        throw new TemplateSyntaxError(`Unexpected closing tag: ${token.raw}`);
+      }
+      if (tag.helper !== block.helper) {
+        throw new TemplateSyntaxError(
+          `Mismatched closing tag: expected {{/${block.helper}}}, found ${token.raw}`,
+        );
+      }
+      stack.pop();
+      const parent = stack[stack.length - 1];
+      current = parent === root ? root.children : parent.inverse || parent.children;
+    } else if (tag.kind === "partial") {
+      if (!tag.reference) {
+        throw new TemplateSyntaxError(
+          `Invalid partial: ${token.raw} (use {{> template:Name}})`,
+        );
+      }
+      current.push({ type: "partial", reference: tag.reference, raw: token.raw });
+    } else {
+      current.push(token);
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new TemplateSyntaxError(
+      `Unclosed block: ${stack[stack.length - 1].raw}`,
+    );
+  }
+
+  return root.children;
+}
@@ -0,0 +1,84 @@
+// Preset templates offered in the options gallery
+//
+// Bump `version` whenever a preset changes; installed copies record the
+// version they came from and the gallery offers the update.
+
+export const PRESET_TEMPLATES = [
+  {
+    presetId: "slack-link",
+    version: 1,
+    name: "Slack link",
+    icon: "💬",
+    description: "Slack mrkdwn link: <url|title>",
+    descriptionKey: "presetSlackLinkDesc",
+    template: "<{{url}}|{{title}}>",
+  },
+  {
+    presetId: "jira-link",
+    version: 1,
+    name: "Jira link",
+    icon: "🎫",
+    description: "Jira wiki markup link: [title|url]",
+    descriptionKey: "presetJiraLinkDesc",
+    template: "[{{title}}|{{url}}]",
+  },
+  {
+    presetId: "org-link",
+    version: 1,
+    name: "Org-mode link",
+    icon: "🦄",
+    description: "Org-mode link: [[url][title]]",
+    descriptionKey: "presetOrgLinkDesc",
+    template: "[[{{url}}][{{title}}]]",
+  },
+  {
+    presetId: "html-link",
+    version: 1,
+    name: "HTML link",
+    icon: "🔗",
+    description: "Clickable link when pasted into documents and email",
+    descriptionKey: "presetHtmlLinkDesc",
+    template: '<a href="{{url}}">{{title}}</a>',
+    outputLanguage: "html",
+    richText: true,
+    batch: { header: "", separator: "<br>\n", footer: "" },
+  },
+  {
+    presetId: "web-citation",
+    version: 1,
+    name: "Web citation",
+    icon: "📚",
+    description: "Author, title, site and access date",
+    descriptionKey: "presetWebCitationDesc",
+    template:
+      '{{#if author}}{{author}}. {{/if}}"{{title}}." {{domain}}, {{url}}. Accessed {{date}}.',
+  },
+  {
+    presetId: "changelog-line",
+    version: 1,
+    name: "Changelog entry",
+    icon: "📝",
+    description: "Markdown list item for a CHANGELOG",
+    descriptionKey: "presetChangelogLineDesc",
+    template: "- {{title}} ([{{hostname}}]({{url}}))",
+    outputLanguage: "markdown",
+  },
+  {
+    presetId: "commit-trailer",
+    version: 1,
+    name: "Commit trailer",
+    icon: "🔖",
+    description: "Git commit message trailer: Link: url",
+    descriptionKey: "presetCommitTrailerDesc",
+    template: "Link: {{url}}",
+  },
+];
+
+/**
+ * Find a preset by ID
+ * @param {string} presetId - Preset ID
+ * @returns {object|null} Preset definition
+ */
+export function findPreset(presetId) {
+  return PRESET_TEMPLATES.find((preset) => preset.presetId === presetId) || null;
+}
@@ -0,0 +1,231 @@
+// Guards for user-supplied regular expressions in templates
+
+import { toRegExp } from "./parser.js";
+
+// Longest input a user regex is run against; page titles and URLs are far
+// shorter, so this only bounds pathological cases
+export const MAX_REGEX_INPUT_LENGTH = 10000;
+
+// Repeats of alternation bounded at this count or less stay allowed; a
+// repeat around a quantified atom is unsafe whatever its bound
+const MAX_BOUNDED_REPEAT = 10;
+
+// Escapes that match a class of characters rather than one literal
+const CLASS_ESCAPES = "dDwWsSbBpP";
+
+// Characters used to test whether two atoms can match the same character
+const SAMPLE_CHARS = [
+  ...Array.from({ length: 128 }, (_, code) => String.fromCharCode(code)),
+  "\u00a0",
+  "é",
+  "ß",
+  "中",
+  "\u2028",
+];
+
+/**
+ * Read a quantifier starting at an index
+ * @param {string} source - Pattern source
+ * @param {number} index - Index right after an atom
+ * @returns {{length: number, min: number, max: number}} Quantifier length
+ *   (0 when the atom is not quantified) and its repeat bounds
+ */
+function readQuantifier(source, index) {
+  const char = source[index];
+  const lazy = (length) => (source[index + length] === "?" ? length + 1 : length);
+
+  if (char === "*") {
+    return { length: lazy(1), min: 0, max: Infinity };
+  }
+  if (char === "+") {
+    return { length: lazy(1), min: 1, max: Infinity };
+  }
+  if (char === "?") {
+    return { length: lazy(1), min: 0, max: 1 };
+  }
+
+  const match = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(index));
+  if (!match) {
+    return { length: 0, min: 1, max: 1 };
+  }
+  const min = parseInt(match[1], 10);
+  let max = min;
+  if (match[2]) {
+    max = match[3] === "" ? Infinity : parseInt(match[3], 10);
+  }
+  return { length: lazy(match[0].length), min, max };
+}
+
+/**
+ * Compile a single-character atom on its own
+ * @param {string} atom - Atom source, such as "a", "\d" or "[^/]"
+ * @returns {RegExp|null} Anchored expression, or null if the atom cannot be
+ *   compiled alone (such as "\u" cut from "\u0041")
+ */
+function compileAtom(atom) {
+  try {
+    return new RegExp(`^(?:${atom})$`);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check whether two single-character atoms can match the same character
+ * @param {string} first - Atom source
+ * @param {string} second - Atom source
+ * @returns {boolean} True as well when an atom cannot be compiled alone
+ */
+function atomsOverlap(first, second) {
+  const a = compileAtom(first);
+  const b = compileAtom(second);
+  return !a || !b || SAMPLE_CHARS.some((char) => a.test(char) && b.test(char));
+}
+
+/**
+ * Check whether a single-character atom can match a literal character
+ * `(.*,)*` backtracks like `(.*)*` because "." also consumes the ","; in
+ * `([a-z]+\.)+` the class cannot match the "." and each round is anchored.
+ * @param {string} atom - Atom source
+ * @param {string} char - Literal character
+ * @returns {boolean} True as well when the atom cannot be compiled alone
+ */
+function atomMatchesChar(atom, char) {
+  const regex = compileAtom(atom);
+  return !regex || regex.test(char);
+}
+
+/**
+ * Detect patterns prone to catastrophic backtracking
+ * Flags
+ * - a repeated group containing a quantified atom, whatever the repeat's
+ *   bound, unless each round has a required literal the quantified atoms
+ *   cannot match: `(a+)+`, `(a+){2}b`, `(a?){25}`, `(.*,)*` and `(a+a)+` are
+ *   flagged, `([a-z]+\.)+` and `([^/]+/)+x` are not;
+ * - a repeated group containing alternation, such as `(a|a)*`;
+ * - adjacent quantified atoms that can match the same characters, such as
+ *   `\d*\d*x` or `.*\s+x`.
+ * @param {string} source - Pattern source (without slashes and flags)
+ * @returns {boolean} Whether the pattern may backtrack catastrophically
+ */
+export function hasNestedQuantifiers(source) {
+  // Each open group records whether it contains a quantified atom, a
+  // required literal character, alternation, its quantified
+  // single-character atoms, its required literal characters, and the run
+  // of quantified atoms not separated by a required atom
+  const newGroup = () => ({
+    quantified: false,
+    literal: false,
+    alternation: false,
+    atoms: [],
+    chars: [],
+    run: [],
+  });
+  const groups = [newGroup()];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+    const current = groups[groups.length - 1];
+    let atomEnd = i + 1;
+    let literal = false;
+    let literalChar = null;
+    let zeroWidth = false;
+
+    if (char === "\\") {
+      atomEnd = i + 2;
+      const escaped = source[i + 1] || "d";
+      literal = !CLASS_ESCAPES.includes(escaped);
+      zeroWidth = escaped === "b" || escaped === "B";
+      // Escaped punctuation stands for itself; \n, \u0041 and the like are
+      // left out of the overlap check
+      literalChar = literal && !/[a-z0-9]/i.test(escaped) ? escaped : null;
+    } else if (char === "[") {
+      // Skip the character class, honoring escapes
+      atomEnd = i + 1;
+      while (atomEnd < source.length && source[atomEnd] !== "]") {
+        atomEnd += source[atomEnd] === "\\" ? 2 : 1;
+      }
+      atomEnd++;
+    } else if (char === "(") {
+      // Skip group prefixes such as (?:, (?=, (?<name>
+      const prefix = /^\((?:\?(?:<[A-Za-z_]\w*>|<[=!]|[:=!]))?/.exec(source.slice(i));
+      groups.push(newGroup());
+      i += prefix[0].length;
+      continue;
+    } else if (char === ")" && groups.length > 1) {
+      const group = groups.pop();
+      const parent = groups[groups.length - 1];
+      const quantifier = readQuantifier(source, i + 1);
+      const repeated = quantifier.max > 1;
+
+      if (
+        repeated &&
+        ((group.alternation && (group.quantified || quantifier.max > MAX_BOUNDED_REPEAT)) ||
+          (group.quantified && !group.literal) ||
+          group.atoms.some((atom) => group.chars.some((c) => atomMatchesChar(atom, c))))
+      ) {
+        return true;
+      }
+      parent.quantified ||= group.quantified || quantifier.min !== quantifier.max;
+      parent.literal ||= group.literal && quantifier.min >= 1;
+      parent.alternation ||= group.alternation;
+      parent.atoms.push(...group.atoms);
+      parent.chars.push(...group.chars);
+      // The group separates the atoms around it
+      parent.run = [];
+      i += 1 + quantifier.length;
+      continue;
+    } else if (char === "|") {
+      current.alternation = true;
+      current.run = [];
+      i++;
+      continue;
+    } else {
+      literal = !".^$".includes(char);
+      zeroWidth = char === "^" || char === "$";
+      literalChar = literal ? char : null;
+    }
+
+    const atom = source.slice(i, atomEnd);
+    const quantifier = readQuantifier(source, atomEnd);
+    if (quantifier.min !== quantifier.max) {
+      current.quantified = true;
+      current.atoms.push(atom);
+      if (quantifier.max > 1) {
+        if (current.run.some((previous) => atomsOverlap(previous, atom))) {
+          return true;
+        }
+        current.run.push(atom);
+      }
+    } else if (!zeroWidth && quantifier.min >= 1) {
+      current.run = [];
+      if (literal) {
+        current.literal = true;
+        if (literalChar !== null) {
+          current.chars.push(literalChar);
+        }
+      }
+    }
+    i = atomEnd + quantifier.length;
+  }
+
+  return false;
+}
+
+/**
+ * Compile a user pattern, rejecting invalid and catastrophic ones
+ * @param {string} pattern - Regex literal (`/\d+/i`) or plain pattern string
+ * @param {string} defaultFlags - Flags used for plain pattern strings
+ * @returns {RegExp} Compiled expression
+ * @throws {Error} When the pattern is invalid or may backtrack catastrophically
+ */
+export function compileSafeRegExp(pattern, defaultFlags = "g") {
+  const regex = toRegExp(pattern, defaultFlags);
+  if (hasNestedQuantifiers(regex.source)) {
+    throw new Error(
+      "nested quantifiers may cause catastrophic backtracking",
+    );
+  }
+  return regex;
+}
@@ -0,0 +1,366 @@
+// Custom template storage
+//
+// Templates are serialized to JSON and split into shards of at most
+// QUOTA_BYTES_PER_ITEM, so no single chrome.storage.sync item overflows.
+// A small meta item records the shard count. When the templates do not fit
+// into sync at all they are kept in storage.local on this device instead.
+
+// Meta item: {shards: number, updatedAt: string}
+const META_KEY = "customTemplatesMeta";
+
+// Shard items: customTemplates_0, customTemplates_1, ...
+const SHARD_PREFIX = "customTemplates_";
+
+// Single-item layout used before sharding; read once and removed on save
+const LEGACY_KEY = "customTemplates";
+
+// Device-specific choice of storage area, kept in storage.local
+const AREA_KEY = "templateStorageArea";
+
+export const TEMPLATE_STORAGE_AREAS = ["sync", "local"];
+
+// Documented chrome.storage limits, used where the API does not expose them
+const DEFAULT_QUOTA = {
+  sync: { total: 102400, perItem: 8192 },
+  local: { total: 10485760, perItem: Infinity },
+};
+
+// Room for the key and JSON quoting in each shard
+const SHARD_OVERHEAD = 64;
+
+/**
+ * Error thrown when templates cannot be saved
+ * `code` is "quota" when the templates do not fit into the storage area,
+ * "incomplete" when the stored templates could not be read completely (a
+ * save would overwrite templates that have not arrived yet), otherwise
+ * "write".
+ */
+export class TemplateStorageError extends Error {
+  constructor(message, code, originalError = null) {
+    super(message);
+    this.name = "TemplateStorageError";
+    this.code = code;
+    this.originalError = originalError;
+  }
+}
+
+/**
+ * Get the quota of a storage area
+ * @param {string} area - "sync" or "local"
+ * @returns {{total: number, perItem: number}} Limits in bytes
+ */
+function getQuota(area) {
+  const storage = chrome.storage[area];
+  return {
+    total: storage.QUOTA_BYTES || DEFAULT_QUOTA[area].total,
+    perItem: storage.QUOTA_BYTES_PER_ITEM || DEFAULT_QUOTA[area].perItem,
+  };
+}
+
+/**
+ * Size of a value as counted by chrome.storage (UTF-8 of its JSON)
+ * @param {string} key - Item key
+ * @param {*} value - Item value
+ * @returns {number} Bytes
+ */
+function getItemBytes(key, value) {
+  return new TextEncoder().encode(key + JSON.stringify(value)).length;
+}
+
+/**
+ * Split a string into chunks whose JSON encoding stays under a byte limit
+ * @param {string} text - Text to split
+ * @param {number} maxBytes - Limit per chunk
+ * @returns {string[]} Chunks (at least one)
+ */
+export function splitIntoShards(text, maxBytes) {
+  if (!Number.isFinite(maxBytes)) {
+    return [text];
+  }
+
+  const encoder = new TextEncoder();
+  const shards = [];
+  let current = "";
+  let currentBytes = 0;
+
+  // Iterate code points so surrogate pairs are never split
+  for (const char of text) {
+    const bytes = encoder.encode(JSON.stringify(char)).length - 2;
+    if (currentBytes + bytes > maxBytes && current) {
+      shards.push(current);
+      current = "";
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  shards.push(current);
+
+  return shards;
+}
+
+/**
+ * Get the storage area templates are kept in on this device
+ * @returns {Promise<string>} "sync" or "local"
+ */
+export async function getTemplateStorageArea() {
+  try {
+    const result = await chrome.storage.local.get([AREA_KEY]);
+    return result[AREA_KEY] === "local" ? "local" : "sync";
+  } catch (error) {
+    console.debug("Failed to read template storage area:", error);
+    return "sync";
+  }
+}
+
+/**
+ * Read the serialized templates of one area
+ * @param {string} area - "sync" or "local"
+ * @returns {Promise<Array|null>} Templates, or null when the area has none
+ * @throws {TemplateStorageError} With code "incomplete" when shards are
+ *   missing or do not fit together
+ */
+async function readTemplates(area) {
+  const storage = chrome.storage[area];
+  const {
+    [META_KEY]: meta,
+    [LEGACY_KEY]: legacy,
+    [SHARD_PREFIX + 0]: firstShard,
+  } = await storage.get([META_KEY, LEGACY_KEY, SHARD_PREFIX + 0]);
+
+  if (!meta) {
+    if (firstShard !== undefined) {
+      // Shards arrived before their meta item
+      throw new TemplateStorageError("Template meta item is missing", "incomplete");
+    }
+    return Array.isArray(legacy) ? legacy : null;
+  }
+
+  const keys = Array.from({ length: meta.shards }, (_, i) => SHARD_PREFIX + i);
+  const shards = await storage.get(keys);
+  if (keys.some((key) => typeof shards[key] !== "string")) {
+    // Sync has not delivered all items yet
+    throw new TemplateStorageError("Template shards are missing", "incomplete");
+  }
+
+  try {
+    return JSON.parse(keys.map((key) => shards[key]).join(""));
+  } catch (error) {
+    // Shards of different versions, e.g. a newer meta item with old shards
+    throw new TemplateStorageError("Template shards do not fit together", "incomplete", error);
+  }
+}
+
+/**
+ * Write templates to one area, replacing previous shards
+ * @param {string} area - "sync" or "local"
+ * @param {Array} templates - Templates
+ * @returns {Promise<number>} Bytes written
+ */
+async function writeTemplates(area, templates) {
+  const storage = chrome.storage[area];
+  const { perItem } = getQuota(area);
+  const shards = splitIntoShards(JSON.stringify(templates), perItem - SHARD_OVERHEAD);
+
+  const items = {
+    [META_KEY]: { shards: shards.length, updatedAt: new Date().toISOString() },
+  };
+  shards.forEach((shard, i) => {
+    items[SHARD_PREFIX + i] = shard;
+  });
+
+  const { [META_KEY]: previous } = await storage.get([META_KEY]);
+  // One set call, so the meta item never points at shards of another version
+  await storage.set(items);
+
+  const stale = [LEGACY_KEY];
+  for (let i = shards.length; i < (previous?.shards || 0); i++) {
+    stale.push(SHARD_PREFIX + i);
+  }
+  await storage.remove(stale);
+
+  return Object.entries(items).reduce(
+    (sum, [key, value]) => sum + getItemBytes(key, value),
+    0,
+  );
+}
+
+/**
+ * Remove all template items from an area
+ * @param {string} area - "sync" or "local"
+ * @returns {Promise<void>}
+ */
+async function clearTemplates(area) {
+  const storage = chrome.storage[area];
+  const { [META_KEY]: meta } = await storage.get([META_KEY]);
+  const keys = [META_KEY, LEGACY_KEY];
+  for (let i = 0; i < (meta?.shards || 0); i++) {
+    keys.push(SHARD_PREFIX + i);
+  }
+  await storage.remove(keys);
+}
+
+/**
+ * Check whether a storage error is about running out of space
+ * Write rate limits (MAX_WRITE_OPERATIONS_*) also mention "quota" but go
+ * away by themselves, so they are not treated as a size problem.
+ * @param {Error} error - Error from chrome.storage
+ * @returns {boolean}
+ */
+function isSizeQuotaError(error) {
+  return /QUOTA_BYTES|MAX_ITEMS/.test(error?.message || "");
+}
+
+/**
+ * Wrap a chrome.storage error
+ * @param {Error} error - Original error
+ * @returns {TemplateStorageError} Error with code "quota" or "write"
+ */
+function toStorageError(error) {
+  console.debug("Failed to save custom templates:", error);
+  return new TemplateStorageError(
+    error?.message || "Failed to save custom templates",
+    isSizeQuotaError(error) ? "quota" : "write",
+    error,
+  );
+}
+
+/**
+ * Read custom templates, telling an incomplete read apart from no templates
+ * @returns {Promise<{templates: Array, complete: boolean}>} `complete` is
+ *   false when the stored templates could not be read completely; saving is
+ *   refused until a read succeeds
+ */
+export async function readCustomTemplates() {
+  try {
+    const area = await getTemplateStorageArea();
+    return { templates: (await readTemplates(area)) || [], complete: true };
+  } catch (error) {
+    console.debug("Failed to load custom templates:", error);
+    return { templates: [], complete: false };
+  }
+}
+
+/**
+ * Get custom templates
+ * @returns {Promise<Array>} Custom templates; empty when they could not be
+ *   read completely (see readCustomTemplates)
+ */
+export async function getCustomTemplates() {
+  return (await readCustomTemplates()).templates;
+}
+
+/**
+ * Refuse to write while the stored templates cannot be read completely
+ * Writing then would replace templates this device has not received yet.
+ * @returns {Promise<void>}
+ * @throws {TemplateStorageError} With code "incomplete"
+ */
+async function assertCompleteTemplates() {
+  if (!(await readCustomTemplates()).complete) {
+    throw new TemplateStorageError(
+      "Stored templates are incomplete; not saving until they have synced",
+      "incomplete",
+    );
+  }
+}
+
+/**
+ * Save custom templates
+ * In sync, templates that exceed the sync quota are moved to storage.local
+ * on this device; the last synced version stays in sync for other devices.
+ * @param {Array} templates - Templates array
+ * @returns {Promise<{area: string, bytes: number, fellBack: boolean}>} Where
+ *   the templates were saved, their size and whether sync was given up
+ * @throws {TemplateStorageError} If the templates could not be saved, with
+ *   code "incomplete" when the stored templates could not be read completely
+ */
+export async function saveCustomTemplates(templates) {
+  await assertCompleteTemplates();
+  const area = await getTemplateStorageArea();
+
+  try {
+    const bytes = await writeTemplates(area, templates);
+    return { area, bytes, fellBack: false };
+  } catch (error) {
+    if (area !== "sync" || !isSizeQuotaError(error)) {
+      throw toStorageError(error);
+    }
+    console.debug("Templates exceed the sync quota, using local storage:", error);
+  }
+
+  try {
+    const bytes = await writeTemplates("local", templates);
+    await chrome.storage.local.set({ [AREA_KEY]: "local" });
+    return { area: "local", bytes, fellBack: true };
+  } catch (error) {
+    throw toStorageError(error);
+  }
+}
+
+/**
+ * Move templates to another storage area
+ * @param {string} area - "sync" or "local"
+ * @returns {Promise<{area: string, bytes: number, fellBack: boolean}>}
+ *   Result of saving in the new area
+ * @throws {TemplateStorageError} If the templates do not fit into the area
+ *   or could not be read completely; they stay where they were
+ */
+export async function setTemplateStorageArea(area) {
+  const current = await getTemplateStorageArea();
+  if (area === current) {
+    return { area, bytes: (await getTemplateStorageUsage()).bytes, fellBack: false };
+  }
+
+  const { templates, complete } = await readCustomTemplates();
+  if (!complete) {
+    throw new TemplateStorageError(
+      "Stored templates are incomplete; not moving them until they have synced",
+      "incomplete",
+    );
+  }
+  let bytes;
+  try {
+    bytes = await writeTemplates(area, templates);
+  } catch (error) {
+    throw toStorageError(error);
+  }
+
+  await chrome.storage.local.set({ [AREA_KEY]: area });
+  try {
+    await clearTemplates(current);
+  } catch (error) {
+    console.debug(`Failed to clean up ${current} template storage:`, error);
+  }
+
+  return { area, bytes, fellBack: false };
+}
+
+/**
+ * Get how much storage the templates use
+ * @returns {Promise<{area: string, bytes: number, quota: number, perItem: number}>}
+ *   Bytes used by template items and the area's total quota (for sync the
+ *   quota is shared with settings)
+ */
+export async function getTemplateStorageUsage() {
+  const area = await getTemplateStorageArea();
+  const { total, perItem } = getQuota(area);
+
+  try {
+    const storage = chrome.storage[area];
+    const { [META_KEY]: meta } = await storage.get([META_KEY]);
+    const keys = [META_KEY, LEGACY_KEY];
+    for (let i = 0; i < (meta?.shards || 0); i++) {
+      keys.push(SHARD_PREFIX + i);
+    }
+    const items = await storage.get(keys);
+    const bytes = Object.entries(items).reduce(
+      (sum, [key, value]) => sum + getItemBytes(key, value),
+      0,
+    );
+    return { area, bytes, quota: total, perItem };
+  } catch (error) {
+    console.debug("Failed to measure template storage:", error);
+    return { area, bytes: 0, quota: total, perItem };
+  }
+}
@@ -0,0 +1,129 @@
+// Editor helpers: field completion, "did you mean" and highlighting
+
+import { TEMPLATE_FIELDS } from "./fields.js";
+import { tokenize, classifyTag, parseExpression } from "./parser.js";
+
+/**
+ * Edit distance between two strings (case-insensitive), counting swapped
+ * neighbouring characters as one edit like other typos
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of insertions, deletions, substitutions and
+ *   transpositions
+ */
+export function editDistance(a, b) {
+  const source = a.toLowerCase();
+  const target = b.toLowerCase();
+  const rows = Array.from({ length: source.length + 1 }, (_, i) =>
+    Array.from({ length: target.length + 1 }, (_, j) => (i === 0 ? j : j === 0 ? i : 0)),
+  );
+
+  for (let i = 1; i <= source.length; i++) {
+    for (let j = 1; j <= target.length; j++) {
+      const cost = source[i - 1] === target[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (
+        i > 1 &&
+        j > 1 &&
+        source[i - 1] === target[j - 2] &&
+        source[i - 2] === target[j - 1]
+      ) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[source.length][target.length];
+}
+
+/**
+ * Find the known field a misspelled name was probably meant to be
+ * @param {string} name - Unknown field name
+ * @param {string[]} candidates - Known field names
+ * @returns {string|null} Closest name, or null when none is close enough
+ */
+export function suggestFieldName(name, candidates = Object.keys(TEMPLATE_FIELDS)) {
+  // Allow one typo per three characters, at least one
+  const limit = Math.max(1, Math.floor(name.length / 3));
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const candidate of candidates) {
+    const distance = editDistance(name, candidate);
+    if (distance <= limit && distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Find the field name being typed at the cursor
+ * Completion applies right after `{{` and after `{{#if ` / `{{#unless `.
+ * @param {string} text - Editor content
+ * @param {number} cursor - Cursor position
+ * @returns {{start: number, prefix: string}|null} Start of the typed name and
+ *   the name so far, or null when the cursor is not at a field name
+ */
+export function getCompletionContext(text, cursor) {
+  const before = text.slice(0, cursor);
+  const match = /\{\{(?:#(?:if|unless)\s+)?([a-zA-Z][a-zA-Z0-9_]*)?$/.exec(before);
+  if (!match) {
+    return null;
+  }
+
+  const prefix = match[1] || "";
+  return { start: cursor - prefix.length, prefix };
+}
+
+/**
+ * List fields matching a typed prefix
+ * Fields starting with the prefix come first, then fields containing it.
+ * @param {string} prefix - Typed part of the name
+ * @returns {Array<{field: string, name: string, description: string, example: string}>}
+ */
+export function getFieldCompletions(prefix) {
+  const query = prefix.toLowerCase();
+  const entries = Object.entries(TEMPLATE_FIELDS).map(([field, info]) => ({
+    field,
+    name: info.name,
+    description: info.description,
+    example: info.example,
+  }));
+
+  return [
+    ...entries.filter(({ field }) => field.toLowerCase().startsWith(query)),
+    ...entries.filter(({ field }) => {
+      const lower = field.toLowerCase();
+      return !lower.startsWith(query) && lower.includes(query);
+    }),
+  ];
+}
+
+/**
+ * Split a template into highlighted segments
+ * @param {string} template - Template string
+ * @param {Function} isKnownField - Whether a field name is known
+ * @returns {Array<{text: string, type: string}>} Segments covering the whole
+ *   template; `type` is "text", "field", "unknown", "block" or "partial"
+ */
+export function highlightTemplate(template, isKnownField) {
+  return tokenize(template).map((token) => {
+    if (token.type === "text") {
+      return { text: token.value, type: "text" };
+    }
+
+    const tag = classifyTag(token.expression);
+    if (tag.kind === "partial") {
+      return { text: token.raw, type: "partial" };
+    }
+    if (tag.kind !== "field") {
+      return { text: token.raw, type: "block" };
+    }
+
+    const { name } = parseExpression(token.expression);
+    return { text: token.raw, type: isKnownField(name) ? "field" : "unknown" };
+  });
+}
@@ -0,0 +1,256 @@
+// Template import/export as versioned JSON files
+
+import { templateEngine } from "./engine.js";
+import { OUTPUT_LANGUAGES, DEFAULT_OUTPUT_LANGUAGE } from "./escapers.js";
+import { generateTemplateId, normalizeBatchParts } from "./manager.js";
+
+// Identifies template files written by this extension
+export const TEMPLATE_EXPORT_FORMAT = "arclet-copier-templates";
+
+// Bump when the file layout changes; older files must stay importable
+export const TEMPLATE_EXPORT_VERSION = 1;
+
+// How to handle imported templates whose ID or name already exists
+export const IMPORT_CONFLICT_STRATEGIES = ["skip", "overwrite", "keepBoth"];
+
+// Icon used when an imported icon is missing or not a short emoji/text
+const DEFAULT_IMPORT_ICON = "📝";
+
+// Longest accepted icon, in user-perceived characters (grapheme clusters)
+const MAX_ICON_LENGTH = 4;
+
+/**
+ * Build the export file content
+ * Usage statistics stay local; IDs are kept so importing the same file
+ * again is recognized as a conflict instead of duplicating templates.
+ * @param {Array} templates - Templates to export
+ * @returns {object} Export data, serialize with JSON.stringify
+ */
+export function createTemplateExport(templates) {
+  return {
+    format: TEMPLATE_EXPORT_FORMAT,
+    version: TEMPLATE_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    templates: templates.map((template) => {
+      const entry = {
+        id: template.id,
+        name: template.name,
+        icon: template.icon,
+        template: template.template,
+        description: template.description || "",
+        batch: normalizeBatchParts(template.batch),
+        outputLanguage: template.outputLanguage || DEFAULT_OUTPUT_LANGUAGE,
+        richText: Boolean(template.richText),
+      };
+      if (template.isPreset) {
+        entry.presetId = template.presetId;
+        entry.presetVersion = template.presetVersion;
+        entry.presetHash = template.presetHash;
+      }
+      return entry;
+    }),
+  };
+}
+
+/**
+ * Count user-perceived characters, so a flag or ZWJ emoji counts as one
+ * @param {string} text - Text to measure
+ * @returns {number} Number of grapheme clusters
+ */
+function countGraphemes(text) {
+  if (typeof Intl !== "undefined" && Intl.Segmenter) {
+    return [...new Intl.Segmenter().segment(text)].length;
+  }
+  return [...text].length;
+}
+
+/**
+ * Get the icon of an imported entry
+ * Import files are untrusted, so only a short string without control
+ * characters is kept; anything else falls back to the default icon.
+ * @param {*} icon - Icon from the file
+ * @returns {string} Icon to store
+ */
+function normalizeImportedIcon(icon) {
+  if (typeof icon !== "string") {
+    return DEFAULT_IMPORT_ICON;
+  }
+  const trimmed = icon.trim();
+  if (
+    !trimmed ||
+    /\p{Cc}/u.test(trimmed) ||
+    countGraphemes(trimmed) > MAX_ICON_LENGTH
+  ) {
+    return DEFAULT_IMPORT_ICON;
+  }
+  return trimmed;
+}
+
+/**
+ * Get the preset link of an imported entry
+ * @param {object} entry - Entry from the file
+ * @returns {object|null} presetId, presetVersion and presetHash, or null if
+ *   the entry is not a preset or the fields have the wrong type
+ */
+function getImportedPresetFields(entry) {
+  const { presetId, presetVersion, presetHash } = entry;
+  if (
+    typeof presetId !== "string" ||
+    !presetId ||
+    !Number.isInteger(presetVersion) ||
+    typeof presetHash !== "string"
+  ) {
+    return null;
+  }
+  return { presetId, presetVersion, presetHash };
+}
+
+/**
+ * Check one template entry of an import file
+ * @param {*} entry - Entry from the file
+ * @returns {string[]} Error messages
+ */
+function validateImportEntry(entry) {
+  if (!entry || typeof entry !== "object") {
+    return ["Template must be an object"];
+  }
+  if (typeof entry.name !== "string" || !entry.name.trim()) {
+    return ["Template name is missing"];
+  }
+  if (entry.batch !== undefined && entry.batch !== null) {
+    const parts = ["header", "separator", "footer"].map((key) => entry.batch[key]);
+    if (
+      typeof entry.batch !== "object" ||
+      parts.some((part) => part !== undefined && part !== null && typeof part !== "string")
+    ) {
+      return ["Batch header, separator and footer must be text"];
+    }
+  }
+
+  const batch = normalizeBatchParts(entry.batch);
+  const parts = [entry.template, batch?.header, batch?.separator, batch?.footer];
+  return parts
+    .filter((part, index) => index === 0 || part)
+    .flatMap((part) => templateEngine.validateTemplate(part).errors);
+}
+
+/**
+ * Parse and validate an export file
+ * Entries with invalid templates are reported and left out; the rest can
+ * still be imported.
+ * @param {string} text - File content
+ * @returns {{templates: Array, errors: Array<{index: number, name: string, errors: string[]}>}}
+ * @throws {Error} If the file is not a template export or was written by a
+ *   newer version
+ */
+export function parseTemplateImport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("File is not valid JSON");
+  }
+
+  if (data?.format !== TEMPLATE_EXPORT_FORMAT || !Array.isArray(data.templates)) {
+    throw new Error("File is not a template export");
+  }
+  if (!Number.isInteger(data.version) || data.version > TEMPLATE_EXPORT_VERSION) {
+    throw new Error(`Unsupported template file version: ${data.version}`);
+  }
+
+  const templates = [];
+  const errors = [];
+
+  data.templates.forEach((entry, index) => {
+    const entryErrors = validateImportEntry(entry);
+    if (entryErrors.length > 0) {
+      errors.push({ index, name: entry?.name || "", errors: entryErrors });
+      return;
+    }
+
+    const preset = getImportedPresetFields(entry);
+    templates.push({
+      id: typeof entry.id === "string" && entry.id ? entry.id : generateTemplateId(),
+      name: entry.name.trim(),
+      template: entry.template.trim(),
+      icon: normalizeImportedIcon(entry.icon),
+      batch: normalizeBatchParts(entry.batch),
+      outputLanguage: Object.prototype.hasOwnProperty.call(OUTPUT_LANGUAGES, entry.outputLanguage)
+        ? entry.outputLanguage
+        : DEFAULT_OUTPUT_LANGUAGE,
+      richText: entry.richText === true,
+      isPreset: Boolean(preset),
+      ...preset,
+      createdAt: new Date().toISOString(),
+      lastUsed: null,
+      usageCount: 0,
+      description: typeof entry.description === "string" ? entry.description : "",
+    });
+  });
+
+  return { templates, errors };
+}
+
+/**
+ * Get a template name that is not taken yet ("Name (2)", "Name (3)", ...)
+ * @param {string} name - Wanted name
+ * @param {Set<string>} names - Names in use
+ * @returns {string} Free name
+ */
+function getFreeName(name, names) {
+  let candidate = name;
+  for (let n = 2; names.has(candidate); n++) {
+    candidate = `${name} (${n})`;
+  }
+  return candidate;
+}
+
+/**
+ * Merge imported templates into the existing ones
+ * An imported template conflicts with an existing template of the same ID,
+ * or else of the same name.
+ * @param {Array} existing - Current templates
+ * @param {Array} imported - Templates from parseTemplateImport
+ * @param {string} strategy - One of IMPORT_CONFLICT_STRATEGIES
+ * @returns {{templates: Array, added: number, replaced: number, skipped: number}}
+ *   Merged templates and counts
+ */
+export function mergeImportedTemplates(existing, imported, strategy = "skip") {
+  const templates = [...existing];
+  const counts = { added: 0, replaced: 0, skipped: 0 };
+
+  for (const template of imported) {
+    let index = templates.findIndex((t) => t.id === template.id);
+    if (index === -1) {
+      index = templates.findIndex((t) => t.name === template.name);
+    }
+
+    if (index === -1) {
+      templates.push(template);
+      counts.added++;
+    } else if (strategy === "overwrite") {
+      // Keep the local identity and statistics, take over the content
+      const current = templates[index];
+      templates[index] = {
+        ...template,
+        id: current.id,
+        createdAt: current.createdAt,
+        lastUsed: current.lastUsed,
+        usageCount: current.usageCount,
+      };
+      counts.replaced++;
+    } else if (strategy === "keepBoth") {
+      const names = new Set(templates.map((t) => t.name));
+      templates.push({
+        ...template,
+        id: generateTemplateId(),
+        name: getFreeName(template.name, names),
+      });
+      counts.added++;
+    } else {
+      counts.skipped++;
+    }
+  }
+
+  return { templates, ...counts };
+}
@@ -0,0 +1,103 @@
+// Template usage statistics
+//
+// Usage is recorded on every copy, so it is kept in storage.local instead of
+// on the (synced) template objects: rewriting the templates per copy would
+// use up the sync write quota. getAllTemplates() merges the statistics into
+// `usageCount` and `lastUsed` of each template.
+
+// Item: {[templateId]: {usageCount: number, lastUsed: string}}
+const USAGE_KEY = "templateUsage";
+
+// How template lists in menus are ordered
+export const TEMPLATE_SORT_ORDERS = ["manual", "usage", "recent"];
+
+/**
+ * Get usage statistics of all templates
+ * @returns {Promise<object>} Map of template ID to {usageCount, lastUsed}
+ */
+export async function getTemplateUsage() {
+  try {
+    const result = await chrome.storage.local.get([USAGE_KEY]);
+    return result[USAGE_KEY] || {};
+  } catch (error) {
+    console.debug("Failed to load template usage:", error);
+    return {};
+  }
+}
+
+/**
+ * Count one use of a template
+ * Never throws; a failed update only loses that use.
+ * @param {string} templateId - Template ID
+ * @returns {Promise<void>}
+ */
+export async function recordTemplateUsage(templateId) {
+  try {
+    const usage = await getTemplateUsage();
+    const current = usage[templateId];
+    usage[templateId] = {
+      usageCount: (current?.usageCount || 0) + 1,
+      lastUsed: new Date().toISOString(),
+    };
+    await chrome.storage.local.set({ [USAGE_KEY]: usage });
+  } catch (error) {
+    console.debug("Failed to record template usage:", error);
+  }
+}
+
+/**
+ * Drop usage statistics of a deleted template
+ * @param {string} templateId - Template ID
+ * @returns {Promise<void>}
+ */
+export async function forgetTemplateUsage(templateId) {
+  try {
+    const usage = await getTemplateUsage();
+    if (usage[templateId]) {
+      delete usage[templateId];
+      await chrome.storage.local.set({ [USAGE_KEY]: usage });
+    }
+  } catch (error) {
+    console.debug("Failed to remove template usage:", error);
+  }
+}
+
+/**
+ * Merge usage statistics into templates
+ * @param {Array} templates - Templates
+ * @param {object} usage - Result of getTemplateUsage
+ * @returns {Array} Templates with current usageCount and lastUsed
+ */
+export function applyTemplateUsage(templates, usage) {
+  return templates.map((template) => {
+    const stats = usage[template.id];
+    return stats
+      ? { ...template, usageCount: stats.usageCount, lastUsed: stats.lastUsed }
+      : template;
+  });
+}
+
+/**
+ * Sort templates for display
+ * "usage" puts the most used first, "recent" the most recently used;
+ * ties and "manual" keep the stored order.
+ * @param {Array} templates - Templates in stored order
+ * @param {string} order - One of TEMPLATE_SORT_ORDERS
+ * @returns {Array} Sorted copy
+ */
+export function sortTemplates(templates, order = "manual") {
+  const lastUsed = (template) =>
+    template.lastUsed ? Date.parse(template.lastUsed) || 0 : 0;
+
+  // Array.prototype.sort is stable, so equal templates keep the stored order
+  if (order === "usage") {
+    return [...templates].sort(
+      (a, b) =>
+        (b.usageCount || 0) - (a.usageCount || 0) || lastUsed(b) - lastUsed(a),
+    );
+  }
+  if (order === "recent") {
+    return [...templates].sort((a, b) => lastUsed(b) - lastUsed(a));
+  }
+  return [...templates];
+}
@@ -1,4 +1,22 @@
 // URL parameter classification and rules management
+//
+// Rule entries are strings:
+//   utm_source        exact name
+//   utm_*             wildcard name (* any characters, ? one character)
+//   /^_hs/            regular expression matched against the name
+//   ref=/^(tw|fb)$/   any of the above, but only when the value matches;
+//   from=share*       the value is a wildcard or regular expression as well
+// Names and values match case-insensitively.
+//
+// Path and fragment rules use the same syntax. Path rules match
+// "name=value" path segments (Amazon's /ref=sr_1_1) and ";name=value"
+// matrix parameters; fragment rules match "#name=value&..." fragments and
+// text fragment directives ("#:~:text=...").
+
+import {
+  hasNestedQuantifiers,
+  MAX_REGEX_INPUT_LENGTH,
+} from "../template/regex-safety.js";
 
 // Default parameter categories
 export const PARAM_CATEGORIES = {
@@ -10,6 +28,12 @@ export const PARAM_CATEGORIES = {
     "utm_campaign",
     "utm_term",
     "utm_content",
+    "utm_*", // utm_id, utm_name, utm_source_platform, ...
+    // Email marketing
+    "mc_cid",
+    "mc_eid",
+    "/^_{1,2}hs/", // HubSpot: _hsenc, _hsmi, __hstc, __hssc, __hsfp
+    "mkt_tok",
     // Social media tracking
     "fbclid",
     "igshid",
@@ -66,20 +90,323 @@ export const PARAM_CATEGORIES = {
     "lang",
     "locale", // functional identifiers
   ],
+
+  // Path rules - path segments and matrix parameters that can be removed
+  PATH: [
+    "ref", // Amazon: /dp/B0.../ref=sr_1_1
+    "jsessionid",
+    "phpsessid",
+  ],
+
+  // Fragment rules - fragment parameters and directives that can be removed
+  FRAGMENT: [
+    "text", // Text fragments: #:~:text=...
+    "xtor", // AT Internet: #xtor=RSS-1
+    "utm_*",
+  ],
 };
 
+// Site rules - lists that apply on matching hosts only and take precedence
+// over the global lists. "example.com" matches that host only,
+// "*.example.com" matches example.com and all of its subdomains.
+export const DEFAULT_SITE_RULES = [
+  { host: "*.youtube.com", tracking: ["si", "feature", "pp"], functional: [] },
+  { host: "youtu.be", tracking: ["si", "feature"], functional: [] },
+  { host: "*.spotify.com", tracking: ["si"], functional: [] },
+  // Branch or tag in file and compare links
+  { host: "*.github.com", tracking: [], functional: ["ref"] },
+];
+
 // Storage key for custom parameter rules
 export const CUSTOM_PARAM_RULES_KEY = "customParamRules";
 
+// Version of the stored rules; bump it when default entries are added so
+// existing users get them once
+export const PARAM_RULES_VERSION = "1.1";
+
+// Default tracking entries added after version 1.0
+const TRACKING_ADDED_IN_1_1 = ["utm_*", "mc_cid", "mc_eid", "/^_{1,2}hs/", "mkt_tok"];
+
 // Default parameter rules configuration
 export const DEFAULT_PARAM_RULES = {
   tracking: [...PARAM_CATEGORIES.TRACKING],
   functional: [...PARAM_CATEGORIES.FUNCTIONAL],
-  version: "1.0",
+  sites: cloneSiteRules(DEFAULT_SITE_RULES),
+  paths: [...PARAM_CATEGORIES.PATH],
+  fragments: [...PARAM_CATEGORIES.FRAGMENT],
+  version: PARAM_RULES_VERSION,
 };
 
+/**
+ * Copy site rules so callers can modify them
+ * @param {Array<{host: string, tracking: string[], functional: string[]}>} sites - Site rules
+ * @returns {Array} Deep copy
+ */
+export function cloneSiteRules(sites) {
+  return sites.map((site) => ({
+    host: site.host,
+    tracking: [...(site.tracking || [])],
+    functional: [...(site.functional || [])],
+  }));
+}
+
+/**
+ * Normalize a host pattern entered by the user
+ * Accepts full URLs and internationalized names, e.g.
+ * "https://www.Example.com/path" -> "www.example.com".
+ * @param {string} input - Host pattern
+ * @returns {string} Lowercase ASCII pattern, or "" when it is not a host
+ */
+export function normalizeHostPattern(input) {
+  let pattern = (input || "").trim().toLowerCase();
+  pattern = pattern.replace(/^[a-z][a-z0-9+.-]*:\/\//, "").split(/[/?#]/)[0];
+
+  const wildcard = pattern.startsWith("*.");
+  const host = wildcard ? pattern.slice(2) : pattern;
+  if (!host || host.includes("*")) {
+    return "";
+  }
+
+  try {
+    const { hostname } = new URL(`http://${host}`);
+    return (wildcard ? "*." : "") + hostname.replace(/\.$/, "");
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Check whether a hostname matches a site rule's host pattern
+ * @param {string} hostname - Hostname as returned by URL
+ * @param {string} pattern - "example.com" or "*.example.com"
+ * @returns {boolean}
+ */
+export function matchesHostPattern(hostname, pattern) {
+  const host = (hostname || "").toLowerCase().replace(/\.$/, "");
+  if (pattern.startsWith("*.")) {
+    const base = pattern.slice(2);
+    return host === base || host.endsWith(`.${base}`);
+  }
+  return host === pattern;
+}
+
+/**
+ * Get the site rules that apply to a hostname
+ * @param {Array} sites - Site rules
+ * @param {string} hostname - Hostname as returned by URL
+ * @returns {Array} Matching rules, most specific first (exact hosts before
+ *   wildcards, longer hosts before shorter ones)
+ */
+export function getSiteRulesForHost(sites, hostname) {
+  const specificity = ({ host }) =>
+    host.startsWith("*.") ? host.length - 2 : host.length + 0.5;
+
+  return (sites || [])
+    .filter((site) => matchesHostPattern(hostname, site.host))
+    .sort((a, b) => specificity(b) - specificity(a));
+}
+
+// Characters allowed in plain and wildcard names
+const PARAM_NAME_PATTERN = /^[a-z0-9_.\-[\]*?]+$/i;
+
+// Parsed rule entries by source text
+const parsedRules = new Map();
+
+/**
+ * Check whether a pattern is written as a regular expression ("/.../")
+ * @param {string} pattern - Pattern text
+ * @returns {boolean}
+ */
+function isRegexPattern(pattern) {
+  return pattern.length > 2 && pattern.startsWith("/") && pattern.endsWith("/");
+}
+
+/**
+ * Turn a wildcard pattern into an anchored regular expression
+ * @param {string} pattern - Pattern with * and ?
+ * @returns {RegExp} Case-insensitive expression
+ */
+function wildcardToRegExp(pattern) {
+  const source = pattern
+    .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*/g, ".*")
+    .replace(/\?/g, ".");
+  return new RegExp(`^${source}$`, "i");
+}
+
+/**
+ * Compile one side of a rule entry
+ * Regular expressions run on every URL that is cleaned, so ones that may
+ * backtrack catastrophically are rejected like invalid ones.
+ * @param {string} pattern - "/regex/", wildcard or plain text
+ * @returns {RegExp|string} Expression, or the lowercase text for exact matches
+ * @throws {SyntaxError} If a regular expression is invalid or unsafe
+ */
+function compilePattern(pattern) {
+  if (isRegexPattern(pattern)) {
+    const regex = new RegExp(pattern.slice(1, -1), "i");
+    if (hasNestedQuantifiers(regex.source)) {
+      throw new SyntaxError("nested quantifiers may cause catastrophic backtracking");
+    }
+    return regex;
+  }
+  if (/[*?]/.test(pattern)) {
+    return wildcardToRegExp(pattern);
+  }
+  return pattern.toLowerCase();
+}
+
+/**
+ * Split a rule entry into its name and value patterns
+ * A regular expression name may contain "=", so the value starts after its
+ * closing slash.
+ * @param {string} entry - Rule entry
+ * @returns {{name: string, value: string|null}} Pattern texts
+ */
+export function splitParamRule(entry) {
+  const text = (entry || "").trim();
+  let nameEnd = text.indexOf("=");
+
+  if (text.startsWith("/")) {
+    const closing = text.indexOf("/", 1);
+    nameEnd = closing === -1 ? -1 : text.indexOf("=", closing);
+    if (nameEnd !== closing + 1) {
+      nameEnd = -1;
+    }
+  }
+
+  return nameEnd === -1
+    ? { name: text, value: null }
+    : { name: text.slice(0, nameEnd), value: text.slice(nameEnd + 1) };
+}
+
+/**
+ * Check a rule entry
+ * @param {string} entry - Rule entry
+ * @returns {{valid: boolean, error?: string, message?: string}} `error` is
+ *   "empty", "name", "value" or "regex"; `message` holds the regular
+ *   expression error
+ */
+export function validateParamRule(entry) {
+  const { name, value } = splitParamRule(entry);
+  if (!name) {
+    return { valid: false, error: "empty" };
+  }
+  if (value === "") {
+    return { valid: false, error: "value" };
+  }
+
+  if (!isRegexPattern(name) && !PARAM_NAME_PATTERN.test(name)) {
+    return { valid: false, error: "name" };
+  }
+
+  try {
+    compilePattern(name);
+    if (value !== null) {
+      compilePattern(value);
+    }
+  } catch (error) {
+    return { valid: false, error: "regex", message: error.message };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Normalize a rule entry for storage
+ * Plain and wildcard names are lowercased; regular expressions and values
+ * are kept as typed.
+ * @param {string} entry - Rule entry
+ * @returns {string} Normalized entry
+ */
+export function normalizeParamRule(entry) {
+  const { name, value } = splitParamRule(entry);
+  const normalizedName = isRegexPattern(name) ? name : name.toLowerCase();
+  return value === null ? normalizedName : `${normalizedName}=${value}`;
+}
+
+/**
+ * Parse a rule entry, caching the result
+ * @param {string} entry - Rule entry
+ * @returns {{name: RegExp|string, value: RegExp|string|null}|null} Parsed
+ *   rule, or null when the entry is invalid
+ */
+function parseParamRule(entry) {
+  if (parsedRules.has(entry)) {
+    return parsedRules.get(entry);
+  }
+
+  let rule = null;
+  if (validateParamRule(entry).valid) {
+    const { name, value } = splitParamRule(entry);
+    rule = {
+      name: compilePattern(name),
+      value: value === null ? null : compilePattern(value),
+    };
+  }
+  parsedRules.set(entry, rule);
+  return rule;
+}
+
+/**
+ * Test a name or value against a compiled pattern
+ * Regular expressions only see the first MAX_REGEX_INPUT_LENGTH
+ * characters, which bounds their work on pathological URLs.
+ * @param {RegExp|string} pattern - Compiled pattern
+ * @param {string} text - Parameter name or value
+ * @returns {boolean}
+ */
+function testPattern(pattern, text) {
+  return typeof pattern === "string"
+    ? pattern === text.toLowerCase()
+    : pattern.test(text.slice(0, MAX_REGEX_INPUT_LENGTH));
+}
+
+/**
+ * Check whether any rule entry matches a parameter
+ * Invalid entries never match.
+ * @param {string[]} entries - Rule entries
+ * @param {string} name - Parameter name
+ * @param {string} value - Parameter value
+ * @returns {boolean}
+ */
+export function matchesParamRules(entries, name, value = "") {
+  return entries.some((entry) => {
+    const rule = parseParamRule(entry);
+    return (
+      rule !== null &&
+      testPattern(rule.name, name) &&
+      (rule.value === null || testPattern(rule.value, value))
+    );
+  });
+}
+
+/**
+ * Add default entries introduced since the stored version
+ * Entries the user already has, or keeps as functional, are left out, so
+ * running this again cannot undo the user's choices.
+ * @param {object} stored - Stored rules
+ * @returns {object} Rules at PARAM_RULES_VERSION
+ */
+function migrateParamRules(stored) {
+  const tracking = [...(stored.tracking || [])];
+  const functional = stored.functional || [];
+  for (const entry of TRACKING_ADDED_IN_1_1) {
+    if (!tracking.includes(entry) && !functional.includes(entry)) {
+      tracking.push(entry);
+    }
+  }
+  return {
+    ...stored,
+    tracking,
+    version: PARAM_RULES_VERSION,
+    lastModified: new Date().toISOString(),
+  };
+}
+
 /**
  * Initialize custom parameter rules
+ * Stored rules from an older version get the default entries added since.
  * @returns {Promise<void>}
  */
 export async function initializeParamRules() {
@@ -97,6 +424,11 @@ export async function initializeParamRules() {
       });
 
       console.log("[ParamRules] Initialized with default rules");
+    } else if (result[CUSTOM_PARAM_RULES_KEY].version !== PARAM_RULES_VERSION) {
+      await chrome.storage.sync.set({
+        [CUSTOM_PARAM_RULES_KEY]: migrateParamRules(result[CUSTOM_PARAM_RULES_KEY]),
+      });
+      console.log("[ParamRules] Added new default rules to stored rules");
     }
   } catch (error) {
     console.debug("[ParamRules] Failed to initialize:", error);
@@ -105,7 +437,10 @@ export async function initializeParamRules() {
 
 /**
  * Get custom parameter rules
- * @returns {Promise<{tracking: string[], functional: string[]}>}
+ * Rules saved before site, path or fragment rules existed get the defaults
+ * of those lists.
+ * @returns {Promise<{tracking: string[], functional: string[], sites: Array,
+ *   paths: string[], fragments: string[]}>}
  */
 export async function getCustomParamRules() {
   try {
@@ -115,25 +450,42 @@ export async function getCustomParamRules() {
       return {
         tracking: result[CUSTOM_PARAM_RULES_KEY].tracking || [],
         functional: result[CUSTOM_PARAM_RULES_KEY].functional || [],
+        sites: cloneSiteRules(
+          result[CUSTOM_PARAM_RULES_KEY].sites || DEFAULT_SITE_RULES,
+        ),
+        paths: [
+          ...(result[CUSTOM_PARAM_RULES_KEY].paths || PARAM_CATEGORIES.PATH),
+        ],
+        fragments: [
+          ...(result[CUSTOM_PARAM_RULES_KEY].fragments ||
+            PARAM_CATEGORIES.FRAGMENT),
+        ],
       };
     }
 
     return {
       tracking: [...PARAM_CATEGORIES.TRACKING],
       functional: [...PARAM_CATEGORIES.FUNCTIONAL],
+      sites: cloneSiteRules(DEFAULT_SITE_RULES),
+      paths: [...PARAM_CATEGORIES.PATH],
+      fragments: [...PARAM_CATEGORIES.FRAGMENT],
     };
   } catch (error) {
     console.debug("[ParamRules] Failed to get custom rules:", error);
     return {
       tracking: [...PARAM_CATEGORIES.TRACKING],
       functional: [...PARAM_CATEGORIES.FUNCTIONAL],
+      sites: cloneSiteRules(DEFAULT_SITE_RULES),
+      paths: [...PARAM_CATEGORIES.PATH],
+      fragments: [...PARAM_CATEGORIES.FRAGMENT],
     };
   }
 }
 
 /**
  * Save custom parameter rules
- * @param {{tracking: string[], functional: string[]}} rules - Parameter rules
+ * @param {{tracking: string[], functional: string[], sites: Array,
+ *   paths: string[], fragments: string[]}} rules - Parameter rules
  * @returns {Promise<boolean>} Whether save succeeded
  */
 export async function saveCustomParamRules(rules) {
@@ -141,7 +493,10 @@ export async function saveCustomParamRules(rules) {
     const saveData = {
       tracking: rules.tracking || [],
       functional: rules.functional || [],
-      version: "1.0",
+      sites: rules.sites || [],
+      paths: rules.paths || [],
+      fragments: rules.fragments || [],
+      version: PARAM_RULES_VERSION,
       lastModified: new Date().toISOString(),
     };
 
@@ -0,0 +1,106 @@
+// Public Suffix List lookups (registrable domain, subdomain, suffix)
+
+import { PUBLIC_SUFFIX_RULES } from "./public-suffix-data.js";
+
+// Parsed rule sets, built on first lookup
+let ruleSets = null;
+
+/**
+ * Parse the bundled rules into lookup sets
+ * @returns {{rules: Set<string>, wildcards: Set<string>, exceptions: Set<string>}}
+ *   Wildcard entries are stored without the leading "*.", exceptions
+ *   without the leading "!"
+ */
+function getRuleSets() {
+  if (ruleSets) {
+    return ruleSets;
+  }
+
+  ruleSets = {
+    rules: new Set(),
+    wildcards: new Set(),
+    exceptions: new Set(),
+  };
+
+  for (const rule of PUBLIC_SUFFIX_RULES.split("\n")) {
+    if (!rule) {
+      continue;
+    }
+    if (rule.startsWith("!")) {
+      ruleSets.exceptions.add(rule.slice(1));
+    } else if (rule.startsWith("*.")) {
+      ruleSets.wildcards.add(rule.slice(2));
+    } else {
+      ruleSets.rules.add(rule);
+    }
+  }
+
+  return ruleSets;
+}
+
+/**
+ * Check whether a hostname is an IP address
+ * @param {string} hostname - Hostname as returned by URL
+ * @returns {boolean}
+ */
+function isIpAddress(hostname) {
+  return hostname.startsWith("[") || /^\d+\.\d+\.\d+\.\d+$/.test(hostname);
+}
+
+/**
+ * Get the public suffix of a hostname, e.g. "co.uk" for "www.bbc.co.uk"
+ * Unlisted top-level domains fall back to the last label.
+ * @param {string} hostname - ASCII hostname as returned by URL
+ * @returns {string} Public suffix, or "" for IP addresses and empty input
+ */
+export function getPublicSuffix(hostname) {
+  const host = (hostname || "").toLowerCase().replace(/\.$/, "");
+  if (!host || isIpAddress(host)) {
+    return "";
+  }
+
+  const { rules, wildcards, exceptions } = getRuleSets();
+  const labels = host.split(".");
+
+  // Longest match wins, so walk from the full hostname to the last label
+  for (let i = 0; i < labels.length; i++) {
+    const candidate = labels.slice(i).join(".");
+
+    if (exceptions.has(candidate)) {
+      return labels.slice(i + 1).join(".");
+    }
+    if (rules.has(candidate)) {
+      return candidate;
+    }
+    if (i + 1 < labels.length && wildcards.has(labels.slice(i + 1).join("."))) {
+      return candidate;
+    }
+  }
+
+  // Implicit "*" rule
+  return labels[labels.length - 1];
+}
+
+/**
+ * Split a hostname into subdomain, registrable domain and public suffix
+ * @param {string} hostname - ASCII hostname as returned by URL
+ * @returns {{subdomain: string, domain: string, tld: string}}
+ *   e.g. "news.bbc.co.uk" -> { subdomain: "news", domain: "bbc.co.uk", tld: "co.uk" }.
+ *   IP addresses, single-label hosts and bare suffixes keep the whole
+ *   hostname as domain.
+ */
+export function parseHostname(hostname) {
+  const host = (hostname || "").toLowerCase().replace(/\.$/, "");
+  const tld = getPublicSuffix(host);
+
+  if (!tld || host === tld) {
+    return { subdomain: "", domain: host, tld: host.includes(".") ? tld : "" };
+  }
+
+  const prefix = host.slice(0, -(tld.length + 1)).split(".");
+  return {
+    subdomain: prefix.slice(0, -1).join("."),
+    domain: `${prefix[prefix.length - 1]}.${tld}`,
+    tld,
+  };
+}
@@ -0,0 +1,203 @@
+// Redirect wrapper unwrapping
+//
+// Search engines, social networks and mail/chat services wrap outgoing links
+// in redirect URLs (google.com/url?q=..., l.facebook.com/l.php?u=...). The
+// destination is part of the wrapper URL, so it is decoded locally without
+// requesting the wrapper. Wrappers can be nested (a SafeLinks URL around a
+// Google redirect); unwrapping repeats until a URL is not a wrapper.
+
+import { matchesHostPattern } from "./param-rules.js";
+
+// Maximum number of nested wrappers removed from one URL
+export const MAX_REDIRECT_DEPTH = 5;
+
+/**
+ * Decode a Bing click-tracking target: "a1" followed by base64url
+ * @param {string} value - Value of the `u` parameter
+ * @returns {string} Destination URL, or "" if it is not in that format
+ */
+function decodeBingTarget(value) {
+  if (!value.startsWith("a1")) {
+    return "";
+  }
+  try {
+    const base64 = value.slice(2).replace(/-/g, "+").replace(/_/g, "/");
+    const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, "="));
+    const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+    return new TextDecoder().decode(bytes);
+  } catch {
+    return "";
+  }
+}
+
+// Known redirect wrappers. Each entry has:
+//   name    identifier of the service
+//   hosts   host patterns as in site rules ("*.example.com"), or RegExps
+//   paths   pathnames the wrapper uses; omit to accept any path
+//   params  parameters holding the destination, first present one wins
+//   decode  optional function turning the parameter value into the URL
+// Instead of hosts, paths and params, an entry can have
+//   pattern RegExp matched against the whole URL, with the (encoded)
+//   destination in its first group, as in ClearURLs redirections
+//   applies optional function (URL) => boolean limiting the pattern to
+//           some URLs, such as a ClearURLs provider's urlPattern
+export const REDIRECT_WRAPPERS = [
+  {
+    name: "google",
+    hosts: [/^(?:www\.)?google\.(?:com?\.)?[a-z]{2,3}$/],
+    paths: ["/url"],
+    params: ["q", "url"],
+  },
+  {
+    name: "youtube",
+    hosts: ["*.youtube.com"],
+    paths: ["/redirect"],
+    params: ["q"],
+  },
+  {
+    name: "bing",
+    hosts: ["*.bing.com"],
+    paths: ["/ck/a"],
+    params: ["u"],
+    decode: decodeBingTarget,
+  },
+  {
+    name: "facebook",
+    hosts: ["l.facebook.com", "lm.facebook.com", "l.messenger.com", "l.instagram.com"],
+    paths: ["/l.php"],
+    params: ["u"],
+  },
+  {
+    name: "reddit",
+    hosts: ["out.reddit.com"],
+    params: ["url"],
+  },
+  {
+    name: "outlook-safelinks",
+    hosts: ["*.safelinks.protection.outlook.com"],
+    params: ["url"],
+  },
+  {
+    name: "slack",
+    hosts: ["slack-redir.net"],
+    paths: ["/link"],
+    params: ["url"],
+  },
+  {
+    name: "steam",
+    hosts: ["steamcommunity.com"],
+    paths: ["/linkfilter/", "/linkfilter"],
+    params: ["u", "url"],
+  },
+];
+
+/**
+ * Parse a destination, accepting one extra level of percent-encoding
+ * Only http(s) destinations are accepted, so a wrapper can never turn into
+ * a javascript: or data: URL.
+ * @param {string} target - Decoded parameter value
+ * @returns {URL|null} Destination, or null if it is not a web URL
+ */
+function parseTarget(target) {
+  const candidates = [target];
+  try {
+    candidates.push(decodeURIComponent(target));
+  } catch {
+    // Malformed escape sequences: only the value as given is tried
+  }
+
+  for (const candidate of candidates) {
+    try {
+      const url = new URL(candidate.trim());
+      if (url.protocol === "http:" || url.protocol === "https:") {
+        return url;
+      }
+    } catch {
+      // Not a URL; try the next candidate
+    }
+  }
+  return null;
+}
+
+/**
+ * Check whether a URL belongs to a wrapper
+ * @param {URL} urlObj - URL to check
+ * @param {object} wrapper - Entry of REDIRECT_WRAPPERS
+ * @returns {boolean}
+ */
+function matchesWrapper(urlObj, wrapper) {
+  const hostMatches = wrapper.hosts.some((host) =>
+    host instanceof RegExp
+      ? host.test(urlObj.hostname)
+      : matchesHostPattern(urlObj.hostname, host),
+  );
+  return (
+    hostMatches && (!wrapper.paths || wrapper.paths.includes(urlObj.pathname))
+  );
+}
+
+/**
+ * Get the destination of one redirect wrapper
+ * @param {URL} urlObj - URL that may be a wrapper
+ * @param {Array} wrappers - Wrapper definitions
+ * @returns {URL|null} Destination, or null if the URL is not a known wrapper
+ */
+function unwrapOnce(urlObj, wrappers) {
+  for (const wrapper of wrappers) {
+    if (wrapper.pattern) {
+      if (wrapper.applies && !wrapper.applies(urlObj)) {
+        continue;
+      }
+      const match = urlObj.href.match(wrapper.pattern);
+      const target = match?.[1] && parseTarget(match[1]);
+      if (target) {
+        return target;
+      }
+      continue;
+    }
+
+    if (!matchesWrapper(urlObj, wrapper)) {
+      continue;
+    }
+
+    for (const param of wrapper.params) {
+      const value = urlObj.searchParams.get(param);
+      if (!value) {
+        continue;
+      }
+      const target = parseTarget(wrapper.decode ? wrapper.decode(value) : value);
+      if (target) {
+        return target;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Replace redirect wrapper URLs with their destination
+ * @param {string} url - URL to unwrap
+ * @param {Array} [wrappers=REDIRECT_WRAPPERS] - Wrapper definitions
+ * @returns {string} Destination URL, or the URL unchanged if it is not a
+ *   known wrapper or its destination cannot be decoded
+ */
+export function unwrapRedirectUrl(url, wrappers = REDIRECT_WRAPPERS) {
+  let current;
+  try {
+    current = new URL(url);
+  } catch {
+    return url;
+  }
+
+  let unwrapped = false;
+  for (let depth = 0; depth < MAX_REDIRECT_DEPTH; depth++) {
+    const target = unwrapOnce(current, wrappers);
+    if (!target) {
+      break;
+    }
+    current = target;
+    unwrapped = true;
+  }
+
+  return unwrapped ? current.toString() : url;
+}
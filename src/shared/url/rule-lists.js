@@ -0,0 +1,619 @@
+// Imported URL tracking rule lists
+//
+// Community lists (ClearURLs data.min.json, AdGuard $removeparam filters) are
+// converted into providers that processUrl applies after the personal rules.
+// A list can hold thousands of rules, so lists are kept in storage.local on
+// this device instead of being synced.
+//
+// Provider:
+//   name          provider or host name, for display
+//   urlPattern    regular expression source matched against the whole URL
+//   hosts         host patterns as in site rules ("*.example.com")
+//                 (a provider with neither applies to every URL)
+//   exceptions    regular expression sources; matching URLs are skipped
+//   tracking      rule entries (see param-rules.js) to remove
+//   functional    rule entries to keep, overriding tracking entries
+//   redirections  regular expression sources whose first group is the
+//                 destination of a redirect wrapper
+
+import {
+  matchesHostPattern,
+  normalizeHostPattern,
+  validateParamRule,
+} from "./param-rules.js";
+
+// Storage key (storage.local) for imported lists
+export const RULE_LISTS_KEY = "importedRuleLists";
+
+// Supported list formats
+export const RULE_LIST_FORMATS = ["clearurls", "adguard"];
+
+// Compiled provider expressions by source; null for invalid ones
+const compiledPatterns = new Map();
+
+// Imported lists as last read or saved, so processUrl does not read
+// storage.local for every URL; dropped when another context changes them
+let cachedRuleLists = null;
+
+// Bumped whenever the cache is replaced or dropped, so a read that started
+// before a change does not cache outdated lists
+let cacheGeneration = 0;
+
+// Redirect wrappers by (cached) lists array
+const redirectsByLists = new WeakMap();
+
+// Whether the storage change listener has been added
+let watchingRuleLists = false;
+
+/**
+ * Compile a provider regular expression, caching the result
+ * @param {string} source - Expression source
+ * @returns {RegExp|null} Case-insensitive expression, or null if invalid
+ */
+function compileProviderPattern(source) {
+  if (!compiledPatterns.has(source)) {
+    let pattern = null;
+    try {
+      pattern = new RegExp(source, "i");
+    } catch {
+      // Invalid expressions never match
+    }
+    compiledPatterns.set(source, pattern);
+  }
+  return compiledPatterns.get(source);
+}
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} Expression source
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+}
+
+/**
+ * Turn a literal parameter name into a rule entry
+ * Names our rule syntax would read as wildcards or reject become anchored
+ * regular expressions.
+ * @param {string} name - Literal parameter name
+ * @returns {string} Rule entry
+ */
+function literalToRuleEntry(name) {
+  return /^[a-z0-9_.-]+$/i.test(name)
+    ? name.toLowerCase()
+    : `/^${escapeRegExp(name)}$/`;
+}
+
+/**
+ * Keep the valid rule entries
+ * @param {string[]} entries - Converted entries
+ * @returns {{valid: string[], invalid: number}}
+ */
+function filterValidEntries(entries) {
+  const valid = [...new Set(entries)].filter(
+    (entry) => validateParamRule(entry).valid,
+  );
+  return { valid, invalid: entries.length - valid.length };
+}
+
+/**
+ * Count the rules of a list
+ * @param {Array} providers - Providers
+ * @returns {number} Parameter rules and redirections
+ */
+export function countRuleListRules(providers) {
+  return providers.reduce(
+    (sum, provider) =>
+      sum +
+      provider.tracking.length +
+      provider.functional.length +
+      provider.redirections.length,
+    0,
+  );
+}
+
+/**
+ * Convert a ClearURLs rule file (data.min.json)
+ * Rules and referral marketing rules are regular expressions matched
+ * against the whole parameter name. rawRules (expressions applied to the
+ * URL text) have no equivalent and are counted as skipped.
+ * @param {object} data - Parsed file content
+ * @returns {{providers: Array, skipped: number}}
+ * @throws {Error} If the data has no providers
+ */
+export function parseClearUrlsList(data) {
+  if (!data || typeof data.providers !== "object" || !data.providers) {
+    throw new Error("No ClearURLs providers found");
+  }
+
+  const providers = [];
+  let skipped = 0;
+
+  for (const [name, provider] of Object.entries(data.providers)) {
+    if (!provider || !compileProviderPattern(provider.urlPattern || "")) {
+      skipped++;
+      continue;
+    }
+
+    const toEntry = (rule) =>
+      /^[a-z0-9_.-]+$/i.test(rule) ? rule.toLowerCase() : `/^(?:${rule})$/`;
+    const rules = [
+      ...(provider.rules || []),
+      ...(provider.referralMarketing || []),
+    ].map(toEntry);
+    const { valid: tracking, invalid } = filterValidEntries(rules);
+    const isValidPattern = (source) => Boolean(compileProviderPattern(source));
+    const exceptions = (provider.exceptions || []).filter(isValidPattern);
+    const redirections = (provider.redirections || []).filter(isValidPattern);
+    const invalidPatterns = [
+      ...(provider.exceptions || []),
+      ...(provider.redirections || []),
+    ].filter((source) => !isValidPattern(source)).length;
+    skipped += invalid + invalidPatterns + (provider.rawRules || []).length;
+
+    if (tracking.length === 0 && redirections.length === 0) {
+      continue;
+    }
+    providers.push({
+      name,
+      urlPattern: provider.urlPattern,
+      exceptions,
+      tracking,
+      functional: [],
+      redirections,
+    });
+  }
+
+  return { providers, skipped };
+}
+
+/**
+ * Split AdGuard rule options at commas outside of regular expressions
+ * @param {string} text - Options after "$"
+ * @returns {string[]} Options
+ */
+function splitAdGuardOptions(text) {
+  const options = [];
+  let current = "";
+  let inRegex = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === "\\") {
+      current += char + (text[i + 1] ?? "");
+      i++;
+      continue;
+    }
+    if (char === "/" && (inRegex || current.endsWith("="))) {
+      inRegex = !inRegex;
+    }
+    if (char === "," && !inRegex) {
+      options.push(current.trim());
+      current = "";
+      continue;
+    }
+    current += char;
+  }
+  options.push(current.trim());
+  return options.filter(Boolean);
+}
+
+/**
+ * Parse the options of an AdGuard rule
+ * @param {string} text - Options after "$"
+ * @returns {{value: string|null, domains: string[]}|null} Parameter and
+ *   domain options, or null if the rule has no $removeparam option
+ */
+function parseAdGuardOptions(text) {
+  let value = null;
+  let domains = [];
+
+  for (const option of splitAdGuardOptions(text)) {
+    const [key, ...rest] = option.split("=");
+    const optionValue = rest.join("=");
+    if (key === "removeparam" || key === "queryprune") {
+      value = optionValue;
+    } else if (key === "domain") {
+      domains = optionValue.split("|").filter(Boolean);
+    }
+  }
+
+  return value === null ? null : { value, domains };
+}
+
+/**
+ * Find the "=" separating name and value in an AdGuard regular expression
+ * Only an "=" outside of groups and character classes, in an expression
+ * without top-level alternatives, splits the expression unambiguously.
+ * @param {string} source - Expression source
+ * @returns {number} Index of the "=", or -1 if there is none or the
+ *   expression cannot be split
+ */
+function findRegexValueSeparator(source) {
+  let depth = 0;
+  let inClass = false;
+  let separator = -1;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === "\\") {
+      i++;
+    } else if (inClass) {
+      inClass = char !== "]";
+    } else if (char === "[") {
+      inClass = true;
+    } else if (char === "(") {
+      depth++;
+    } else if (char === ")") {
+      depth--;
+    } else if (char === "|" && depth === 0) {
+      return -1;
+    } else if (char === "=" && separator === -1) {
+      if (depth > 0) {
+        return -1;
+      }
+      separator = i;
+    }
+  }
+  return separator;
+}
+
+/**
+ * Convert an AdGuard regular expression into a rule entry
+ * AdGuard tests the expression against "name=value". Expressions without
+ * "=" are used for the name, which fits the common "^name" patterns;
+ * "name=value" expressions become value-conditional entries.
+ * @param {string} source - Expression source
+ * @returns {string|null} Rule entry, or null if it cannot be converted
+ */
+function adGuardRegexToRuleEntry(source) {
+  const separator = findRegexValueSeparator(source);
+  if (separator === -1) {
+    return source.includes("=") ? null : `/${source}/`;
+  }
+
+  const name = source.slice(0, separator);
+  const value = source.slice(separator + 1);
+  // The name pattern cannot contain "/": it would end the rule's name
+  if (!name || name === "^" || name.includes("/")) {
+    return null;
+  }
+  return `/${name}$/=/^${value}/`;
+}
+
+/**
+ * Convert the parameter of a $removeparam rule into a rule entry
+ * @param {string} value - Option value
+ * @returns {string|null} Rule entry, or null if it cannot be converted
+ *   (removing all parameters, inverted rules, expressions that cannot be
+ *   split into name and value)
+ */
+function adGuardValueToRuleEntry(value) {
+  if (!value || value.startsWith("~")) {
+    return null;
+  }
+
+  const regex = value.match(/^\/(.+)\/[a-z]*$/);
+  if (regex) {
+    return adGuardRegexToRuleEntry(regex[1].replace(/\\,/g, ","));
+  }
+  return literalToRuleEntry(value.replace(/\\,/g, ","));
+}
+
+/**
+ * Get the hosts a $removeparam rule applies to
+ * @param {string} pattern - URL pattern before "$"
+ * @param {string[]} domains - Values of the domain option
+ * @returns {string[]|null} Host patterns, [] for every URL, or null if the
+ *   rule is limited in a way site rules cannot express
+ */
+function getAdGuardHosts(pattern, domains) {
+  if (pattern && pattern !== "*") {
+    const match = pattern.match(/^\|\|([^/^*|]+)\^?\|?$/);
+    const host = match && normalizeHostPattern(match[1]);
+    return host ? [`*.${host}`] : null;
+  }
+
+  const hosts = domains.map((domain) =>
+    domain.startsWith("~") || domain.includes("*") ? "" : normalizeHostPattern(domain),
+  );
+  if (hosts.includes("")) {
+    return null;
+  }
+  return hosts.map((host) => `*.${host}`);
+}
+
+/**
+ * Convert an AdGuard filter list
+ * Only $removeparam (and the older $queryprune) rules are used; other
+ * filter rules are ignored. Rules limited to URL paths or excluding
+ * domains are counted as skipped.
+ * @param {string} text - Filter list content
+ * @returns {{providers: Array, skipped: number, title: string}}
+ * @throws {Error} If the list has no $removeparam rules
+ */
+export function parseAdGuardList(text) {
+  const providersByHosts = new Map();
+  let found = 0;
+  let skipped = 0;
+  let title = "";
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    const titleMatch = line.match(/^!\s*Title:\s*(.+)$/i);
+    if (titleMatch) {
+      title = titleMatch[1].trim();
+    }
+    if (!line || line.startsWith("!") || line.startsWith("[")) {
+      continue;
+    }
+
+    const isException = line.startsWith("@@");
+    const rule = isException ? line.slice(2) : line;
+
+    // Options start at a "$" followed by an option list with $removeparam;
+    // regular expressions in the pattern may contain "$" as well
+    let pattern = null;
+    let options = null;
+    for (let i = rule.indexOf("$"); i !== -1; i = rule.indexOf("$", i + 1)) {
+      options = parseAdGuardOptions(rule.slice(i + 1));
+      if (options) {
+        pattern = rule.slice(0, i);
+        break;
+      }
+    }
+    if (!options) {
+      continue;
+    }
+
+    found++;
+    const entry = adGuardValueToRuleEntry(options.value);
+    const hosts = getAdGuardHosts(pattern, options.domains);
+    if (!entry || !hosts || !validateParamRule(entry).valid) {
+      skipped++;
+      continue;
+    }
+
+    const key = hosts.join(",");
+    if (!providersByHosts.has(key)) {
+      providersByHosts.set(key, {
+        name: hosts.join(", ") || "*",
+        hosts,
+        exceptions: [],
+        tracking: [],
+        functional: [],
+        redirections: [],
+      });
+    }
+    const provider = providersByHosts.get(key);
+    const list = isException ? provider.functional : provider.tracking;
+    if (!list.includes(entry)) {
+      list.push(entry);
+    }
+  }
+
+  if (found === 0) {
+    throw new Error("No $removeparam rules found");
+  }
+  return { providers: [...providersByHosts.values()], skipped, title };
+}
+
+/**
+ * Parse a rule list file, detecting its format
+ * @param {string} text - File content
+ * @param {string} [fileName=""] - File name, used to name the list
+ * @returns {{name: string, format: string, providers: Array, skipped: number}}
+ * @throws {Error} If the file is neither format or contains no usable rules
+ */
+export function parseRuleListFile(text, fileName = "") {
+  const baseName = fileName.replace(/\.[^.]+$/, "");
+  let data = null;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    // Not JSON: try the filter list syntax
+  }
+
+  const result = data
+    ? { ...parseClearUrlsList(data), format: "clearurls", name: "ClearURLs" }
+    : { ...parseAdGuardList(text), format: "adguard" };
+
+  if (result.providers.length === 0) {
+    throw new Error("No usable rules found");
+  }
+
+  return {
+    name: result.title || (result.format === "adguard" && baseName) || result.name,
+    format: result.format,
+    providers: result.providers,
+    skipped: result.skipped,
+  };
+}
+
+/**
+ * Replace the cached lists
+ * @param {Array|null} lists - Lists, or null to read them again next time
+ */
+function setCachedRuleLists(lists) {
+  cachedRuleLists = lists;
+  cacheGeneration++;
+}
+
+/**
+ * Drop the cached lists when they change in storage
+ * Added on first use rather than on import, so importing this module has no
+ * side effects.
+ */
+function watchRuleLists() {
+  if (watchingRuleLists) {
+    return;
+  }
+  watchingRuleLists = true;
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === "local" && changes[RULE_LISTS_KEY]) {
+      setCachedRuleLists(null);
+    }
+  });
+}
+
+/**
+ * Get the imported lists
+ * The lists are cached in memory; treat the result as read-only.
+ * @returns {Promise<Array>} Lists: {id, name, format, enabled, importedAt,
+ *   ruleCount, skipped, providers}
+ */
+export async function getRuleLists() {
+  watchRuleLists();
+  if (cachedRuleLists) {
+    return cachedRuleLists;
+  }
+
+  try {
+    const generation = cacheGeneration;
+    const result = await chrome.storage.local.get([RULE_LISTS_KEY]);
+    const lists = result[RULE_LISTS_KEY] || [];
+    if (generation === cacheGeneration) {
+      setCachedRuleLists(lists);
+    }
+    return lists;
+  } catch (error) {
+    console.debug("[RuleLists] Failed to load rule lists:", error);
+    return [];
+  }
+}
+
+/**
+ * Save the imported lists
+ * @param {Array} lists - Lists
+ * @returns {Promise<boolean>} Whether save succeeded
+ */
+async function saveRuleLists(lists) {
+  try {
+    await chrome.storage.local.set({ [RULE_LISTS_KEY]: lists });
+    setCachedRuleLists(lists);
+    return true;
+  } catch (error) {
+    console.debug("[RuleLists] Failed to save rule lists:", error);
+    return false;
+  }
+}
+
+/**
+ * Store a parsed list, enabled
+ * @param {{name: string, format: string, providers: Array, skipped: number}} parsed - Result of parseRuleListFile
+ * @returns {Promise<object|null>} Stored list, or null if saving failed
+ */
+export async function addRuleList(parsed) {
+  const list = {
+    id: `list_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    name: parsed.name,
+    format: parsed.format,
+    enabled: true,
+    importedAt: new Date().toISOString(),
+    ruleCount: countRuleListRules(parsed.providers),
+    skipped: parsed.skipped,
+    providers: parsed.providers,
+  };
+
+  const lists = await getRuleLists();
+  return (await saveRuleLists([...lists, list])) ? list : null;
+}
+
+/**
+ * Turn an imported list on or off
+ * @param {string} id - List ID
+ * @param {boolean} enabled - Whether the list applies
+ * @returns {Promise<boolean>} Whether save succeeded
+ */
+export async function setRuleListEnabled(id, enabled) {
+  const lists = await getRuleLists();
+  return saveRuleLists(
+    lists.map((list) => (list.id === id ? { ...list, enabled } : list)),
+  );
+}
+
+/**
+ * Delete an imported list
+ * @param {string} id - List ID
+ * @returns {Promise<boolean>} Whether save succeeded
+ */
+export async function removeRuleList(id) {
+  const lists = await getRuleLists();
+  return saveRuleLists(lists.filter((list) => list.id !== id));
+}
+
+/**
+ * Check whether a provider applies to a URL
+ * @param {object} provider - Provider
+ * @param {URL} urlObj - URL
+ * @returns {boolean} Whether the URL matches the provider's urlPattern and
+ *   hosts and none of its exceptions
+ */
+function providerAppliesTo(provider, urlObj) {
+  const url = urlObj.href;
+  if (provider.urlPattern) {
+    const pattern = compileProviderPattern(provider.urlPattern);
+    if (!pattern || !pattern.test(url)) {
+      return false;
+    }
+  }
+  if (
+    provider.hosts?.length &&
+    !provider.hosts.some((host) => matchesHostPattern(urlObj.hostname, host))
+  ) {
+    return false;
+  }
+  return !provider.exceptions.some((source) =>
+    compileProviderPattern(source)?.test(url),
+  );
+}
+
+/**
+ * Get the providers of enabled lists that apply to a URL
+ * @param {Array} lists - Imported lists
+ * @param {URL} urlObj - URL being cleaned
+ * @returns {Array} Providers
+ */
+export function getRuleListProviders(lists, urlObj) {
+  return lists
+    .filter((list) => list.enabled)
+    .flatMap((list) =>
+      list.providers.filter((provider) => providerAppliesTo(provider, urlObj)),
+    );
+}
+
+/**
+ * Build the redirect wrappers of enabled lists
+ * @param {Array} lists - Imported lists
+ * @returns {Array} Wrapper definitions
+ */
+function buildRuleListRedirects(lists) {
+  return lists
+    .filter((list) => list.enabled)
+    .flatMap((list) =>
+      list.providers.flatMap((provider) =>
+        provider.redirections.map((source) => ({
+          name: provider.name,
+          pattern: compileProviderPattern(source),
+          applies: (urlObj) => providerAppliesTo(provider, urlObj),
+        })),
+      ),
+    )
+    .filter((wrapper) => wrapper.pattern);
+}
+
+/**
+ * Get redirect wrappers defined by enabled lists
+ * Like parameter rules, a provider's redirections only apply to URLs the
+ * provider applies to; nested wrappers are checked one by one. Wrappers are
+ * built once per lists array.
+ * @param {Array} lists - Imported lists
+ * @returns {Array} Wrapper definitions for unwrapRedirectUrl
+ */
+export function getRuleListRedirects(lists) {
+  if (!redirectsByLists.has(lists)) {
+    redirectsByLists.set(lists, buildRuleListRedirects(lists));
+  }
+  return redirectsByLists.get(lists);
+}
@@ -1,56 +1,161 @@
 // URL processing logic
 
-import { getCustomParamRules } from "./param-rules.js";
+import {
+  getCustomParamRules,
+  getSiteRulesForHost,
+  matchesParamRules,
+} from "./param-rules.js";
+import { REDIRECT_WRAPPERS, unwrapRedirectUrl } from "./redirects.js";
+import {
+  getRuleLists,
+  getRuleListProviders,
+  getRuleListRedirects,
+} from "./rule-lists.js";
+
+// Fragments made of name=value pairs; plain anchors and hash routes
+// ("#/page?id=1") are left alone
+const FRAGMENT_PARAMS_PATTERN = /^[^=&/?]+=[^&]*(?:&[^=&/?]+=[^&]*)*$/;
+
+// Separates the anchor from fragment directives: #section:~:text=...
+const FRAGMENT_DIRECTIVE_DELIMITER = ":~:";
 
 /**
- * Determine if a parameter should be kept
- * @param {string} paramName - Parameter name
- * @param {string} cleaningMode - Cleaning mode ('off' | 'smart' | 'aggressive')
- * @returns {Promise<boolean>} Whether to keep this parameter
+ * Split "name=value" at the first equals sign, decoding both parts
+ * @param {string} pair - Encoded pair
+ * @returns {string[]} [name, value]
  */
-async function shouldKeepParameter(paramName, cleaningMode) {
-  const lowerParam = paramName.toLowerCase();
+function splitPair(pair) {
+  const decode = (text) => {
+    try {
+      return decodeURIComponent(text);
+    } catch {
+      return text;
+    }
+  };
+  const index = pair.indexOf("=");
+  return index === -1
+    ? [decode(pair), ""]
+    : [decode(pair.slice(0, index)), decode(pair.slice(index + 1))];
+}
 
-  // Off mode: keep all parameters
-  if (cleaningMode === "off") {
-    return true;
-  }
+/**
+ * Remove tracking segments and matrix parameters from a path
+ * @param {string} pathname - Path of the URL
+ * @param {string[]} pathRules - Path rules
+ * @returns {string} Cleaned path
+ */
+function cleanPath(pathname, pathRules) {
+  const matches = (pair) => matchesParamRules(pathRules, ...splitPair(pair));
+  const segments = [];
 
-  // Aggressive mode: remove all parameters
-  if (cleaningMode === "aggressive") {
-    return false;
+  for (const segment of pathname.split("/")) {
+    const [base, ...matrixParams] = segment.split(";");
+
+    // "name=value" segment, e.g. /ref=sr_1_1
+    if (base.includes("=") && matches(base)) {
+      continue;
+    }
+    segments.push(
+      [base, ...matrixParams.filter((param) => !matches(param))].join(";"),
+    );
   }
 
-  // Smart mode: determine based on user-configured parameter lists
-  if (cleaningMode === "smart") {
-    try {
-      const customRules = await getCustomParamRules();
+  return segments.join("/");
+}
 
-      // Keep functional parameters
-      if (customRules.functional.includes(lowerParam)) {
-        return true;
-      }
+/**
+ * Remove tracking parameters and directives from a fragment
+ * @param {string} hash - Fragment of the URL, with or without "#"
+ * @param {string[]} fragmentRules - Fragment rules
+ * @param {boolean} removeAll - Remove all parameters and directives
+ *   (aggressive mode); plain anchors are kept either way
+ * @returns {string} Cleaned fragment without "#", "" when nothing is left
+ */
+function cleanFragment(hash, fragmentRules, removeAll) {
+  const fragment = hash.replace(/^#/, "");
+  const delimiter = fragment.indexOf(FRAGMENT_DIRECTIVE_DELIMITER);
+  let anchor = delimiter === -1 ? fragment : fragment.slice(0, delimiter);
+  const directives =
+    delimiter === -1
+      ? []
+      : fragment
+          .slice(delimiter + FRAGMENT_DIRECTIVE_DELIMITER.length)
+          .split("&")
+          .filter(Boolean);
+
+  const isKept = (pair) =>
+    !removeAll && !matchesParamRules(fragmentRules, ...splitPair(pair));
+
+  if (FRAGMENT_PARAMS_PATTERN.test(anchor)) {
+    anchor = anchor.split("&").filter(isKept).join("&");
+  }
 
-      // Remove tracking parameters
-      if (customRules.tracking.includes(lowerParam)) {
-        return false;
-      }
+  const keptDirectives = directives.filter(isKept);
+  return keptDirectives.length > 0
+    ? `${anchor}${FRAGMENT_DIRECTIVE_DELIMITER}${keptDirectives.join("&")}`
+    : anchor;
+}
 
-      // Keep unknown parameters (safe strategy)
-      return true;
-    } catch (error) {
-      console.debug("[ParamRules] Error in shouldKeepParameter:", error);
-      // Safe strategy on error: keep parameter
+/**
+ * Determine if a parameter should be kept in smart mode
+ * Personal site rules come first, then the personal global lists, then
+ * imported rule lists.
+ * @param {string} paramName - Parameter name
+ * @param {string} value - Parameter value, used by value-conditional rules
+ * @param {Object} customRules - Result of getCustomParamRules
+ * @param {Array} siteRules - Personal site rules for the URL's host
+ * @param {Array} providers - Imported providers that apply to the URL
+ * @returns {boolean} Whether to keep this parameter
+ */
+function shouldKeepParameter(paramName, value, customRules, siteRules, providers) {
+  // Site rules override the global lists, most specific site first
+  for (const site of siteRules) {
+    if (matchesParamRules(site.functional, paramName, value)) {
       return true;
     }
+    if (matchesParamRules(site.tracking, paramName, value)) {
+      return false;
+    }
+  }
+
+  // Keep functional parameters
+  if (matchesParamRules(customRules.functional, paramName, value)) {
+    return true;
   }
 
-  // Default: keep
+  // Remove tracking parameters
+  if (matchesParamRules(customRules.tracking, paramName, value)) {
+    return false;
+  }
+
+  // Imported lists: exceptions first, so they can keep what a list removes
+  if (
+    providers.some((provider) =>
+      matchesParamRules(provider.functional, paramName, value),
+    )
+  ) {
+    return true;
+  }
+  if (
+    providers.some((provider) =>
+      matchesParamRules(provider.tracking, paramName, value),
+    )
+  ) {
+    return false;
+  }
+
+  // Keep unknown parameters (safe strategy)
   return true;
 }
 
 /**
  * Smart URL parameter processing
+ * Redirect wrappers (google.com/url?q=...) are replaced by their
+ * destination first, so the cleaning applies to the real link; with
+ * cleaning off the URL is returned exactly as given. Path and fragment
+ * rules apply in both smart and aggressive mode; aggressive mode removes
+ * every fragment parameter but keeps plain anchors. Enabled imported rule
+ * lists add redirect wrappers and, in smart mode, tracking parameters.
  * @param {string} url - URL to process
  * @param {string} cleaningMode - Cleaning mode ('off' | 'smart' | 'aggressive')
  * @returns {Promise<string>} Processed URL
@@ -61,26 +166,46 @@ export async function processUrl(url, cleaningMode = "smart") {
   }
 
   try {
-    const urlObj = new URL(url);
+    const ruleLists = await getRuleLists();
+    const urlObj = new URL(
+      unwrapRedirectUrl(url, [
+        ...REDIRECT_WRAPPERS,
+        ...getRuleListRedirects(ruleLists),
+      ]),
+    );
+    const customRules = await getCustomParamRules();
+
+    const pathname = cleanPath(urlObj.pathname, customRules.paths);
+    if (pathname !== urlObj.pathname) {
+      urlObj.pathname = pathname;
+    }
+    const fragment = cleanFragment(
+      urlObj.hash,
+      customRules.fragments,
+      cleaningMode === "aggressive",
+    );
 
     // Aggressive mode: remove all query parameters
     if (cleaningMode === "aggressive") {
-      return `${urlObj.protocol}//${urlObj.host}${urlObj.pathname}`;
+      const hash = fragment ? `#${fragment}` : "";
+      return `${urlObj.protocol}//${urlObj.host}${urlObj.pathname}${hash}`;
     }
 
     // Smart mode: remove tracking parameters based on custom rules
     if (cleaningMode === "smart") {
+      const siteRules = getSiteRulesForHost(customRules.sites, urlObj.hostname);
+      const providers = getRuleListProviders(ruleLists, urlObj);
       const params = new URLSearchParams(urlObj.search);
       const newParams = new URLSearchParams();
 
       for (const [key, value] of params.entries()) {
-        const shouldKeep = await shouldKeepParameter(key, cleaningMode);
-        if (shouldKeep) {
+        if (shouldKeepParameter(key, value, customRules, siteRules, providers)) {
           newParams.append(key, value);
         }
       }
 
       urlObj.search = newParams.toString();
+      urlObj.hash = fragment;
       return urlObj.toString();
     }
 
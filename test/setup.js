@@ -1,11 +1,82 @@
 import { vi, beforeEach } from "vitest";
 
+// Listeners added through chrome.storage.onChanged.addListener
+const storageListeners = new Set();
+
+/**
+ * In-memory chrome.storage area
+ * Items are copied on the way in and out like the real API, changes are
+ * reported to chrome.storage.onChanged listeners, and writes fail with
+ * Chrome's quota error once the area's QUOTA_BYTES (if set) is exceeded.
+ * @param {string} areaName - "sync" or "local"
+ * @returns {object} get, set, remove and clear implementations, and reset
+ */
+function createStorageArea(areaName) {
+  const items = {};
+  const copy = (value) => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+
+  const notify = (changes) => {
+    if (Object.keys(changes).length > 0) {
+      storageListeners.forEach((listener) => listener(changes, areaName));
+    }
+  };
+
+  const removeItems = (keys) => {
+    const changes = {};
+    for (const key of [].concat(keys)) {
+      if (key in items) {
+        changes[key] = { oldValue: items[key] };
+        delete items[key];
+      }
+    }
+    notify(changes);
+  };
+  const remove = async (keys) => removeItems(keys);
+
+  return {
+    get: async (keys = null) => {
+      if (keys === null) {
+        return copy(items);
+      }
+      const defaults = typeof keys === "object" && !Array.isArray(keys) ? keys : {};
+      const names = typeof keys === "string" ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+      return Object.fromEntries(
+        names
+          .filter((key) => key in items || key in defaults)
+          .map((key) => [key, copy(key in items ? items[key] : defaults[key])]),
+      );
+    },
+    set: async (values) => {
+      const quota = chrome.storage[areaName].QUOTA_BYTES;
+      if (quota && JSON.stringify({ ...items, ...values }).length > quota) {
+        throw new Error("QUOTA_BYTES quota exceeded");
+      }
+      const changes = {};
+      for (const [key, value] of Object.entries(copy(values))) {
+        changes[key] = { oldValue: items[key], newValue: value };
+        items[key] = value;
+      }
+      notify(changes);
+    },
+    remove,
+    clear: async () => remove(Object.keys(items)),
+    // Synchronous clear, so module caches listening for changes reset too
+    reset: () => removeItems(Object.keys(items)),
+  };
+}
+
+const storageAreas = {
+  sync: createStorageArea("sync"),
+  local: createStorageArea("local"),
+};
+
 // Mock Chrome APIs
 global.chrome = {
   storage: {
     sync: {
       get: vi.fn(),
       set: vi.fn(),
+      remove: vi.fn(),
       clear: vi.fn(),
       onChanged: {
         addListener: vi.fn(),
@@ -15,6 +86,7 @@ global.chrome = {
     local: {
       get: vi.fn(),
       set: vi.fn(),
+      remove: vi.fn(),
       clear: vi.fn(),
       onChanged: {
         addListener: vi.fn(),
@@ -23,8 +95,8 @@ global.chrome = {
     },
     // Ensure onChanged exists at the storage level
     onChanged: {
-      addListener: vi.fn(),
-      removeListener: vi.fn(),
+      addListener: vi.fn((listener) => storageListeners.add(listener)),
+      removeListener: vi.fn((listener) => storageListeners.delete(listener)),
     },
   },
   i18n: {
@@ -69,13 +141,18 @@ global.console = {
 beforeEach(() => {
   vi.clearAllMocks();
 
-  // Reset Chrome API mocks
-  chrome.storage.sync.get.mockResolvedValue({});
-  chrome.storage.sync.set.mockResolvedValue(undefined);
-  chrome.storage.sync.clear.mockResolvedValue(undefined);
-  chrome.storage.local.get.mockResolvedValue({});
-  chrome.storage.local.set.mockResolvedValue(undefined);
-  chrome.storage.local.clear.mockResolvedValue(undefined);
+  // Reset Chrome API mocks: both storage areas start empty, and tests that
+  // replaced an implementation get the in-memory one back
+  for (const [areaName, area] of Object.entries(storageAreas)) {
+    const mock = chrome.storage[areaName];
+    area.reset();
+    delete mock.QUOTA_BYTES;
+    delete mock.QUOTA_BYTES_PER_ITEM;
+    mock.get.mockImplementation(area.get);
+    mock.set.mockImplementation(area.set);
+    mock.remove.mockImplementation(area.remove);
+    mock.clear.mockImplementation(area.clear);
+  }
 
   // Reset console mocks
   console.debug.mockClear();